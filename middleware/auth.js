@@ -0,0 +1,206 @@
+const jwt = require('jsonwebtoken');
+
+const Admin = require('../models/Admin');
+const Setting = require('../models/Setting');
+const { findActiveSession } = require('../services/adminSessions');
+const { isApiKey, resolveApiKey } = require('../services/apiKeys');
+
+// What an admin session may do through /api/v1 (see ApiKey.SCOPES)
+const ROLE_SCOPES = {
+    owner: ['manage'],
+    editor: ['manage'],
+    viewer: ['read'],
+};
+
+// While an admin has to replace a temporary password (mustChangePassword),
+// their token only reaches these routes
+const PASSWORD_CHANGE_ROUTES = new Set(['POST /api/admin/me/password', 'POST /api/admin/logout']);
+
+const PASSWORD_CHANGE_ERROR = {
+    error: 'Change your temporary password before continuing.',
+    mustChangePassword: true,
+};
+
+const blockedByPasswordChange = (req, admin) =>
+    admin.mustChangePassword && !PASSWORD_CHANGE_ROUTES.has(`${req.method} ${req.originalUrl.split('?')[0]}`);
+
+// Pull the bearer token out of the Authorization header (null if absent)
+const bearerToken = (req) => {
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    return authHeader.split(' ')[1];
+};
+
+// Verify an access token and load the admin it belongs to (null if unusable).
+// The session and the admin's role and disabled state are read from the
+// database on every request, so revocations and changes made by an owner
+// apply immediately rather than at token expiry.
+const resolveAdmin = async (token) => {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (err) {
+        return null;
+    }
+
+    if (!decoded.sid) return null;
+    const session = await findActiveSession(decoded.sid);
+    if (!session || String(session.admin) !== String(decoded.id)) return null;
+
+    const admin = await Admin.findById(decoded.id).select('username role disabled mustChangePassword');
+    if (!admin || admin.disabled) return null;
+
+    return {
+        id: admin._id,
+        username: admin.username,
+        role: admin.role,
+        sessionId: session._id,
+        mustChangePassword: admin.mustChangePassword,
+    };
+};
+
+/**
+ * JWT auth middleware for /api/admin/* routes.
+ * Rejects the request unless a valid token for an active admin is presented,
+ * and, while the admin must change a temporary password, unless it is the
+ * password change or logout.
+ * Sets req.admin = { id, username, role, sessionId, mustChangePassword }, or
+ * keeps the one identifyAdmin already resolved for this request.
+ */
+const authenticateAdmin = async (req, res, next) => {
+    try {
+        if (!req.admin) {
+            const token = bearerToken(req);
+            if (!token) {
+                return res.status(401).json({ error: 'Access denied. No token provided.' });
+            }
+
+            const admin = await resolveAdmin(token);
+            if (!admin) {
+                return res.status(401).json({ error: 'Invalid or expired token.' });
+            }
+            req.admin = admin;
+        }
+
+        if (blockedByPasswordChange(req, req.admin)) {
+            return res.status(403).json(PASSWORD_CHANGE_ERROR);
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Optional variant for public routes the dashboard also uses.
+ * Sets req.admin when a valid admin token is presented, or req.apiKey for
+ * a valid API key (see services/apiKeys.js); never rejects. server.js runs
+ * it for all of /api so rate limits can tell callers apart.
+ */
+const identifyAdmin = async (req, res, next) => {
+    if (req.admin || req.apiKey) return next();
+
+    const token = bearerToken(req);
+    try {
+        if (isApiKey(token)) {
+            req.apiKey = (await resolveApiKey(token)) || undefined;
+        } else if (token) {
+            // An admin held up by a password change counts as anonymous here
+            const admin = await resolveAdmin(token);
+            req.admin = admin && !blockedByPasswordChange(req, admin) ? admin : undefined;
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Auth for the public REST API (/api/v1).
+ * Accepts an API key, or an admin access token so the same calls can be
+ * tried out with a dashboard session. Sets req.apiKey = { id, name, prefix,
+ * scopes, rateLimit } or req.admin as authenticateAdmin does.
+ */
+const authenticateApi = async (req, res, next) => {
+    if (req.admin || req.apiKey) return next();
+
+    const token = bearerToken(req);
+    if (!token) {
+        return res.status(401).json({ error: 'Access denied. Send an API key as a Bearer token.' });
+    }
+
+    try {
+        if (isApiKey(token)) {
+            req.apiKey = await resolveApiKey(token);
+            if (!req.apiKey) {
+                return res.status(401).json({ error: 'Invalid or revoked API key.' });
+            }
+        } else {
+            req.admin = await resolveAdmin(token);
+            if (!req.admin) {
+                return res.status(401).json({ error: 'Invalid or expired token.' });
+            }
+            if (blockedByPasswordChange(req, req.admin)) {
+                return res.status(403).json(PASSWORD_CHANGE_ERROR);
+            }
+        }
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+// Whether the caller's API key or admin role grants `scope`
+const hasScope = (req, scope) => {
+    if (req.apiKey) return req.apiKey.allows(scope);
+    const scopes = (req.admin && ROLE_SCOPES[req.admin.role]) || [];
+    return scopes.includes('manage') || scopes.includes(scope);
+};
+
+/**
+ * Scope gate, used after authenticateApi.
+ * Usage: requireScope('read')
+ */
+const requireScope = (scope) => (req, res, next) => {
+    if (!hasScope(req, scope)) {
+        return res.status(403).json({ error: `This API key lacks the '${scope}' scope.` });
+    }
+    next();
+};
+
+/**
+ * Link creation gate, used after identifyAdmin on the public create and
+ * upload routes. Passes everyone unless the requireAuthForCreate setting
+ * is on; then an owner or editor session, or an API key with the `create`
+ * scope, is needed.
+ */
+const authorizeLinkCreation = async (req, res, next) => {
+    try {
+        if (hasScope(req, 'create') || !(await Setting.getValue('requireAuthForCreate'))) {
+            return next();
+        }
+        res.status(401).json({ error: 'Creating links requires an API key or an admin login.' });
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Role gate, used after authenticateAdmin.
+ * Usage: requireRole('owner', 'editor')
+ */
+const requireRole = (...roles) => (req, res, next) => {
+    if (!req.admin || !roles.includes(req.admin.role)) {
+        return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+    }
+    next();
+};
+
+module.exports = {
+    authenticateAdmin,
+    identifyAdmin,
+    authenticateApi,
+    requireRole,
+    requireScope,
+    authorizeLinkCreation,
+};
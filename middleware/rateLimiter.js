@@ -1,12 +1,28 @@
 const rateLimit = require('express-rate-limit');
 
+const { defaultRateLimit } = require('../services/apiKeys');
+
+// Dashboard budget per admin: generous, it only stops runaway scripts
+const ADMIN_REQUESTS_PER_MINUTE = 300;
+
+// Callers identifyAdmin recognised: an admin session or an API key
+const isAuthenticated = (req) => Boolean(req.admin || req.apiKey);
+
+// Per-IP key, prefixed so limiters sharing a store keep separate budgets
+const ipKey = (family) => (req) => `${family}:${req.ip}`;
+
 /**
- * General rate limiter — applied to all routes.
+ * General rate limiter — applied to all anonymous /api requests, after
+ * identifyAdmin. Admin sessions and API keys are limited per caller by
+ * authenticatedLimiter instead; resumable uploads and the REST API's link
+ * routes have their own budgets below.
  * Allows 100 requests per 15-minute window per IP.
  */
 const generalLimiter = rateLimit({
     windowMs: 15 * 60 * 1000, // 15 minutes
     max: 100,
+    keyGenerator: ipKey('general'),
+    skip: (req) => isAuthenticated(req) || req.path.startsWith('/uploads') || req.path.startsWith('/v1/links'),
     standardHeaders: true,
     legacyHeaders: false,
     message: {
@@ -15,17 +31,148 @@ const generalLimiter = rateLimit({
 });
 
 /**
- * Sensitive route rate limiter — applied to login, shorten, and verify routes.
- * Allows only 10 requests per 15-minute window per IP to prevent brute-force attacks.
+ * Per-caller limiter for authenticated /api requests (the dashboard, API
+ * keys on routes outside /api/v1/links). Each API key gets its rateLimit
+ * per minute, each admin session ADMIN_REQUESTS_PER_MINUTE.
  */
-const sensitiveLimiter = rateLimit({
+const authenticatedLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: (req) => (req.apiKey ? req.apiKey.rateLimit : ADMIN_REQUESTS_PER_MINUTE),
+    keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : `admin:${req.admin.id}`),
+    skip: (req) => !isAuthenticated(req) || req.path.startsWith('/uploads') || req.path.startsWith('/v1/links'),
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'Too many requests. Please slow down.',
+    },
+});
+
+/**
+ * Login rate limiter — applied to the password and two-factor login steps.
+ * Only failed attempts count, so signing in normally never uses it up.
+ * Allows 10 failed attempts per 15-minute window per IP.
+ */
+const loginLimiter = rateLimit({
     windowMs: 15 * 60 * 1000,
     max: 10,
+    keyGenerator: ipKey('login'),
+    skipSuccessfulRequests: true,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'Too many login attempts. Please try again after 15 minutes.',
+    },
+});
+
+/**
+ * Link creation rate limiter — applied to POST /api/shorten after
+ * identifyAdmin. Admin sessions and API keys are not counted here.
+ * Allows 10 anonymous links per 15-minute window per IP.
+ */
+const createLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 10,
+    keyGenerator: ipKey('create'),
+    skip: isAuthenticated,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'Too many links created. Please try again after 15 minutes.',
+    },
+});
+
+/**
+ * Serial search rate limiter — applied to GET /api/search. Admin sessions
+ * and API keys are not counted here.
+ * Allows 30 searches per 15-minute window per IP.
+ */
+const searchLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    keyGenerator: ipKey('search'),
+    skip: isAuthenticated,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'Too many searches. Please try again after 15 minutes.',
+    },
+});
+
+/**
+ * Password check rate limiter — applied to POST /api/:shortId/verify, on
+ * top of the per-link lockout. Admin sessions are not counted; API keys are,
+ * since a key is no reason to try more passwords.
+ * Allows 30 attempts per 15-minute window per IP.
+ */
+const verifyLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 30,
+    keyGenerator: ipKey('verify'),
+    skip: (req) => Boolean(req.admin),
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'Too many password attempts. Please try again after 15 minutes.',
+    },
+});
+
+/**
+ * Resumable upload rate limiter — applied to /api/uploads. A large file
+ * takes one request per chunk, so the budget is much larger.
+ * Allows 1000 requests per 15-minute window per IP.
+ */
+const uploadLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 1000,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'Too many upload requests. Please try again after 15 minutes.',
+    },
+});
+
+/**
+ * REST API auth failure limiter — applied to /api/v1 before authentication.
+ * Only requests refused with 401 count, so callers with a valid key are
+ * limited by apiKeyLimiter alone.
+ * Allows 20 failed attempts per 15-minute window per IP.
+ */
+const apiAuthLimiter = rateLimit({
+    windowMs: 15 * 60 * 1000,
+    max: 20,
+    skipSuccessfulRequests: true,
+    requestWasSuccessful: (req, res) => res.statusCode !== 401,
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: {
+        error: 'Too many failed authentication attempts. Please try again after 15 minutes.',
+    },
+});
+
+/**
+ * Per-key rate limiter — applied to /api/v1 after authentication.
+ * Each API key gets its own rateLimit requests per minute; admin sessions
+ * trying the API get the default key budget (API_KEY_RATE_LIMIT) per admin.
+ */
+const apiKeyLimiter = rateLimit({
+    windowMs: 60 * 1000,
+    max: (req) => (req.apiKey ? req.apiKey.rateLimit : defaultRateLimit()),
+    keyGenerator: (req) => (req.apiKey ? `key:${req.apiKey.id}` : `admin:${req.admin.id}`),
     standardHeaders: true,
     legacyHeaders: false,
     message: {
-        error: 'Too many attempts. Please try again after 15 minutes.',
+        error: 'Rate limit of this API key exceeded. Please slow down.',
     },
 });
 
-module.exports = { generalLimiter, sensitiveLimiter };
+module.exports = {
+    generalLimiter,
+    authenticatedLimiter,
+    loginLimiter,
+    createLimiter,
+    searchLimiter,
+    verifyLimiter,
+    uploadLimiter,
+    apiAuthLimiter,
+    apiKeyLimiter,
+};
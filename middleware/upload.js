@@ -0,0 +1,118 @@
+const multer = require('multer');
+const path = require('path');
+const { nanoid } = require('nanoid');
+
+const { fileFilter, MAX_FILE_SIZE, MAX_ATTACHMENTS } = require('./validate');
+const { storeInspectedFile } = require('../services/fileInspection');
+const { getStorage } = require('../services/storage');
+const { claimUploads, releaseUploads, finishUploads } = require('../services/uploads');
+
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9_-]{24}$/;
+
+/**
+ * Multer storage engine that inspects each file (services/fileInspection.js)
+ * and encrypts it as it streams into the configured storage backend. Files
+ * are stored under randomized keys to prevent conflicts and path traversal.
+ * The storage key is exposed as req.file.key, the encryption metadata
+ * (wrapped data key, IV, auth tag) as req.file.encryption, and the sniffed
+ * type and scan result as req.file.detectedMimeType / req.file.scan, for the
+ * route to save on the Url document.
+ */
+class EncryptedStorage {
+    _handleFile(req, file, cb) {
+        const key = `${nanoid(16)}${path.extname(file.originalname).toLowerCase()}`;
+        const encrypted = Boolean(req.body && req.body.encryption);
+
+        storeInspectedFile(key, file.stream, { fileName: file.originalname, encrypted })
+            .then(stored => cb(null, { key, ...stored }))
+            .catch(cb);
+    }
+
+    _removeFile(req, file, cb) {
+        getStorage().delete(file.key).then(() => cb(null), cb);
+    }
+}
+
+const upload = multer({
+    storage: new EncryptedStorage(),
+    fileFilter,
+    limits: { fileSize: MAX_FILE_SIZE },
+});
+
+/**
+ * Delete the multipart files stored for a request once it has answered with
+ * an error (invalid fields, alias taken, failed save), since no link took
+ * them. Nothing is deleted if the client leaves before the answer, as the
+ * route may still save its link; storage reconciliation collects anything
+ * that really was left behind.
+ */
+const discardFilesOnFailure = (res, files) => {
+    if (files.length === 0) return;
+    res.on('finish', () => {
+        if (res.statusCode < 400) return;
+        for (const file of files) {
+            getStorage().delete(file.key).catch(err => console.error(`Error discarding upload ${file.key}:`, err));
+        }
+    });
+};
+
+/**
+ * Append finished resumable uploads (see routes/uploads.js) listed in the
+ * comma-separated `uploadIds` field to req.files, after any multipart files.
+ * They are claimed for this request and handed back if it answers with an
+ * error, so a rejected form can be submitted again with the same ids. Claims
+ * of a request the client left stay until the uploads expire.
+ */
+const attachResumableUploads = async (req, res, next) => {
+    const raw = req.body && req.body.uploadIds;
+    if (!raw) return next();
+
+    const uploadIds = String(raw).split(',').map(s => s.trim()).filter(Boolean);
+    if (!uploadIds.every(id => UPLOAD_ID_PATTERN.test(id)) || new Set(uploadIds).size !== uploadIds.length) {
+        return res.status(400).json({ error: 'uploadIds must list distinct upload ids.' });
+    }
+    if (req.files.length + uploadIds.length > MAX_ATTACHMENTS) {
+        return next(new multer.MulterError('LIMIT_FILE_COUNT'));
+    }
+
+    try {
+        const claimed = await claimUploads(uploadIds, Boolean(req.body.encryption));
+        if (claimed.error) {
+            return res.status(400).json({ error: claimed.error });
+        }
+
+        res.on('finish', () => {
+            const settle = res.statusCode < 400 ? finishUploads : releaseUploads;
+            settle(uploadIds).catch(err => console.error('Error settling uploads:', err));
+        });
+        req.files.push(...claimed.files);
+        next();
+    } catch (err) {
+        next(err);
+    }
+};
+
+/**
+ * Attachment upload shared by POST /api/shorten and PUT /api/admin/urls/:id.
+ * Accepts up to MAX_ATTACHMENTS files in the `files` field (or one in the
+ * older `file` field) plus finished resumable uploads in `uploadIds`, and
+ * leaves them as a flat array in req.files.
+ */
+const uploadAttachments = [
+    upload.fields([
+        { name: 'files', maxCount: MAX_ATTACHMENTS },
+        { name: 'file', maxCount: 1 },
+    ]),
+    (req, res, next) => {
+        const fields = req.files || {};
+        req.files = [...(fields.file || []), ...(fields.files || [])];
+        discardFilesOnFailure(res, [...req.files]);
+        if (req.files.length > MAX_ATTACHMENTS) {
+            return next(new multer.MulterError('LIMIT_FILE_COUNT'));
+        }
+        next();
+    },
+    attachResumableUploads,
+];
+
+module.exports = { upload, uploadAttachments };
@@ -1,60 +1,338 @@
 const path = require('path');
+const { ROLES } = require('../models/Admin');
+const { CONTENT_TYPES, CODE_LANGUAGES } = require('../models/Url');
+const { aliasError } = require('../services/aliases');
 
 // Allowed file extensions for uploads
 const ALLOWED_EXTENSIONS = ['.pdf', '.png', '.jpg', '.jpeg', '.gif', '.zip', '.txt', '.docx', '.xlsx', '.csv'];
 const MAX_FILE_SIZE = 50 * 1024 * 1024; // 50 MB
+const MAX_ATTACHMENTS = 10; // Files per link
+
+// Content types served for each allowed extension
+const MIME_TYPES = {
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.zip': 'application/zip',
+    '.txt': 'text/plain',
+    '.docx': 'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    '.xlsx': 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    '.csv': 'text/csv',
+};
 
 /**
- * Validate the POST /api/shorten request body.
- * Ensures password and textContent are present and within limits.
- * Sanitizes optional label field.
+ * Content type for a file name, from its extension.
  */
-const validateShortenInput = (req, res, next) => {
-    const { password, textContent, label } = req.body;
+const mimeTypeFor = (fileName) =>
+    MIME_TYPES[path.extname(fileName || '').toLowerCase()] || 'application/octet-stream';
+
+// End-to-end encrypted links: ciphertext formats produced by public/js/e2e.js
+const ENCRYPTED_FILE_EXTENSION = '.enc';
+const MAX_ENCRYPTED_TEXT_LENGTH = 60000;
+const CIPHERTEXT_PATTERN = /^[A-Za-z0-9+/]+={0,2}:[A-Za-z0-9+/]+={0,2}$/;
+const AUTH_SECRET_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Parse the JSON encryption envelope sent with an end-to-end encrypted link.
+ * Only the parameters public/js/e2e.js produces are accepted. The encrypted
+ * names of the uploaded files travel in `fileNames`, in upload order.
+ * Returns { error } on invalid input, otherwise { envelope, fileNames }.
+ */
+const parseEncryptionEnvelope = (raw, fileCount) => {
+    let envelope;
+    try {
+        envelope = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (err) {
+        return { error: 'Encryption envelope must be valid JSON.' };
+    }
+
+    const kdf = envelope && envelope.kdf;
+    if (!envelope || envelope.version !== 1 || envelope.cipher !== 'AES-GCM') {
+        return { error: 'Unsupported encryption envelope version or cipher.' };
+    }
+    if (!kdf || kdf.name !== 'PBKDF2' || kdf.hash !== 'SHA-256') {
+        return { error: 'Unsupported key derivation function.' };
+    }
+    if (!Number.isInteger(kdf.iterations) || kdf.iterations < 100000 || kdf.iterations > 10000000) {
+        return { error: 'KDF iterations must be between 100,000 and 10,000,000.' };
+    }
+    if (typeof kdf.salt !== 'string' || !/^[A-Za-z0-9+/]{16,88}={0,2}$/.test(kdf.salt)) {
+        return { error: 'KDF salt must be base64.' };
+    }
+
+    const fileNames = fileCount > 0 ? envelope.fileNames : [];
+    if (!Array.isArray(fileNames) || fileNames.length !== fileCount
+        || !fileNames.every(name => typeof name === 'string' && CIPHERTEXT_PATTERN.test(name))) {
+        return { error: 'Encrypted links must include the encrypted name of every file.' };
+    }
+
+    return {
+        envelope: {
+            version: envelope.version,
+            cipher: envelope.cipher,
+            kdf: { name: kdf.name, hash: kdf.hash, iterations: kdf.iterations, salt: kdf.salt },
+        },
+        fileNames,
+    };
+};
+
+/**
+ * Parse the optional lifetime fields (expiresAt, maxViews, maxDownloads).
+ * Fields that are absent are left out of the result so edits can keep the
+ * current value; an empty string clears a limit.
+ * Returns { error } on invalid input, otherwise { values }.
+ */
+const parseLifetimeInput = (body) => {
+    const values = {};
+
+    if (body.expiresAt !== undefined) {
+        if (body.expiresAt === '' || body.expiresAt === null) {
+            values.expiresAt = null;
+        } else {
+            const expiresAt = new Date(body.expiresAt);
+            if (isNaN(expiresAt.getTime())) {
+                return { error: 'Expiry must be a valid date.' };
+            }
+            if (expiresAt <= new Date()) {
+                return { error: 'Expiry must be in the future.' };
+            }
+            values.expiresAt = expiresAt;
+        }
+    }
 
+    for (const field of ['maxViews', 'maxDownloads']) {
+        const raw = body[field];
+        if (raw === undefined) continue;
+
+        if (raw === '' || raw === null) {
+            values[field] = null;
+            continue;
+        }
+
+        const n = Number(raw);
+        if (!Number.isInteger(n) || n < 1 || n > 1000000) {
+            const name = field === 'maxViews' ? 'Max views' : 'Max downloads';
+            return { error: `${name} must be a whole number between 1 and 1,000,000.` };
+        }
+        values[field] = n;
+    }
+
+    return { values };
+};
+
+/**
+ * Parse the optional rendering fields (contentType, codeLanguage).
+ * Like parseLifetimeInput, absent fields are left out so edits keep the
+ * current value. The Url model drops codeLanguage unless contentType is code.
+ * Returns { error } on invalid input, otherwise { values }.
+ */
+const parseContentTypeInput = (body) => {
+    const values = {};
+
+    if (body.contentType !== undefined && body.contentType !== '') {
+        if (!CONTENT_TYPES.includes(body.contentType)) {
+            return { error: `Content type must be one of: ${CONTENT_TYPES.join(', ')}.` };
+        }
+        values.contentType = body.contentType;
+    }
+
+    if (body.codeLanguage !== undefined) {
+        if (body.codeLanguage === '' || body.codeLanguage === null) {
+            values.codeLanguage = null;
+        } else if (CODE_LANGUAGES.includes(body.codeLanguage)) {
+            values.codeLanguage = body.codeLanguage;
+        } else {
+            return { error: 'Unsupported code language.' };
+        }
+    }
+
+    return { values };
+};
+
+/**
+ * Check a link (or recipient) password.
+ * Returns an error message, or null when the password is acceptable.
+ */
+const linkPasswordError = (password) => {
     if (!password || typeof password !== 'string' || password.trim().length === 0) {
-        return res.status(400).json({ error: 'Password is required.' });
+        return 'Password is required.';
     }
 
     if (password.trim().length < 4) {
-        return res.status(400).json({ error: 'Password must be at least 4 characters.' });
+        return 'Password must be at least 4 characters.';
     }
 
     if (password.trim().length > 128) {
-        return res.status(400).json({ error: 'Password must not exceed 128 characters.' });
+        return 'Password must not exceed 128 characters.';
     }
 
+    return null;
+};
+
+/**
+ * Check the password, text content and label of a plaintext link.
+ * Shared by POST /api/shorten and the CSV import.
+ * Returns an error message, or null when the fields are acceptable.
+ */
+const linkFieldsError = ({ password, textContent, label }) => {
+    const passwordError = linkPasswordError(password);
+    if (passwordError) return passwordError;
+
     if (!textContent || typeof textContent !== 'string' || textContent.trim().length === 0) {
-        return res.status(400).json({ error: 'Text content is required.' });
+        return 'Text content is required.';
     }
 
     if (textContent.trim().length > 10000) {
-        return res.status(400).json({ error: 'Text content must not exceed 10,000 characters.' });
+        return 'Text content must not exceed 10,000 characters.';
     }
 
     // Validate optional label
     if (label && typeof label === 'string' && label.trim().length > 100) {
-        return res.status(400).json({ error: 'Label must not exceed 100 characters.' });
+        return 'Label must not exceed 100 characters.';
+    }
+
+    return null;
+};
+
+// A custom alias is optional; uniqueness is checked by the route
+const optionalAliasError = (alias) =>
+    (alias === undefined || alias === '' ? null : aliasError(alias));
+
+/**
+ * Validate the POST /api/shorten request body.
+ * Ensures password and textContent are present and within limits.
+ * Sanitizes optional label, alias and lifetime fields.
+ * For end-to-end encrypted links (an `encryption` envelope is present) the
+ * password is the key-derived auth secret and textContent is ciphertext.
+ */
+const validateShortenInput = (req, res, next) => {
+    const { password, textContent, label, encryption } = req.body;
+
+    if (encryption) {
+        return validateEncryptedShortenInput(req, res, next);
+    }
+
+    const fieldError = linkFieldsError({ password, textContent, label });
+    if (fieldError) {
+        return res.status(400).json({ error: fieldError });
+    }
+
+    const aliasProblem = optionalAliasError(req.body.alias);
+    if (aliasProblem) {
+        return res.status(400).json({ error: aliasProblem });
+    }
+
+    const lifetime = parseLifetimeInput(req.body);
+    if (lifetime.error) {
+        return res.status(400).json({ error: lifetime.error });
+    }
+
+    const rendering = parseContentTypeInput(req.body);
+    if (rendering.error) {
+        return res.status(400).json({ error: rendering.error });
     }
 
     // Sanitize: trim whitespace
     req.body.password = password.trim();
     req.body.textContent = textContent.trim();
     req.body.label = (label && typeof label === 'string') ? label.trim() : '';
+    req.body.alias = req.body.alias || null;
+    req.body.expiresAt = lifetime.values.expiresAt || null;
+    req.body.maxViews = lifetime.values.maxViews || null;
+    req.body.maxDownloads = lifetime.values.maxDownloads || null;
+    req.body.contentType = rendering.values.contentType || 'plain';
+    req.body.codeLanguage = rendering.values.codeLanguage || null;
 
     next();
 };
 
+/**
+ * Validate the encrypted variant of POST /api/shorten.
+ * The server cannot see the plaintext, so only the shape of the ciphertext,
+ * auth secret and envelope is checked.
+ */
+const validateEncryptedShortenInput = (req, res, next) => {
+    const { password, textContent, label, encryption } = req.body;
+
+    if (typeof password !== 'string' || !AUTH_SECRET_PATTERN.test(password)) {
+        return res.status(400).json({ error: 'Encrypted links require a derived auth secret instead of a password.' });
+    }
+
+    if (typeof textContent !== 'string' || !CIPHERTEXT_PATTERN.test(textContent)) {
+        return res.status(400).json({ error: 'Encrypted text content is malformed.' });
+    }
+
+    if (textContent.length > MAX_ENCRYPTED_TEXT_LENGTH) {
+        return res.status(400).json({ error: 'Encrypted text content is too large.' });
+    }
+
+    const parsed = parseEncryptionEnvelope(encryption, (req.files || []).length);
+    if (parsed.error) {
+        return res.status(400).json({ error: parsed.error });
+    }
+
+    if (label && typeof label === 'string' && label.trim().length > 100) {
+        return res.status(400).json({ error: 'Label must not exceed 100 characters.' });
+    }
+
+    const aliasProblem = optionalAliasError(req.body.alias);
+    if (aliasProblem) {
+        return res.status(400).json({ error: aliasProblem });
+    }
+
+    const lifetime = parseLifetimeInput(req.body);
+    if (lifetime.error) {
+        return res.status(400).json({ error: lifetime.error });
+    }
+
+    const rendering = parseContentTypeInput(req.body);
+    if (rendering.error) {
+        return res.status(400).json({ error: rendering.error });
+    }
+
+    req.body.encryption = parsed.envelope;
+    req.body.encryptedFileNames = parsed.fileNames;
+    req.body.label = (label && typeof label === 'string') ? label.trim() : '';
+    req.body.alias = req.body.alias || null;
+    req.body.expiresAt = lifetime.values.expiresAt || null;
+    req.body.maxViews = lifetime.values.maxViews || null;
+    req.body.maxDownloads = lifetime.values.maxDownloads || null;
+    req.body.contentType = rendering.values.contentType || 'plain';
+    req.body.codeLanguage = rendering.values.codeLanguage || null;
+
+    next();
+};
+
+/**
+ * Check the extension of an uploaded file name. Encrypted uploads are
+ * opaque ciphertext, so they must use the .enc extension instead.
+ * Returns an error message, or null when the type is allowed.
+ */
+const fileTypeError = (fileName, encrypted) => {
+    const ext = path.extname(fileName).toLowerCase();
+    if (encrypted) {
+        return ext === ENCRYPTED_FILE_EXTENSION
+            ? null
+            : `File type '${ext}' is not allowed. Encrypted attachments must use '${ENCRYPTED_FILE_EXTENSION}'`;
+    }
+    return ALLOWED_EXTENSIONS.includes(ext)
+        ? null
+        : `File type '${ext}' is not allowed. Allowed types: ${ALLOWED_EXTENSIONS.join(', ')}`;
+};
+
 /**
  * Validate uploaded file (used as multer fileFilter).
- * Checks file extension against the allowed list.
+ * Checks the extension with fileTypeError (the `encryption` field has to
+ * precede the file in the multipart body).
  */
 const fileFilter = (req, file, cb) => {
-    const ext = path.extname(file.originalname).toLowerCase();
-    if (ALLOWED_EXTENSIONS.includes(ext)) {
-        cb(null, true);
+    const problem = fileTypeError(file.originalname, Boolean(req.body && req.body.encryption));
+    if (problem) {
+        cb(new Error(problem), false);
     } else {
-        cb(new Error(`File type '${ext}' is not allowed. Allowed types: ${ALLOWED_EXTENSIONS.join(', ')}`), false);
+        cb(null, true);
     }
 };
 
@@ -91,11 +369,75 @@ const validateAdminLogin = (req, res, next) => {
     next();
 };
 
+/**
+ * Check an admin username. Returns an error message, or null if acceptable.
+ */
+const adminUsernameError = (username) => {
+    if (!username || typeof username !== 'string' || !/^[A-Za-z0-9._-]{3,50}$/.test(username.trim())) {
+        return 'Username must be 3–50 letters, digits, dots, dashes or underscores.';
+    }
+    return null;
+};
+
+/**
+ * Check a new admin password. Returns an error message, or null if acceptable.
+ */
+const adminPasswordError = (password) => {
+    if (!password || typeof password !== 'string') {
+        return 'Password is required.';
+    }
+    if (password.length < 8) {
+        return 'Admin passwords must be at least 8 characters.';
+    }
+    if (password.length > 128) {
+        return 'Password must not exceed 128 characters.';
+    }
+    return null;
+};
+
+/**
+ * Validate the invite-admin request body.
+ */
+const validateAdminUserInput = (req, res, next) => {
+    const { username, role, password } = req.body;
+
+    const usernameProblem = adminUsernameError(username);
+    if (usernameProblem) {
+        return res.status(400).json({ error: usernameProblem });
+    }
+
+    if (role !== undefined && !ROLES.includes(role)) {
+        return res.status(400).json({ error: `Role must be one of: ${ROLES.join(', ')}.` });
+    }
+
+    if (password !== undefined && password !== '') {
+        const error = adminPasswordError(password);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+    }
+
+    req.body.username = username.trim();
+    req.body.role = role || 'viewer';
+    next();
+};
+
 module.exports = {
     validateShortenInput,
     validateVerifyInput,
+    linkFieldsError,
+    linkPasswordError,
     validateAdminLogin,
+    validateAdminUserInput,
+    adminUsernameError,
+    adminPasswordError,
+    parseLifetimeInput,
+    parseContentTypeInput,
+    parseEncryptionEnvelope,
+    fileTypeError,
     fileFilter,
+    mimeTypeFor,
     MAX_FILE_SIZE,
+    MAX_ATTACHMENTS,
     ALLOWED_EXTENSIONS,
 };
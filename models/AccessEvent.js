@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+
+/**
+ * AccessEvent Schema
+ * Append-only audit trail of link access and admin changes.
+ * Events keep a snapshot of shortId/serial so they stay meaningful
+ * after the link itself has been deleted or purged.
+ *
+ * Fields:
+ *  - type:          What happened (see EVENT_TYPES)
+ *  - url:           The link concerned (null for events not tied to one,
+ *                   e.g. team management)
+ *  - shortId:       Snapshot of the link's shortId
+ *  - serial:        Snapshot of the link's serial (e.g. "INV-10427")
+ *  - serialNumber:  Snapshot of the number inside it (the only snapshot on
+ *                   events from before formatted serials)
+ *  - ip:            Client IP address
+ *  - userAgent:     Client User-Agent header
+ *  - admin:         Acting admin for admin actions ({ id, username })
+ *  - apiKey:        API key the request authenticated with ({ id, name })
+ *  - details:       Event-specific extras (e.g. failure reason, changed fields)
+ */
+const EVENT_TYPES = [
+    'page_view',
+    'verify_success',
+    'verify_failure',
+    'download',
+    'link_create',
+    'admin_create',
+    'admin_update',
+    'admin_delete',
+    'admin_unlock',
+    'team_invite',
+    'team_update',
+    'team_password_reset',
+    'team_delete',
+    'password_change',
+    'two_factor_enable',
+    'two_factor_disable',
+    'two_factor_reset',
+    'recovery_codes_regenerate',
+    'settings_update',
+    'session_revoke',
+    'links_export',
+    'recipient_add',
+    'recipient_rotate',
+    'recipient_revoke',
+    'link_password_change',
+    'webhook_create',
+    'webhook_update',
+    'webhook_delete',
+    'file_quarantined',
+    'backup_create',
+    'backup_restore',
+    'api_key_create',
+    'api_key_update',
+    'api_key_revoke',
+];
+
+const accessEventSchema = new mongoose.Schema(
+    {
+        type: {
+            type: String,
+            enum: EVENT_TYPES,
+            required: true,
+            index: true,
+        },
+        url: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Url',
+            default: null,
+        },
+        shortId: {
+            type: String,
+            default: null,
+            index: true,
+        },
+        serial: {
+            type: String,
+            default: null,
+        },
+        serialNumber: {
+            type: Number,
+            default: null,
+        },
+        ip: {
+            type: String,
+            default: '',
+        },
+        userAgent: {
+            type: String,
+            default: '',
+            maxlength: 512,
+        },
+        admin: {
+            id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+            username: { type: String },
+        },
+        apiKey: {
+            id: { type: mongoose.Schema.Types.ObjectId, ref: 'ApiKey' },
+            name: { type: String },
+        },
+        details: {
+            type: mongoose.Schema.Types.Mixed,
+            default: undefined,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+accessEventSchema.index({ url: 1, createdAt: -1 });
+accessEventSchema.index({ createdAt: -1 });
+
+const AccessEvent = mongoose.model('AccessEvent', accessEventSchema);
+
+module.exports = AccessEvent;
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -4,7 +4,35 @@ const mongoose = require('mongoose');
  * Admin Schema
  * Stores admin credentials for the management dashboard.
  * Passwords are stored as bcrypt hashes — never in plain text.
+ *
+ * Roles:
+ *  - owner:  everything, including managing other admins
+ *  - editor: create, edit, unlock and delete links; read the audit log
+ *  - viewer: read-only access to links and the audit log
  */
+const ROLES = ['owner', 'editor', 'viewer'];
+
+/**
+ * TOTP second factor. The secret and recovery codes never leave the
+ * server except once, at enrollment, so they are excluded from queries
+ * unless explicitly selected.
+ */
+const twoFactorSchema = new mongoose.Schema(
+    {
+        enabled: { type: Boolean, default: false },
+        // Base32 secret of the active authenticator
+        secret: { type: String, default: null, select: false },
+        // Secret handed out by setup, awaiting its first valid code
+        pendingSecret: { type: String, default: null, select: false },
+        // SHA-256 hashes of unused one-time recovery codes
+        recoveryCodes: { type: [String], default: [], select: false },
+        // Last accepted time step, so a code cannot be replayed
+        lastUsedStep: { type: Number, default: 0, select: false },
+        enabledAt: { type: Date, default: null },
+    },
+    { _id: false }
+);
+
 const adminSchema = new mongoose.Schema(
     {
         username: {
@@ -17,10 +45,40 @@ const adminSchema = new mongoose.Schema(
             type: String,
             required: true,
         },
+        role: {
+            type: String,
+            enum: ROLES,
+            // Admins created before roles existed had full access
+            default: 'owner',
+        },
+        disabled: {
+            type: Boolean,
+            default: false,
+        },
+        // Set for invited admins and after a password reset
+        mustChangePassword: {
+            type: Boolean,
+            default: false,
+        },
+        lastLoginAt: {
+            type: Date,
+            default: null,
+        },
+        createdBy: {
+            type: String,
+            default: null,
+        },
+        twoFactor: {
+            type: twoFactorSchema,
+            default: () => ({}),
+        },
     },
     {
         timestamps: true,
     }
 );
 
-module.exports = mongoose.model('Admin', adminSchema);
+const Admin = mongoose.model('Admin', adminSchema);
+
+module.exports = Admin;
+module.exports.ROLES = ROLES;
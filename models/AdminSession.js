@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+
+/**
+ * AdminSession Schema
+ * One signed-in dashboard session. Access tokens carry the session id and
+ * are only honoured while the session is live; the refresh token that
+ * renews them is stored as a hash and rotated on every use.
+ *
+ * Fields:
+ *  - admin:             The admin this session belongs to
+ *  - refreshTokenHash:  SHA-256 of the current refresh token
+ *  - previousTokenHash: SHA-256 of the token it replaced — presenting it
+ *                       again means the token was copied, so the session
+ *                       is revoked
+ *  - ip / userAgent:    Where the session was started
+ *  - lastUsedAt:        Last sign-in or refresh
+ *  - expiresAt:         End of the refresh window (slides on each refresh);
+ *                       MongoDB removes the document afterwards
+ *  - revokedAt / revokedReason: Set when the session was ended early
+ */
+const adminSessionSchema = new mongoose.Schema(
+    {
+        admin: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Admin',
+            required: true,
+            index: true,
+        },
+        refreshTokenHash: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        previousTokenHash: {
+            type: String,
+            default: null,
+            select: false,
+        },
+        ip: {
+            type: String,
+            default: '',
+        },
+        userAgent: {
+            type: String,
+            default: '',
+            maxlength: 512,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedReason: {
+            type: String,
+            default: null,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+// Expired sessions are deleted by MongoDB's TTL monitor
+adminSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+/**
+ * Whether access tokens for this session may still be used.
+ */
+adminSessionSchema.methods.isActive = function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+};
+
+const AdminSession = mongoose.model('AdminSession', adminSessionSchema);
+
+module.exports = AdminSession;
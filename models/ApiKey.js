@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+/**
+ * ApiKey Schema
+ * An owner-issued credential for the public REST API (/api/v1, see
+ * routes/apiV1.js). Only a SHA-256 hash of the key is stored; the key
+ * itself is shown once, when it is created.
+ *
+ * Fields:
+ *  - name:        What the key is for, shown in the dashboard and audit log
+ *  - prefix:      First characters of the key, to tell keys apart
+ *  - keyHash:     SHA-256 of the full key (hex)
+ *  - scopes:      What the key may do (see SCOPES)
+ *  - rateLimit:   Requests per minute allowed for this key
+ *  - createdBy:   Username of the owner who issued it
+ *  - lastUsedAt:  Last time a request authenticated with it
+ *  - revokedAt:   Set when revoked; revoked keys are refused
+ */
+// create: POST links · read: list and fetch metadata · manage: everything,
+// including editing and deleting links
+const SCOPES = ['create', 'read', 'manage'];
+
+const apiKeySchema = new mongoose.Schema(
+    {
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100,
+        },
+        prefix: {
+            type: String,
+            required: true,
+        },
+        keyHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+        scopes: {
+            type: [{ type: String, enum: SCOPES }],
+            validate: [scopes => scopes.length > 0, 'An API key needs at least one scope.'],
+        },
+        rateLimit: {
+            type: Number,
+            required: true,
+            min: 1,
+        },
+        createdBy: {
+            type: String,
+            default: null,
+        },
+        lastUsedAt: {
+            type: Date,
+            default: null,
+        },
+        revokedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Whether this key grants the given scope. `manage` implies the others.
+ */
+apiKeySchema.methods.allows = function (scope) {
+    return this.scopes.includes('manage') || this.scopes.includes(scope);
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+module.exports = ApiKey;
+module.exports.SCOPES = SCOPES;
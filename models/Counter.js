@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * Counter Schema
+ * Named monotonic sequences (e.g. link serial numbers). The key is the
+ * document _id; `seq` holds the last value handed out.
+ */
+const counterSchema = new mongoose.Schema(
+    {
+        _id: {
+            type: String,
+        },
+        seq: {
+            type: Number,
+            required: true,
+        },
+    },
+    {
+        versionKey: false,
+    }
+);
+
+/**
+ * Atomically take the next value of a sequence.
+ * A missing counter starts at `start`. Safe under concurrency: every caller
+ * gets a distinct value.
+ */
+counterSchema.statics.next = async function (key, start = 1) {
+    const counter = await this.findOneAndUpdate(
+        { _id: key },
+        [{ $set: { seq: { $add: [{ $ifNull: ['$seq', start - 1] }, 1] } } }],
+        { upsert: true, new: true }
+    );
+    return counter.seq;
+};
+
+/**
+ * Raise a sequence so its next value is above `value` (never lowers it).
+ */
+counterSchema.statics.ensureAtLeast = function (key, value) {
+    return this.updateOne(
+        { _id: key },
+        [{ $set: { seq: { $max: [{ $ifNull: ['$seq', value] }, value] } } }],
+        { upsert: true }
+    );
+};
+
+const Counter = mongoose.model('Counter', counterSchema);
+
+module.exports = Counter;
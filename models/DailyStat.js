@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+/**
+ * DailyStat Schema
+ * Usage counters of one link on one day (UTC), kept by services/analytics.js
+ * for the dashboard's charts. Like access events they outlive the link, so
+ * they carry a snapshot of its shortId, serial and label.
+ *
+ * Fields:
+ *  - day:       Midnight UTC of the day counted
+ *  - url:       The link counted
+ *  - shortId:   Snapshot of the link's shortId
+ *  - serial:    Snapshot of the link's serial
+ *  - label:     Snapshot of the link's label, used for per-label grouping
+ *  - counts:    How often each of METRICS happened that day
+ */
+const METRICS = ['created', 'views', 'unlocks', 'failedUnlocks', 'downloads'];
+
+const dailyStatSchema = new mongoose.Schema({
+    day: {
+        type: Date,
+        required: true,
+    },
+    url: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Url',
+        required: true,
+    },
+    shortId: {
+        type: String,
+        default: null,
+    },
+    serial: {
+        type: String,
+        default: null,
+    },
+    label: {
+        type: String,
+        default: '',
+    },
+    counts: Object.fromEntries(METRICS.map(metric => [metric, { type: Number, default: 0 }])),
+});
+
+dailyStatSchema.index({ day: 1, url: 1 }, { unique: true });
+dailyStatSchema.index({ day: 1, label: 1 });
+
+const DailyStat = mongoose.model('DailyStat', dailyStatSchema);
+
+module.exports = DailyStat;
+module.exports.METRICS = METRICS;
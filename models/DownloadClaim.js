@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+/**
+ * DownloadClaim Schema
+ * A download that was counted against a link's limits, remembered for the
+ * lifetime of the download token it was made with. Range requests that
+ * resume a transfer are only served for a claimed file, so a token cannot
+ * fetch a file over and over without using up maxDownloads.
+ *
+ * Fields:
+ *  - tokenId:    The download token's jti
+ *  - attachment: The attachment that was downloaded
+ *  - expiresAt:  When the token expires; MongoDB removes the document afterwards
+ */
+const downloadClaimSchema = new mongoose.Schema({
+    tokenId: {
+        type: String,
+        required: true,
+    },
+    attachment: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    expiresAt: {
+        type: Date,
+        required: true,
+    },
+});
+
+downloadClaimSchema.index({ tokenId: 1, attachment: 1 }, { unique: true });
+
+// Claims of expired tokens are deleted by MongoDB's TTL monitor
+downloadClaimSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const DownloadClaim = mongoose.model('DownloadClaim', downloadClaimSchema);
+
+module.exports = DownloadClaim;
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+/**
+ * Setting Schema
+ * Instance-wide switches that owners change from the dashboard.
+ * One document per key; missing keys fall back to DEFAULTS.
+ */
+const DEFAULTS = {
+    // Every admin must enroll in TOTP before a session is issued
+    requireTwoFactor: false,
+    // Anonymous link creation is off: POST /api/shorten and resumable
+    // uploads need an admin login or an API key with the create scope
+    requireAuthForCreate: false,
+};
+
+const settingSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+            enum: Object.keys(DEFAULTS),
+        },
+        value: {
+            type: mongoose.Schema.Types.Mixed,
+        },
+        updatedBy: {
+            type: String,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Read one setting, falling back to its default.
+ */
+settingSchema.statics.getValue = async function (key) {
+    const doc = await this.findOne({ key });
+    if (doc) return doc.value;
+    return Object.hasOwn(DEFAULTS, key) ? DEFAULTS[key] : undefined;
+};
+
+/**
+ * Read every setting as a { key: value } object without a prototype, so a
+ * stored key can never reach Object.prototype. Unknown keys are ignored.
+ */
+settingSchema.statics.getAll = async function () {
+    const docs = await this.find();
+    const settings = Object.assign(Object.create(null), DEFAULTS);
+    for (const doc of docs) {
+        if (Object.hasOwn(DEFAULTS, doc.key)) settings[doc.key] = doc.value;
+    }
+    return settings;
+};
+
+/**
+ * Write one setting. The key is validated against DEFAULTS like on save.
+ */
+settingSchema.statics.setValue = function (key, value, updatedBy = null) {
+    return this.findOneAndUpdate(
+        { key },
+        { $set: { value, updatedBy }, $setOnInsert: { key } },
+        { upsert: true, new: true, runValidators: true }
+    );
+};
+
+const Setting = mongoose.model('Setting', settingSchema);
+
+module.exports = Setting;
+module.exports.DEFAULTS = DEFAULTS;
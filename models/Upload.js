@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { SCAN_STATUSES } = require('./Url');
+
+/**
+ * Upload Schema
+ * A resumable upload (see routes/uploads.js). Chunks are staged in the
+ * storage backend as separate objects, encrypted under a per-upload key;
+ * once every byte has arrived they are assembled into one attachment file,
+ * encrypted at rest like any other upload, which a link can then claim.
+ *
+ * Fields:
+ *  - uploadId:       Public, unguessable id used in /api/uploads/:uploadId
+ *  - fileName:       Original file name (ciphertext-named `.enc` when encrypted)
+ *  - size:           Total length announced when the upload was created
+ *  - offset:         Bytes received so far
+ *  - encrypted:      End-to-end encrypted by the browser; only E2E links take it
+ *  - status:         uploading, assembling (last chunk in, file being built),
+ *                    complete (ready to attach), attached (claimed by a request)
+ *  - parts:          Staged chunks in order: { key, offset, size }
+ *  - staging:        Wrapped key and IV the chunks are encrypted with
+ *  - storageKey:     Assembled file, once complete
+ *  - storedSize:     Its size (image metadata may have been stripped)
+ *  - fileEncryption: Encryption metadata of the assembled file
+ *  - detectedMimeType, scan: Content inspection results, as on attachments
+ *  - expiresAt:      Abandoned uploads are swept after this; every chunk extends it
+ */
+const STATUSES = ['uploading', 'assembling', 'complete', 'attached'];
+
+const partSchema = new mongoose.Schema(
+    {
+        key: { type: String, required: true },
+        offset: { type: Number, required: true },
+        size: { type: Number, required: true },
+    },
+    { _id: false }
+);
+
+// Wrapped key and CTR IV of the staged chunks
+const stagingKeySchema = new mongoose.Schema(
+    {
+        keyId: { type: String, required: true },
+        wrappedKey: { type: String, required: true },
+        iv: { type: String, required: true },
+    },
+    { _id: false }
+);
+
+// Same shape as a Url attachment's fileEncryption
+const fileEncryptionSchema = new mongoose.Schema(
+    {
+        keyId: { type: String, required: true },
+        wrappedKey: { type: String, required: true },
+        iv: { type: String, required: true },
+        authTag: { type: String, required: true },
+    },
+    { _id: false }
+);
+
+// Same shape as a Url attachment's scan
+const scanResultSchema = new mongoose.Schema(
+    {
+        status: { type: String, enum: SCAN_STATUSES, required: true },
+        signature: { type: String, default: null },
+        scannedAt: { type: Date, required: true },
+    },
+    { _id: false }
+);
+
+const uploadSchema = new mongoose.Schema(
+    {
+        uploadId: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        fileName: {
+            type: String,
+            required: true,
+            maxlength: 255,
+        },
+        size: {
+            type: Number,
+            required: true,
+        },
+        offset: {
+            type: Number,
+            default: 0,
+        },
+        encrypted: {
+            type: Boolean,
+            default: false,
+        },
+        status: {
+            type: String,
+            enum: STATUSES,
+            default: 'uploading',
+        },
+        parts: {
+            type: [partSchema],
+            default: [],
+        },
+        staging: {
+            type: stagingKeySchema,
+            required: true,
+            select: false,
+        },
+        storageKey: {
+            type: String,
+            default: null,
+        },
+        storedSize: {
+            type: Number,
+            default: null,
+        },
+        fileEncryption: {
+            type: fileEncryptionSchema,
+            default: null,
+            select: false,
+        },
+        detectedMimeType: {
+            type: String,
+            default: null,
+        },
+        scan: {
+            type: scanResultSchema,
+            default: null,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// The sweeper's scan for abandoned uploads
+uploadSchema.index({ expiresAt: 1 });
+
+const Upload = mongoose.model('Upload', uploadSchema);
+
+module.exports = Upload;
+module.exports.STATUSES = STATUSES;
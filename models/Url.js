@@ -1,26 +1,231 @@
 const mongoose = require('mongoose');
 
+// How the text is rendered after verification. public/js/render.js
+// highlights the same languages.
+const CONTENT_TYPES = ['plain', 'markdown', 'code'];
+const CODE_LANGUAGES = [
+    'bash', 'c', 'cpp', 'csharp', 'css', 'go', 'html', 'java', 'javascript', 'json',
+    'php', 'python', 'ruby', 'rust', 'sql', 'typescript', 'xml', 'yaml',
+];
+
 /**
  * Url Schema
- * Represents a password-protected short URL with optional file attachment.
+ * Represents a password-protected short URL with optional file attachments.
  *
  * Fields:
- *  - serialNumber:  Unique auto-incrementing numeric ID for user-facing search
- *  - shortId:       Unique nanoid-generated identifier (used in the URL path)
+ *  - serial:        User-facing identifier for search, e.g. "INV-10427"
+ *                   (prefix, number and optional check digit, see
+ *                   services/serialNumbers.js)
+ *  - serialNumber:  The number inside `serial`, unique within its sequence
+ *  - serialSequence: Sequence the number was drawn from ("default" or a label)
+ *  - shortId:       Unique identifier used in the URL path: nanoid-generated,
+ *                   or a custom alias chosen by the creator
+ *  - previousAliases: Former shortIds that still redirect here until expiresAt
  *  - passwordHash:  bcrypt-hashed password required to view content
+ *  - recipients:    Extra named passwords, each tracked and revocable on its
+ *                   own (see recipientSchema)
  *  - textContent:   Text displayed after password verification
- *  - fileName:      Original name of the uploaded file (null if no file)
- *  - filePath:      Server-side path to the stored file (null if no file)
+ *  - contentType:   How the text is rendered: plain, markdown or code
+ *  - codeLanguage:  Highlighting language when contentType is code
+ *  - attachments:   Uploaded files (see attachmentSchema), empty for text-only links
  *  - label:         User/admin-assigned tag for organization
- *  - downloadCount: Number of times the attached file has been downloaded
+ *  - downloadCount: Number of downloads of the link's files (a single file or
+ *                   the zip bundle each count once)
+ *  - viewCount:     Number of successful password verifications
+ *  - expiresAt:     Optional moment after which the link is no longer readable
+ *  - maxViews:      Optional cap on viewCount (1 = burn after reading)
+ *  - maxDownloads:  Optional cap on downloadCount
+ *  - failedAttempts: Consecutive wrong passwords (reset on success / unlock)
+ *  - lastFailedAt:  Time of the most recent wrong password
+ *  - nextAttemptAt: Earliest time the next password check is allowed
+ *  - lockedUntil:   Set once too many wrong passwords lock the link
+ *  - encryption:    End-to-end encryption envelope (null for legacy plaintext
+ *                   links). When set, textContent is "<iv>:<ciphertext>", each
+ *                   stored file is iv || ciphertext with an encrypted fileName,
+ *                   and passwordHash hashes a key-derived auth secret rather
+ *                   than the password itself.
+ */
+
+/**
+ * Encryption envelope
+ * Everything the browser needs (besides the password) to re-derive the
+ * content key. Contains no key material.
+ */
+const encryptionSchema = new mongoose.Schema(
+    {
+        version: {
+            type: Number,
+            required: true,
+        },
+        cipher: {
+            type: String,
+            enum: ['AES-GCM'],
+            required: true,
+        },
+        kdf: {
+            name: { type: String, enum: ['PBKDF2'], required: true },
+            hash: { type: String, enum: ['SHA-256'], required: true },
+            iterations: { type: Number, required: true },
+            salt: { type: String, required: true },
+        },
+    },
+    { _id: false }
+);
+
+/**
+ * At-rest file encryption metadata
+ * The data key is wrapped by the server master key identified by keyId
+ * (see services/fileCrypto.js). GCM IV and auth tag belong to the file.
+ */
+const fileEncryptionSchema = new mongoose.Schema(
+    {
+        keyId: { type: String, required: true },
+        wrappedKey: { type: String, required: true },
+        iv: { type: String, required: true },
+        authTag: { type: String, required: true },
+    },
+    { _id: false }
+);
+
+// Outcome of the malware scan (services/fileScanner.js). "infected" files
+// are quarantined: kept for the admins, never served.
+const SCAN_STATUSES = ['clean', 'infected', 'error'];
+
+const scanResultSchema = new mongoose.Schema(
+    {
+        status: { type: String, enum: SCAN_STATUSES, required: true },
+        signature: { type: String, default: null },
+        scannedAt: { type: Date, required: true },
+    },
+    { _id: false }
+);
+
+/**
+ * Attachment
+ * One uploaded file. The _id identifies it in download and removal requests.
+ *
+ *  - fileName:       Original file name; "<iv>:<ciphertext>" on end-to-end
+ *                    encrypted links
+ *  - storageKey:     Key of the stored object in the storage backend (links
+ *                    created before the storage abstraction hold a local path)
+ *  - size:           Size in bytes of the downloadable file
+ *  - mimeType:       Content type derived from the file extension
+ *  - detectedMimeType: Content type found by sniffing the file's bytes
+ *                    (null for encrypted and older files)
+ *  - scan:           Malware scan result: { status, signature, scannedAt }
+ *                    (null when no scanner was configured)
+ *  - downloadCount:  Downloads of this file, alone or inside a zip bundle
+ *  - missingAt:      When the stored file was found missing (see
+ *                    services/storageReconciliation.js); null while it exists
+ *  - fileEncryption: At-rest encryption metadata (null for files uploaded
+ *                    before encryption at rest)
+ */
+const attachmentSchema = new mongoose.Schema(
+    {
+        fileName: {
+            type: String,
+            required: true,
+        },
+        storageKey: {
+            type: String,
+            required: true,
+        },
+        size: {
+            type: Number,
+            default: null,
+        },
+        mimeType: {
+            type: String,
+            default: 'application/octet-stream',
+        },
+        detectedMimeType: {
+            type: String,
+            default: null,
+        },
+        scan: {
+            type: scanResultSchema,
+            default: null,
+        },
+        downloadCount: {
+            type: Number,
+            default: 0,
+        },
+        missingAt: {
+            type: Date,
+            default: null,
+        },
+        fileEncryption: {
+            type: fileEncryptionSchema,
+            default: null,
+            select: false,
+        },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+/**
+ * Recipient
+ * A named password for one person the link is shared with. Any active
+ * recipient password (or the link's own password) unlocks the link.
+ *
+ *  - name:          Who the password was given to
+ *  - passwordHash:  bcrypt hash of the recipient's password
+ *  - expiresAt:     Optional moment after which this password stops working
+ *  - maxViews:      Optional cap on views through this password
+ *  - viewCount:     Successful verifications with this password
+ *  - lastUsedAt:    Time of the most recent successful verification
+ *  - revokedAt:     Set when an admin cuts this recipient off
+ */
+const recipientSchema = new mongoose.Schema(
+    {
+        name: { type: String, required: true, trim: true, maxlength: 100 },
+        passwordHash: { type: String, required: true, select: false },
+        expiresAt: { type: Date, default: null },
+        maxViews: { type: Number, default: null, min: 1 },
+        viewCount: { type: Number, default: 0 },
+        lastUsedAt: { type: Date, default: null },
+        revokedAt: { type: Date, default: null },
+    },
+    {
+        timestamps: { createdAt: true, updatedAt: false },
+    }
+);
+
+/**
+ * Whether the recipient's password currently unlocks the link.
  */
+recipientSchema.methods.isActive = function (now = new Date()) {
+    if (this.revokedAt) return false;
+    if (this.expiresAt && this.expiresAt <= now) return false;
+    return this.maxViews == null || this.viewCount < this.maxViews;
+};
+
+/**
+ * Former alias kept as a redirect after a rename (see services/aliases.js)
+ */
+const previousAliasSchema = new mongoose.Schema(
+    {
+        shortId: { type: String, required: true },
+        expiresAt: { type: Date, required: true },
+    },
+    { _id: false }
+);
+
 const urlSchema = new mongoose.Schema(
     {
+        serial: {
+            type: String,
+            required: true,
+        },
         serialNumber: {
             type: Number,
             required: true,
-            unique: true,
-            index: true,
+        },
+        serialSequence: {
+            type: String,
+            default: 'default',
         },
         shortId: {
             type: String,
@@ -28,23 +233,37 @@ const urlSchema = new mongoose.Schema(
             unique: true,
             index: true,
         },
+        previousAliases: {
+            type: [previousAliasSchema],
+            default: [],
+        },
         passwordHash: {
             type: String,
             required: true,
         },
+        recipients: {
+            type: [recipientSchema],
+            default: [],
+        },
         textContent: {
             type: String,
             required: true,
-            maxlength: 10000,
+            maxlength: 60000, // ciphertext of a 10,000-character plaintext
         },
-        fileName: {
+        contentType: {
             type: String,
-            default: null,
+            enum: CONTENT_TYPES,
+            default: 'plain',
         },
-        filePath: {
+        codeLanguage: {
             type: String,
+            enum: [...CODE_LANGUAGES, null],
             default: null,
         },
+        attachments: {
+            type: [attachmentSchema],
+            default: [],
+        },
         label: {
             type: String,
             default: '',
@@ -54,10 +273,149 @@ const urlSchema = new mongoose.Schema(
             type: Number,
             default: 0,
         },
+        viewCount: {
+            type: Number,
+            default: 0,
+        },
+        expiresAt: {
+            type: Date,
+            default: null,
+            index: true,
+        },
+        maxViews: {
+            type: Number,
+            default: null,
+            min: 1,
+        },
+        maxDownloads: {
+            type: Number,
+            default: null,
+            min: 1,
+        },
+        failedAttempts: {
+            type: Number,
+            default: 0,
+        },
+        lastFailedAt: {
+            type: Date,
+            default: null,
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: null,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        encryption: {
+            type: encryptionSchema,
+            default: null,
+        },
     },
     {
         timestamps: true, // Adds createdAt and updatedAt
     }
 );
 
+// Serials are unique; numbers only within their sequence. Partial so
+// links predating `serial` do not collide before migrateSerials runs.
+urlSchema.index({ serial: 1 }, { unique: true, partialFilterExpression: { serial: { $type: 'string' } } });
+urlSchema.index({ serialSequence: 1, serialNumber: -1 }, { unique: true });
+urlSchema.index({ serialNumber: -1, _id: -1 });
+
+// Sort orders of the paginated admin list (GET /api/admin/urls); _id is the tie-breaker
+urlSchema.index({ createdAt: -1, _id: -1 });
+urlSchema.index({ label: 1, _id: 1 });
+urlSchema.index({ downloadCount: -1, _id: -1 });
+
+// Redirect lookups for renamed aliases
+urlSchema.index({ 'previousAliases.shortId': 1 });
+
+// A highlighting language only means something for code
+urlSchema.pre('validate', function () {
+    if (this.contentType !== 'code') this.codeLanguage = null;
+});
+
+/**
+ * Whether the link has passed its expiry date.
+ */
+urlSchema.methods.isExpired = function (now = new Date()) {
+    return !!this.expiresAt && this.expiresAt <= now;
+};
+
+/**
+ * Whether every allowed view has been used up.
+ */
+urlSchema.methods.viewsExhausted = function () {
+    return this.maxViews != null && this.viewCount >= this.maxViews;
+};
+
+/**
+ * Whether every allowed download has been used up.
+ */
+urlSchema.methods.downloadsExhausted = function () {
+    return this.maxDownloads != null && this.downloadCount >= this.maxDownloads;
+};
+
+/**
+ * Whether brute-force protection currently locks the link.
+ */
+urlSchema.methods.isLocked = function (now = new Date()) {
+    return !!this.lockedUntil && this.lockedUntil > now;
+};
+
+/**
+ * A link is spent once it has expired, or once its views are used up and
+ * its attachments cannot be fetched any more: there are none, or no download
+ * limit keeps them available, or the download limit is used up too.
+ * Spent links are purged by the sweeper.
+ */
+urlSchema.methods.isSpent = function (now = new Date()) {
+    if (this.isExpired(now)) return true;
+    return this.viewsExhausted()
+        && (this.attachments.length === 0 || this.maxDownloads == null || this.downloadsExhausted());
+};
+
+/**
+ * Query matching every spent link (mirror of isSpent for bulk purging).
+ */
+urlSchema.statics.spentFilter = function (now = new Date()) {
+    const viewsExhausted = { maxViews: { $ne: null }, $expr: { $gte: ['$viewCount', '$maxViews'] } };
+    return {
+        $or: [
+            { expiresAt: { $ne: null, $lte: now } },
+            {
+                $and: [
+                    viewsExhausted,
+                    {
+                        $or: [
+                            { 'attachments.0': { $exists: false } },
+                            { maxDownloads: null },
+                            { maxDownloads: { $ne: null }, $expr: { $gte: ['$downloadCount', '$maxDownloads'] } },
+                        ],
+                    },
+                ],
+            },
+        ],
+    };
+};
+
+/**
+ * Find an attachment by id (null if the link has no such file).
+ */
+urlSchema.methods.findAttachment = function (attachmentId) {
+    return this.attachments.find(a => String(a._id) === String(attachmentId)) || null;
+};
+
+/**
+ * Find a recipient by id (null if the link has no such recipient).
+ */
+urlSchema.methods.findRecipient = function (recipientId) {
+    return this.recipients.find(r => String(r._id) === String(recipientId)) || null;
+};
+
 module.exports = mongoose.model('Url', urlSchema);
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
+module.exports.CODE_LANGUAGES = CODE_LANGUAGES;
+module.exports.SCAN_STATUSES = SCAN_STATUSES;
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+/**
+ * Webhook Schema
+ * An admin-managed subscription that receives link lifecycle and access
+ * events as signed JSON POSTs (see services/webhooks.js).
+ *
+ * Fields:
+ *  - url:           Receiver endpoint (http or https)
+ *  - description:   Free-text note for the dashboard
+ *  - events:        Event types to send (see EVENT_TYPES); empty = all
+ *  - secret:        HMAC-SHA256 signing key, shown once on creation
+ *  - active:        Paused subscriptions queue nothing
+ *  - createdBy:     Username of the admin who added it
+ */
+const EVENT_TYPES = [
+    'link.created',
+    'link.viewed',
+    'link.unlocked',
+    'link.downloaded',
+    'link.updated',
+    'link.deleted',
+    'link.password_attempts',
+];
+
+const webhookSchema = new mongoose.Schema(
+    {
+        url: {
+            type: String,
+            required: true,
+            maxlength: 2048,
+        },
+        description: {
+            type: String,
+            default: '',
+            maxlength: 200,
+        },
+        events: {
+            type: [{ type: String, enum: EVENT_TYPES }],
+            default: [],
+        },
+        secret: {
+            type: String,
+            required: true,
+            select: false,
+        },
+        active: {
+            type: Boolean,
+            default: true,
+        },
+        createdBy: {
+            type: String,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+/**
+ * Whether this subscription wants events of the given type.
+ */
+webhookSchema.methods.wants = function (type) {
+    return this.active && (this.events.length === 0 || this.events.includes(type));
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+module.exports = Webhook;
+module.exports.EVENT_TYPES = EVENT_TYPES;
@@ -0,0 +1,84 @@
+const mongoose = require('mongoose');
+
+/**
+ * WebhookDelivery Schema
+ * One event queued for one webhook. Doubles as the persistent delivery
+ * queue and the delivery log shown in the dashboard, so pending deliveries
+ * survive a restart.
+ *
+ * Fields:
+ *  - webhook:        The subscription it is for
+ *  - event:          Webhook event type (see Webhook.EVENT_TYPES)
+ *  - payload:        The exact JSON body that is signed and sent
+ *  - status:         pending (queued or waiting to retry), succeeded, failed
+ *  - attempts:       Delivery attempts made so far
+ *  - nextAttemptAt:  When a pending delivery is due
+ *  - lockedUntil:    Lease of the worker currently sending it
+ *  - responseStatus: HTTP status of the last attempt (null on network errors)
+ *  - lastError:      Why the last attempt failed
+ *  - completedAt:    When it succeeded or was given up on
+ */
+const STATUSES = ['pending', 'succeeded', 'failed'];
+
+const webhookDeliverySchema = new mongoose.Schema(
+    {
+        webhook: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Webhook',
+            required: true,
+        },
+        event: {
+            type: String,
+            required: true,
+        },
+        payload: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: STATUSES,
+            default: 'pending',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        nextAttemptAt: {
+            type: Date,
+            default: Date.now,
+        },
+        lockedUntil: {
+            type: Date,
+            default: null,
+        },
+        responseStatus: {
+            type: Number,
+            default: null,
+        },
+        lastError: {
+            type: String,
+            default: null,
+            maxlength: 500,
+        },
+        completedAt: {
+            type: Date,
+            default: null,
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// The worker's queue scan, and the per-webhook log
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, _id: -1 });
+
+// Finished deliveries stay in the log for 30 days
+webhookDeliverySchema.index({ completedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+module.exports = WebhookDelivery;
+module.exports.STATUSES = STATUSES;
@@ -0,0 +1,129 @@
+/**
+ * End-to-end encryption helpers (browser only, WebCrypto).
+ *
+ * The link password never leaves the browser. PBKDF2 stretches it into
+ * 512 bits: the first half is the AES-GCM content key, the second half is
+ * an "auth secret" that is sent to the server in place of the password and
+ * bcrypt-hashed there as usual. The server therefore stores only ciphertext
+ * and KDF parameters, and cannot recover the content key from what it sees.
+ *
+ * Text fields are encoded as "<iv>:<ciphertext>" (both base64).
+ * Binary payloads (attachments) are encoded as iv (12 bytes) || ciphertext.
+ */
+(function () {
+    const ENVELOPE_VERSION = 1;
+    const KDF_ITERATIONS = 310000;
+    const IV_BYTES = 12;
+
+    const encoder = new TextEncoder();
+    const decoder = new TextDecoder();
+
+    function toBase64(bytes) {
+        let binary = '';
+        bytes.forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary);
+    }
+
+    function fromBase64(str) {
+        return Uint8Array.from(atob(str), c => c.charCodeAt(0));
+    }
+
+    function toHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    // ─── Key derivation ──────────────────────────────────────────────
+    async function deriveKeys(password, kdf) {
+        const material = await crypto.subtle.importKey(
+            'raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits']
+        );
+        const bits = new Uint8Array(await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: kdf.hash, salt: fromBase64(kdf.salt), iterations: kdf.iterations },
+            material,
+            512
+        ));
+
+        const key = await crypto.subtle.importKey(
+            'raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']
+        );
+        return { key, authSecret: toHex(bits.slice(32)) };
+    }
+
+    // Fresh envelope (random salt) plus the keys derived for it
+    async function newEnvelope(password) {
+        const kdf = {
+            name: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: KDF_ITERATIONS,
+            salt: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+        };
+        const keys = await deriveKeys(password, kdf);
+        return { envelope: { version: ENVELOPE_VERSION, cipher: 'AES-GCM', kdf }, ...keys };
+    }
+
+    // ─── Text ────────────────────────────────────────────────────────
+    async function encryptText(key, text) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const ct = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, encoder.encode(text));
+        return `${toBase64(iv)}:${toBase64(new Uint8Array(ct))}`;
+    }
+
+    async function decryptText(key, payload) {
+        const [iv, ct] = payload.split(':');
+        const pt = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(iv) }, key, fromBase64(ct));
+        return decoder.decode(pt);
+    }
+
+    // ─── Binary ──────────────────────────────────────────────────────
+    async function encryptBytes(key, buffer) {
+        const iv = crypto.getRandomValues(new Uint8Array(IV_BYTES));
+        const ct = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, buffer));
+        const out = new Uint8Array(IV_BYTES + ct.length);
+        out.set(iv, 0);
+        out.set(ct, IV_BYTES);
+        return out;
+    }
+
+    async function decryptBytes(key, buffer) {
+        const bytes = new Uint8Array(buffer);
+        return crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: bytes.slice(0, IV_BYTES) }, key, bytes.slice(IV_BYTES)
+        );
+    }
+
+    /**
+     * Turn create-form values into the fields POST /api/shorten expects for
+     * an encrypted link. `files` is an optional list of File objects; their
+     * encrypted names go into envelope.fileNames in the same order.
+     */
+    async function encryptSubmission({ password, textContent, files = [] }) {
+        const { envelope, key, authSecret } = await newEnvelope(password);
+        const result = {
+            password: authSecret,
+            textContent: await encryptText(key, textContent),
+            envelope,
+            files: [],
+        };
+
+        if (files.length > 0) {
+            envelope.fileNames = [];
+            for (const file of files) {
+                envelope.fileNames.push(await encryptText(key, file.name));
+                const sealed = await encryptBytes(key, await file.arrayBuffer());
+                result.files.push(new File([sealed], 'attachment.enc', { type: 'application/octet-stream' }));
+            }
+        }
+
+        return result;
+    }
+
+    window.E2E = {
+        deriveKeys,
+        newEnvelope,
+        encryptText,
+        decryptText,
+        encryptBytes,
+        decryptBytes,
+        encryptSubmission,
+    };
+})();
@@ -0,0 +1,469 @@
+/**
+ * Safe rendering of link text (browser only).
+ *
+ * Markdown and code are turned into DOM nodes with createElement and
+ * textContent only: no string from the link ever reaches innerHTML, so
+ * raw HTML in the text shows up as text, never as markup. Link targets are
+ * limited to http(s) and mailto. This has to run in the browser because
+ * end-to-end encrypted text is only readable there.
+ *
+ * Markdown subset: headings, paragraphs, emphasis, strong, strikethrough,
+ * inline code, fenced code blocks, block quotes, lists, rules, links and
+ * bare URLs. Images are shown as links so opening a note loads nothing
+ * from third parties.
+ */
+(function () {
+    const MAX_DEPTH = 12; // Nesting of quotes / lists / emphasis
+    const MAX_SPAN = 4000; // Longest inline construct looked for, keeps parsing linear-ish
+    const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+    // Must match CODE_LANGUAGES in models/Url.js
+    const C_LIKE = {
+        lineComment: '//',
+        blockComment: ['/*', '*/'],
+        strings: ['"', "'"],
+    };
+    const LANGUAGES = {
+        bash: {
+            label: 'Bash', lineComment: '#', strings: ['"', "'"],
+            keywords: 'if then else elif fi for while until do done case esac function in return local export echo exit',
+        },
+        c: {
+            label: 'C', ...C_LIKE,
+            keywords: 'auto break case char const continue default do double else enum extern float for goto if int long register return short signed sizeof static struct switch typedef union unsigned void volatile while NULL',
+        },
+        cpp: {
+            label: 'C++', ...C_LIKE,
+            keywords: 'auto bool break case catch char class const constexpr continue default delete do double else enum explicit false float for friend if inline int long namespace new nullptr operator private protected public return short signed sizeof static struct switch template this throw true try typedef typename union unsigned using virtual void while',
+        },
+        csharp: {
+            label: 'C#', ...C_LIKE,
+            keywords: 'abstract as async await base bool break case catch class const continue decimal default do double else enum false finally float for foreach if in int interface internal is long namespace new null object out override private protected public readonly ref return sealed static string struct switch this throw true try using var virtual void while',
+        },
+        css: {
+            label: 'CSS', blockComment: ['/*', '*/'], strings: ['"', "'"],
+            keywords: 'important media import keyframes from to root hover focus active before after',
+        },
+        go: {
+            label: 'Go', ...C_LIKE, strings: ['"', "'", '`'],
+            keywords: 'break case chan const continue default defer else fallthrough for func go goto if import interface map package range return select struct switch type var nil true false',
+        },
+        html: { label: 'HTML', blockComment: ['<!--', '-->'], strings: ['"', "'"], markup: true },
+        java: {
+            label: 'Java', ...C_LIKE,
+            keywords: 'abstract boolean break byte case catch char class const continue default do double else enum extends final finally float for if implements import instanceof int interface long new null package private protected public return short static super switch this throw throws true false try void while',
+        },
+        javascript: {
+            label: 'JavaScript', ...C_LIKE, strings: ['"', "'", '`'],
+            keywords: 'async await break case catch class const continue default delete do else export extends false finally for from function if import in instanceof let new null of return static super switch this throw true try typeof undefined var void while yield',
+        },
+        json: { label: 'JSON', strings: ['"'], keywords: 'true false null' },
+        php: {
+            label: 'PHP', ...C_LIKE,
+            keywords: 'abstract array as break case catch class const continue default do echo else elseif extends false final finally for foreach function if implements interface namespace new null private protected public return static switch throw true try use var while',
+        },
+        python: {
+            label: 'Python', lineComment: '#', strings: ['"', "'"],
+            keywords: 'and as assert async await break class continue def del elif else except False finally for from global if import in is lambda None nonlocal not or pass raise return True try while with yield',
+        },
+        ruby: {
+            label: 'Ruby', lineComment: '#', strings: ['"', "'"],
+            keywords: 'alias and begin break case class def do else elsif end ensure false for if in module next nil not or redo rescue retry return self super then true undef unless until when while yield',
+        },
+        rust: {
+            label: 'Rust', ...C_LIKE,
+            keywords: 'as async await break const continue crate else enum extern false fn for if impl in let loop match mod move mut pub ref return self Self static struct super trait true type unsafe use where while',
+        },
+        sql: {
+            label: 'SQL', lineComment: '--', blockComment: ['/*', '*/'], strings: ["'", '"'], ignoreCase: true,
+            keywords: 'select from where and or not insert into values update set delete create table alter drop index join left right inner outer on group by order having limit offset as distinct null is in like between union all primary key references default',
+        },
+        typescript: {
+            label: 'TypeScript', ...C_LIKE, strings: ['"', "'", '`'],
+            keywords: 'abstract any as async await boolean break case catch class const continue default delete do else enum export extends false finally for from function if implements import in instanceof interface keyof let never new null number of private protected public readonly return static string super switch this throw true try type typeof undefined unknown var void while yield',
+        },
+        xml: { label: 'XML', blockComment: ['<!--', '-->'], strings: ['"', "'"], markup: true },
+        yaml: { label: 'YAML', lineComment: '#', strings: ['"', "'"], keywords: 'true false null yes no on off' },
+    };
+
+    for (const lang of Object.values(LANGUAGES)) {
+        const words = (lang.keywords || '').split(' ').filter(Boolean);
+        lang.keywordSet = new Set(lang.ignoreCase ? words.map(w => w.toLowerCase()) : words);
+    }
+
+    function el(tag, className, text) {
+        const node = document.createElement(tag);
+        if (className) node.className = className;
+        if (text !== undefined) node.textContent = text;
+        return node;
+    }
+
+    // Absolute href for an allowed scheme, or null
+    function safeHref(raw) {
+        try {
+            const url = new URL(raw, window.location.origin);
+            return SAFE_PROTOCOLS.includes(url.protocol) ? url.href : null;
+        } catch (err) {
+            return null;
+        }
+    }
+
+    function link(href, children) {
+        const a = el('a');
+        a.href = href;
+        a.target = '_blank';
+        a.rel = 'noopener noreferrer nofollow';
+        a.append(...children);
+        return a;
+    }
+
+    // ─── Syntax highlighting ─────────────────────────────────────────
+    // A small tokenizer: comments, strings, numbers, keywords and (for
+    // markup) tag names. Good enough to read, never executed.
+    function tokenize(code, lang) {
+        const tokens = [];
+        let plain = '';
+        let i = 0;
+
+        const push = (type, text) => {
+            if (plain) { tokens.push({ type: null, text: plain }); plain = ''; }
+            tokens.push({ type, text });
+        };
+
+        while (i < code.length) {
+            const rest = code.slice(i, i + 4);
+            const [blockOpen, blockClose] = lang.blockComment || [];
+
+            if (blockOpen && code.startsWith(blockOpen, i)) {
+                const end = code.indexOf(blockClose, i + blockOpen.length);
+                const stop = end === -1 ? code.length : end + blockClose.length;
+                push('comment', code.slice(i, stop));
+                i = stop;
+            } else if (lang.lineComment && code.startsWith(lang.lineComment, i)) {
+                const end = code.indexOf('\n', i);
+                const stop = end === -1 ? code.length : end;
+                push('comment', code.slice(i, stop));
+                i = stop;
+            } else if (lang.strings.includes(code[i])) {
+                const quote = code[i];
+                let j = i + 1;
+                while (j < code.length && code[j] !== quote) {
+                    if (code[j] === '\\') j++;
+                    else if (code[j] === '\n' && quote !== '`') break;
+                    j++;
+                }
+                const stop = Math.min(j + 1, code.length);
+                push('string', code.slice(i, stop));
+                i = stop;
+            } else if (lang.markup && /^<\/?[A-Za-z]/.test(rest)) {
+                const match = /^<\/?[A-Za-z][\w:.-]*/.exec(code.slice(i, i + 256));
+                push('keyword', match[0]);
+                i += match[0].length;
+            } else if (/[0-9]/.test(code[i]) && !/[\w$]/.test(code[i - 1] || '')) {
+                const match = /^(0x[0-9a-fA-F]+|\d[\d_]*(\.\d+)?([eE][+-]?\d+)?)/.exec(code.slice(i, i + 64));
+                push('number', match[0]);
+                i += match[0].length;
+            } else if (/[A-Za-z_$]/.test(code[i])) {
+                const match = /^[A-Za-z_$][\w$-]*/.exec(code.slice(i, i + 256));
+                let word = match[0];
+                if (!lang.markup) word = word.replace(/-.*$/, '');
+                const key = lang.ignoreCase ? word.toLowerCase() : word;
+                if (lang.keywordSet.has(key)) {
+                    push('keyword', word);
+                } else {
+                    plain += word;
+                }
+                i += word.length;
+            } else {
+                plain += code[i];
+                i++;
+            }
+        }
+        if (plain) tokens.push({ type: null, text: plain });
+        return tokens;
+    }
+
+    // map[key] without reaching Object.prototype: fence names come from the
+    // link text, and "constructor" or "__proto__" must not look like a language
+    const ownValue = (map, key) => (Object.hasOwn(map, key) ? map[key] : undefined);
+
+    /**
+     * <pre><code> with highlighting and a copy button. Unknown languages
+     * are shown as plain text.
+     */
+    function renderCode(code, language) {
+        const wrapper = el('div', 'code-block');
+        const header = el('div', 'code-header');
+        const lang = ownValue(LANGUAGES, language);
+        header.append(el('span', 'code-language', lang ? lang.label : 'Text'));
+
+        const copyBtn = el('button', 'code-copy', 'Copy');
+        copyBtn.type = 'button';
+        copyBtn.addEventListener('click', async () => {
+            try {
+                await navigator.clipboard.writeText(code);
+                copyBtn.textContent = 'Copied';
+            } catch (err) {
+                copyBtn.textContent = 'Copy failed';
+            }
+            setTimeout(() => { copyBtn.textContent = 'Copy'; }, 1500);
+        });
+        header.append(copyBtn);
+
+        const codeEl = el('code');
+        if (lang) {
+            for (const token of tokenize(code, lang)) {
+                codeEl.append(token.type ? el('span', `tok-${token.type}`, token.text) : document.createTextNode(token.text));
+            }
+        } else {
+            codeEl.textContent = code;
+        }
+
+        const pre = el('pre');
+        pre.append(codeEl);
+        wrapper.append(header, pre);
+        return wrapper;
+    }
+
+    // ─── Markdown: inline ────────────────────────────────────────────
+    const INLINE_RULES = [
+        { re: /^\\([\\`*_{}[\]()#+\-.!~>|])/, node: m => document.createTextNode(m[1]) },
+        { re: /^(`+)([^`]|[^`][\s\S]*?[^`])\1(?!`)/, node: m => el('code', null, m[2].trim()) },
+        {
+            re: /^!?\[([^\]\n]*)\]\(\s*<?([^\s)>]*)>?(?:\s+"[^"\n]*")?\s*\)/,
+            node: (m, depth) => {
+                const href = safeHref(m[2]);
+                const label = inline(m[1] || m[2], depth + 1);
+                return href ? link(href, label) : label;
+            },
+        },
+        {
+            re: /^<((?:https?:\/\/|mailto:)[^>\s]+)>/,
+            node: m => {
+                const href = safeHref(m[1]);
+                return href ? link(href, [m[1]]) : document.createTextNode(m[0]);
+            },
+        },
+        {
+            re: /^https?:\/\/[^\s<]*[^\s<.,:;"')\]!?*_~]/,
+            node: m => {
+                const href = safeHref(m[0]);
+                return href ? link(href, [m[0]]) : document.createTextNode(m[0]);
+            },
+        },
+        { re: /^(\*\*|__)(?=\S)([\s\S]*?\S)\1/, node: (m, depth) => wrap('strong', m[2], depth) },
+        { re: /^~~(?=\S)([\s\S]*?\S)~~/, node: (m, depth) => wrap('del', m[1], depth) },
+        { re: /^\*(?=[^\s*])([\s\S]*?[^\s*])\*(?!\*)/, node: (m, depth) => wrap('em', m[1], depth) },
+        { re: /^_(?=[^\s_])([\s\S]*?[^\s_])_(?![A-Za-z0-9_])/, node: (m, depth) => wrap('em', m[1], depth) },
+    ];
+
+    function wrap(tag, text, depth) {
+        const node = el(tag);
+        node.append(...inline(text, depth + 1));
+        return node;
+    }
+
+    // Nodes for one run of inline Markdown (line breaks become <br>)
+    function inline(text, depth = 0) {
+        if (depth > MAX_DEPTH) return [document.createTextNode(text)];
+
+        const nodes = [];
+        let plain = '';
+        const flush = () => {
+            if (plain) { nodes.push(document.createTextNode(plain)); plain = ''; }
+        };
+
+        let i = 0;
+        while (i < text.length) {
+            const ch = text[i];
+            if (ch === '\n') {
+                flush();
+                nodes.push(el('br'));
+                i++;
+                continue;
+            }
+
+            // Intraword underscores (snake_case) are not emphasis
+            const prev = text[i - 1] || '';
+            const candidates = '\\`[!<h*_~'.includes(ch) && !(ch === '_' && /[A-Za-z0-9]/.test(prev));
+            let matched = null;
+            if (candidates) {
+                const rest = text.slice(i, i + MAX_SPAN);
+                for (const rule of INLINE_RULES) {
+                    const m = rule.re.exec(rest);
+                    if (m) { matched = { m, rule }; break; }
+                }
+            }
+
+            if (matched) {
+                flush();
+                const node = matched.rule.node(matched.m, depth);
+                if (Array.isArray(node)) nodes.push(...node);
+                else nodes.push(node);
+                i += matched.m[0].length;
+            } else {
+                plain += ch;
+                i++;
+            }
+        }
+        flush();
+        return nodes;
+    }
+
+    // ─── Markdown: blocks ────────────────────────────────────────────
+    const FENCE = /^ {0,3}(`{3,}|~{3,})\s*([\w+#.-]*)\s*$/;
+    const HEADING = /^ {0,3}(#{1,6})(?:\s+(.*?))?\s*#*\s*$/;
+    const RULE = /^ {0,3}([-*_])(?:\s*\1){2,}\s*$/;
+    const QUOTE = /^ {0,3}> ?(.*)$/;
+    const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])\s+(.*)$/;
+
+    const startsBlock = (line) =>
+        FENCE.test(line) || HEADING.test(line) || RULE.test(line) || QUOTE.test(line) || LIST_ITEM.test(line);
+
+    // Aliases people write after ``` mapped to supported languages
+    const FENCE_ALIASES = { js: 'javascript', ts: 'typescript', py: 'python', sh: 'bash', shell: 'bash', yml: 'yaml', 'c++': 'cpp', cs: 'csharp', 'c#': 'csharp', rb: 'ruby', rs: 'rust' };
+
+    function blocks(lines, depth) {
+        const nodes = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+
+            if (!line.trim()) { i++; continue; }
+
+            const fence = FENCE.exec(line);
+            if (fence) {
+                const marker = fence[1];
+                const body = [];
+                i++;
+                while (i < lines.length && !new RegExp(`^ {0,3}${marker[0]}{${marker.length},}\\s*$`).test(lines[i])) {
+                    body.push(lines[i]);
+                    i++;
+                }
+                i++; // Closing fence (or end of text)
+                const name = fence[2].toLowerCase();
+                nodes.push(renderCode(body.join('\n'), ownValue(FENCE_ALIASES, name) || name));
+                continue;
+            }
+
+            const heading = HEADING.exec(line);
+            if (heading) {
+                const h = el(`h${heading[1].length}`);
+                h.append(...inline(heading[2] || '', depth));
+                nodes.push(h);
+                i++;
+                continue;
+            }
+
+            if (RULE.test(line)) {
+                nodes.push(el('hr'));
+                i++;
+                continue;
+            }
+
+            if (depth < MAX_DEPTH && QUOTE.test(line)) {
+                const inner = [];
+                while (i < lines.length && lines[i].trim() && QUOTE.test(lines[i])) {
+                    inner.push(QUOTE.exec(lines[i])[1]);
+                    i++;
+                }
+                const quote = el('blockquote');
+                quote.append(...blocks(inner, depth + 1));
+                nodes.push(quote);
+                continue;
+            }
+
+            const item = LIST_ITEM.exec(line);
+            if (depth < MAX_DEPTH && item) {
+                const ordered = /\d/.test(item[2]);
+                const list = el(ordered ? 'ol' : 'ul');
+                if (ordered && parseInt(item[2], 10) !== 1) list.start = parseInt(item[2], 10);
+
+                while (i < lines.length) {
+                    const current = LIST_ITEM.exec(lines[i]);
+                    if (!current || /\d/.test(current[2]) !== ordered) break;
+
+                    // The item's own lines: indented continuation or lazy text
+                    const indent = current[1].length + current[2].length + 1;
+                    const body = [current[3]];
+                    i++;
+                    while (i < lines.length) {
+                        const next = lines[i];
+                        if (!next.trim()) {
+                            if (i + 1 < lines.length && /^\s{2,}\S/.test(lines[i + 1])) { body.push(''); i++; continue; }
+                            break;
+                        }
+                        if (/^\s{2,}/.test(next)) { body.push(next.slice(Math.min(indent, next.search(/\S/)))); i++; continue; }
+                        if (startsBlock(next)) break;
+                        body.push(next);
+                        i++;
+                    }
+
+                    const li = el('li');
+                    const content = blocks(body, depth + 1);
+                    // A one-paragraph item is shown without the <p>
+                    if (content.length === 1 && content[0].tagName === 'P') {
+                        li.append(...content[0].childNodes);
+                    } else {
+                        li.append(...content);
+                    }
+                    list.append(li);
+
+                    while (i < lines.length && !lines[i].trim()) {
+                        if (i + 1 < lines.length && LIST_ITEM.test(lines[i + 1])) { i++; } else { break; }
+                    }
+                }
+                nodes.push(list);
+                continue;
+            }
+
+            // Paragraph: up to a blank line or the start of another block
+            const para = [line.trim()];
+            i++;
+            while (i < lines.length && lines[i].trim() && !startsBlock(lines[i])) {
+                para.push(lines[i].trim());
+                i++;
+            }
+            const p = el('p');
+            p.append(...inline(para.join('\n'), depth));
+            nodes.push(p);
+        }
+
+        return nodes;
+    }
+
+    /**
+     * Render Markdown into a container element.
+     */
+    function renderMarkdown(text) {
+        const container = el('div', 'markdown-body');
+        container.append(...blocks(String(text).replace(/\r\n?/g, '\n').split('\n'), 0));
+        return container;
+    }
+
+    /**
+     * Show `text` inside `target` according to the link's content type.
+     * Plain text keeps the existing pre-wrapped look.
+     */
+    function renderContent(target, text, contentType, codeLanguage) {
+        target.replaceChildren();
+        target.classList.remove('content-rich');
+        if (contentType === 'markdown') {
+            target.classList.add('content-rich');
+            target.append(renderMarkdown(text));
+        } else if (contentType === 'code') {
+            target.classList.add('content-rich');
+            target.append(renderCode(text, codeLanguage));
+        } else {
+            target.textContent = text;
+        }
+    }
+
+    window.ContentRender = {
+        LANGUAGES: Object.fromEntries(Object.entries(LANGUAGES).map(([key, lang]) => [key, lang.label])),
+        renderContent,
+        renderMarkdown,
+        renderCode,
+    };
+})();
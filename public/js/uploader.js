@@ -0,0 +1,178 @@
+/**
+ * Resumable attachment uploads (the protocol is described in
+ * routes/uploads.js).
+ *
+ * uploadFile() sends a File in CHUNK_SIZE pieces. When a chunk fails — the
+ * connection drops, the server restarts — it asks the server how far it got
+ * (HEAD) and carries on from there, backing off between attempts. The upload
+ * URL is remembered in localStorage by file name, size and modification
+ * time, so picking the same file again after a reload resumes it as well.
+ * The returned upload id goes into the `uploadIds` form field.
+ */
+(function () {
+    const ENDPOINT = '/api/uploads';
+    const TUS_HEADERS = { 'Tus-Resumable': '1.0.0' };
+    const CHUNK_SIZE = 8 * 1024 * 1024;
+    const MAX_RETRIES = 8;
+    const MAX_BACKOFF_MS = 30 * 1000;
+    const ASSEMBLY_POLL_MS = 2000;
+    const STORAGE_PREFIX = 'resumableUpload:';
+
+    // Rejections worth telling the user about rather than retrying
+    class UploadError extends Error {}
+
+    function storageKey(file, encrypted) {
+        return `${STORAGE_PREFIX}${encrypted ? 'e2e:' : ''}${file.name}:${file.size}:${file.lastModified}`;
+    }
+
+    function toBase64(text) {
+        let binary = '';
+        new TextEncoder().encode(text).forEach(b => { binary += String.fromCharCode(b); });
+        return btoa(binary);
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async function errorOf(res) {
+        const data = await res.json().catch(() => ({}));
+        return data.error || `Upload failed (HTTP ${res.status}).`;
+    }
+
+    async function create(file, encrypted, headers) {
+        const metadata = [`filename ${toBase64(file.name)}`];
+        if (encrypted) metadata.push('encrypted');
+
+        const res = await fetch(ENDPOINT, {
+            method: 'POST',
+            headers: {
+                ...headers,
+                ...TUS_HEADERS,
+                'Upload-Length': String(file.size),
+                'Upload-Metadata': metadata.join(','),
+            },
+        });
+        if (res.status >= 400 && res.status < 500 && res.status !== 429) {
+            throw new UploadError(await errorOf(res));
+        }
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return res.headers.get('Location');
+    }
+
+    // Offset to resume from; null when the upload is gone, 'wait' while the
+    // server is still assembling the last chunk
+    async function currentOffset(location) {
+        const res = await fetch(location, { method: 'HEAD', headers: TUS_HEADERS });
+        if (res.status === 404 || res.status === 410) return null;
+        if (res.status === 423) return 'wait';
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        return Number(res.headers.get('Upload-Offset'));
+    }
+
+    // PATCH one chunk with XHR, which (unlike fetch) reports upload progress
+    function sendChunk(location, offset, blob, onProgress) {
+        return new Promise((resolve, reject) => {
+            const xhr = new XMLHttpRequest();
+            xhr.open('PATCH', location);
+            xhr.setRequestHeader('Tus-Resumable', '1.0.0');
+            xhr.setRequestHeader('Upload-Offset', String(offset));
+            xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+            xhr.upload.onprogress = (e) => onProgress(e.loaded);
+            xhr.onload = () => {
+                let error = null;
+                try {
+                    error = JSON.parse(xhr.responseText).error;
+                } catch (err) {
+                    // 204 has no body
+                }
+                resolve({ status: xhr.status, offset: Number(xhr.getResponseHeader('Upload-Offset')), error });
+            };
+            xhr.onerror = () => reject(new Error('Network error'));
+            xhr.send(blob);
+        });
+    }
+
+    /**
+     * Upload `file` and resolve with its upload id.
+     * onProgress(sentBytes, totalBytes) fires as chunks go out; onRetry(n)
+     * fires before the n-th attempt to reconnect. `headers` are sent when
+     * starting the upload, e.g. the dashboard's Authorization header for
+     * instances that refuse anonymous uploads.
+     */
+    async function uploadFile(file, { encrypted = false, headers = {}, onProgress = () => {}, onRetry = () => {} } = {}) {
+        const key = storageKey(file, encrypted);
+        let location = localStorage.getItem(key);
+        let offset = location ? null : 0;
+        let failures = 0;
+
+        for (;;) {
+            try {
+                if (!location) {
+                    location = await create(file, encrypted, headers);
+                    localStorage.setItem(key, location);
+                    offset = 0;
+                }
+
+                if (offset === null) {
+                    offset = await currentOffset(location);
+                    if (offset === null) {
+                        localStorage.removeItem(key);
+                        location = null;
+                        continue;
+                    }
+                    if (offset === 'wait') {
+                        offset = null;
+                        await sleep(ASSEMBLY_POLL_MS);
+                        continue;
+                    }
+                }
+
+                onProgress(offset, file.size);
+                if (offset >= file.size) break;
+
+                const start = offset;
+                const result = await sendChunk(location, start, file.slice(start, start + CHUNK_SIZE),
+                    loaded => onProgress(start + loaded, file.size));
+
+                if (result.status === 204) {
+                    offset = result.offset;
+                    failures = 0;
+                } else if (result.status === 404 || result.status === 410) {
+                    localStorage.removeItem(key);
+                    location = null;
+                } else if (result.status === 409 || result.status === 423 || result.status === 429 || result.status >= 500) {
+                    offset = null;
+                    throw new Error(result.error || `HTTP ${result.status}`);
+                } else {
+                    throw new UploadError(result.error || `Upload failed (HTTP ${result.status}).`);
+                }
+            } catch (err) {
+                if (err instanceof UploadError) throw err;
+
+                failures += 1;
+                if (failures > MAX_RETRIES) {
+                    throw new UploadError(`Uploading ${file.name} keeps failing. Submit again to resume.`);
+                }
+                offset = null;
+                onRetry(failures);
+                await sleep(Math.min(1000 * 2 ** (failures - 1), MAX_BACKOFF_MS));
+            }
+        }
+
+        return location.slice(location.lastIndexOf('/') + 1);
+    }
+
+    /**
+     * Drop the remembered upload of `file` once a link has taken it.
+     */
+    function forget(file, encrypted = false) {
+        localStorage.removeItem(storageKey(file, encrypted));
+    }
+
+    window.ResumableUpload = {
+        CHUNK_SIZE,
+        uploadFile,
+        forget,
+    };
+})();
@@ -1,56 +1,121 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
-const path = require('path');
 const bcrypt = require('bcrypt');
-const jwt = require('jsonwebtoken');
-const fs = require('fs');
-const { nanoid } = require('nanoid');
+const mongoose = require('mongoose');
 
 const Admin = require('../models/Admin');
 const Url = require('../models/Url');
-const { validateAdminLogin, fileFilter, MAX_FILE_SIZE } = require('../middleware/validate');
-
-// ─── Multer Configuration (shared with url.js pattern) ───────────────
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '..', 'uploads');
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueName = `${nanoid(16)}${path.extname(file.originalname).toLowerCase()}`;
-        cb(null, uniqueName);
-    },
-});
+const AccessEvent = require('../models/AccessEvent');
+const Setting = require('../models/Setting');
+const { validateAdminLogin } = require('../middleware/validate');
+const { uploadAttachments } = require('../middleware/upload');
+const { resetAttempts } = require('../services/bruteForce');
+const { loginLimiter } = require('../middleware/rateLimiter');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { recordEvent } = require('../services/audit');
+const {
+    TWO_FACTOR_FIELDS,
+    beginEnrollment,
+    completeEnrollment,
+    verifySecondFactor,
+    issueMfaToken,
+    verifyMfaToken,
+} = require('../services/twoFactor');
+const { createSession, rotateSession, revokeSession } = require('../services/adminSessions');
+const { buildUrlQuery } = require('../services/linkQuery');
+const { updateLink, deleteLink, toPublicLink } = require('../services/links');
+const { normalizeSerial } = require('../services/serialNumbers');
 
-const upload = multer({
-    storage,
-    fileFilter,
-    limits: { fileSize: MAX_FILE_SIZE },
-});
+const EVENTS_DEFAULT_LIMIT = 100;
+const EVENTS_MAX_LIMIT = 500;
 
-// ─── JWT Auth Middleware ─────────────────────────────────────────────
-const authenticateAdmin = (req, res, next) => {
-    const authHeader = req.headers.authorization;
-    if (!authHeader || !authHeader.startsWith('Bearer ')) {
-        return res.status(401).json({ error: 'Access denied. No token provided.' });
+// ─── Helper: Build an AccessEvent query from request filters ─────────
+// Supports type (comma-separated), shortId, serial, ip, admin (username),
+// from/to (dates) and cursor pagination via `before` (an event id).
+// Returns { error } on invalid input, otherwise { filter, limit }.
+function buildEventQuery(query, base = {}) {
+    const filter = { ...base };
+
+    if (query.type) {
+        const types = String(query.type).split(',').map(t => t.trim()).filter(Boolean);
+        const unknown = types.filter(t => !AccessEvent.EVENT_TYPES.includes(t));
+        if (unknown.length > 0) {
+            return { error: `Unknown event type(s): ${unknown.join(', ')}.` };
+        }
+        filter.type = { $in: types };
     }
 
-    const token = authHeader.split(' ')[1];
-    try {
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-        req.admin = decoded;
-        next();
-    } catch (err) {
-        return res.status(401).json({ error: 'Invalid or expired token.' });
+    if (query.shortId) filter.shortId = String(query.shortId);
+    if (query.ip) filter.ip = String(query.ip);
+    if (query.admin) filter['admin.username'] = String(query.admin);
+
+    if (query.serial) {
+        // Older events only snapshot the bare number
+        const serial = normalizeSerial(query.serial);
+        filter.$or = /^\d+$/.test(serial)
+            ? [{ serial }, { serial: null, serialNumber: parseInt(serial, 10) }]
+            : [{ serial }];
     }
-};
+
+    for (const [param, op] of [['from', '$gte'], ['to', '$lte']]) {
+        if (!query[param]) continue;
+        const date = new Date(query[param]);
+        if (isNaN(date.getTime())) return { error: `'${param}' must be a valid date.` };
+        filter.createdAt = { ...filter.createdAt, [op]: date };
+    }
+
+    if (query.before) {
+        if (!mongoose.isValidObjectId(query.before)) return { error: 'Invalid cursor.' };
+        filter._id = { $lt: new mongoose.Types.ObjectId(String(query.before)) };
+    }
+
+    const limit = Math.min(parseInt(query.limit, 10) || EVENTS_DEFAULT_LIMIT, EVENTS_MAX_LIMIT);
+    return { filter, limit };
+}
+
+// ─── Helper: Run an event query and build the paginated response ─────
+async function findEvents({ filter, limit }) {
+    const events = await AccessEvent.find(filter).sort({ _id: -1 }).limit(limit + 1);
+    const hasMore = events.length > limit;
+    const page = hasMore ? events.slice(0, limit) : events;
+
+    return {
+        success: true,
+        events: page,
+        nextCursor: hasMore ? page[page.length - 1]._id : null,
+    };
+}
+
+// ─── Helper: Start the dashboard session after every login step ─────
+async function issueSession(admin, req) {
+    admin.lastLoginAt = new Date();
+    await admin.save();
+
+    return {
+        success: true,
+        ...(await createSession(admin, req)),
+        role: admin.role,
+        mustChangePassword: admin.mustChangePassword,
+        twoFactorEnabled: admin.twoFactor.enabled,
+    };
+}
+
+// ─── Helper: Load the admin behind an "mfa pending" token ────────────
+async function findPendingAdmin(req, res) {
+    const pending = verifyMfaToken(req.body.mfaToken);
+    const admin = pending && await Admin.findById(pending.adminId).select(TWO_FACTOR_FIELDS);
+
+    if (!admin || admin.disabled) {
+        res.status(401).json({ error: 'Your sign-in has expired. Please log in again.' });
+        return null;
+    }
+    return { admin, enroll: pending.enroll };
+}
 
 // ─── POST /api/admin/login ──────────────────────────────────────────
-router.post('/api/admin/login', validateAdminLogin, async (req, res) => {
+// Step one: username and password. Admins with 2FA (or everyone, when an
+// owner requires it) get a short-lived mfaToken instead of a session.
+router.post('/api/admin/login', loginLimiter, validateAdminLogin, async (req, res) => {
     try {
         const { username, password } = req.body;
 
@@ -64,105 +129,292 @@ router.post('/api/admin/login', validateAdminLogin, async (req, res) => {
             return res.status(401).json({ error: 'Invalid credentials.' });
         }
 
-        const token = jwt.sign(
-            { id: admin._id, username: admin.username },
-            process.env.JWT_SECRET,
-            { expiresIn: '24h' }
-        );
+        if (admin.disabled) {
+            return res.status(403).json({ error: 'This admin account has been disabled.' });
+        }
 
-        res.json({ success: true, token });
+        if (admin.twoFactor.enabled || await Setting.getValue('requireTwoFactor')) {
+            const enroll = !admin.twoFactor.enabled;
+            return res.json({
+                success: true,
+                mfaRequired: true,
+                enrollmentRequired: enroll,
+                mfaToken: issueMfaToken(admin, enroll),
+            });
+        }
+
+        res.json(await issueSession(admin, req));
     } catch (err) {
         console.error('Admin login error:', err);
         res.status(500).json({ error: 'Internal server error.' });
     }
 });
 
-// ─── GET /api/admin/urls ────────────────────────────────────────────
-router.get('/api/admin/urls', authenticateAdmin, async (req, res) => {
+// ─── POST /api/admin/login/2fa/setup ────────────────────────────────
+// For admins forced to enroll at login: hand out a secret to scan
+router.post('/api/admin/login/2fa/setup', loginLimiter, async (req, res) => {
     try {
-        const urls = await Url.find()
-            .select('-passwordHash')
-            .sort({ createdAt: -1 });
+        const pending = await findPendingAdmin(req, res);
+        if (!pending) return;
 
-        res.json({ success: true, urls });
+        if (!pending.enroll || pending.admin.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already set up.' });
+        }
+
+        res.json({ success: true, ...(await beginEnrollment(pending.admin)) });
     } catch (err) {
-        console.error('Error fetching URLs:', err);
+        console.error('2FA setup error:', err);
         res.status(500).json({ error: 'Internal server error.' });
     }
 });
 
-// ─── PUT /api/admin/urls/:id ────────────────────────────────────────
-// Edit label, textContent, file (replace or delete) — protected
-router.put('/api/admin/urls/:id', authenticateAdmin, upload.single('file'), async (req, res) => {
+// ─── POST /api/admin/login/2fa ──────────────────────────────────────
+// Step two: exchange the mfaToken and a code for a session. The code is a
+// TOTP code or a recovery code; during forced enrollment it is the first
+// code from the new authenticator and recovery codes are returned once.
+router.post('/api/admin/login/2fa', loginLimiter, async (req, res) => {
     try {
-        const { label, textContent, deleteFile } = req.body;
-        const urlDoc = await Url.findById(req.params.id);
+        const pending = await findPendingAdmin(req, res);
+        if (!pending) return;
+        const { admin } = pending;
+        req.admin = { id: admin._id, username: admin.username, role: admin.role };
 
-        if (!urlDoc) {
-            return res.status(404).json({ error: 'URL not found.' });
+        if (admin.twoFactor.enabled) {
+            const result = await verifySecondFactor(admin, req.body.code);
+            if (!result.ok) {
+                return res.status(401).json({ error: 'Invalid authentication code.' });
+            }
+            return res.json({
+                ...(await issueSession(admin, req)),
+                recoveryCodesLeft: result.usedRecoveryCode ? result.recoveryCodesLeft : undefined,
+            });
         }
 
-        // Update label
-        if (label !== undefined) {
-            if (typeof label !== 'string' || label.length > 100) {
-                return res.status(400).json({ error: 'Label must be a string of 100 characters or fewer.' });
-            }
-            urlDoc.label = label.trim();
+        if (!pending.enroll) {
+            return res.status(401).json({ error: 'Your sign-in has expired. Please log in again.' });
         }
 
-        // Update text content
-        if (textContent !== undefined) {
-            if (typeof textContent !== 'string' || textContent.trim().length === 0 || textContent.length > 10000) {
-                return res.status(400).json({ error: 'Text content must be 1–10,000 characters.' });
-            }
-            urlDoc.textContent = textContent.trim();
+        const recoveryCodes = await completeEnrollment(admin, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(401).json({ error: 'Invalid authentication code.' });
         }
+        recordEvent(req, 'two_factor_enable');
+
+        res.json({ ...(await issueSession(admin, req)), recoveryCodes });
+    } catch (err) {
+        console.error('2FA login error:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/token/refresh ──────────────────────────────────
+// Exchange a refresh token for a new access token and refresh token.
+// Each refresh token works once; replaying an old one ends the session.
+router.post('/api/admin/token/refresh', async (req, res) => {
+    try {
+        const result = await rotateSession(req.body.refreshToken, async (id) => {
+            const admin = await Admin.findById(id);
+            return admin && !admin.disabled ? admin : null;
+        });
 
-        // Delete existing file (either because user wants to remove it, or replacing it)
-        if (deleteFile === 'true' || req.file) {
-            if (urlDoc.filePath && fs.existsSync(urlDoc.filePath)) {
-                fs.unlinkSync(urlDoc.filePath);
+        if (result.error) {
+            if (result.reuse) {
+                recordEvent(req, 'session_revoke', { details: { reason: 'refresh_token_reuse' } });
             }
-            urlDoc.fileName = null;
-            urlDoc.filePath = null;
+            return res.status(401).json({ error: result.error });
         }
 
-        // Attach new file (replacement)
-        if (req.file) {
-            urlDoc.fileName = req.file.originalname;
-            urlDoc.filePath = req.file.path;
+        res.json({
+            success: true,
+            ...result.tokens,
+            role: result.admin.role,
+            mustChangePassword: result.admin.mustChangePassword,
+        });
+    } catch (err) {
+        console.error('Token refresh error:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/logout ─────────────────────────────────────────
+// End the current session server-side
+router.post('/api/admin/logout', authenticateAdmin, async (req, res) => {
+    try {
+        await revokeSession(req.admin.sessionId, 'logout');
+        res.json({ success: true, message: 'Logged out.' });
+    } catch (err) {
+        console.error('Logout error:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── GET /api/admin/urls ────────────────────────────────────────────
+// One page of links, filtered and sorted server-side (see buildUrlQuery)
+router.get('/api/admin/urls', authenticateAdmin, async (req, res) => {
+    try {
+        const query = buildUrlQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
         }
 
-        await urlDoc.save();
+        const { filter, sort, page, limit } = query;
+        const [urls, total] = await Promise.all([
+            Url.find(filter)
+                .select('-passwordHash')
+                .sort(sort)
+                .skip((page - 1) * limit)
+                .limit(limit),
+            Url.countDocuments(filter),
+        ]);
+
+        // Flag links locked by brute-force protection, and broken links
+        // whose stored files went missing (see services/storageReconciliation.js)
+        const now = new Date();
+        res.json({
+            success: true,
+            urls: urls.map((u) => ({
+                ...u.toObject(),
+                locked: u.isLocked(now),
+                broken: u.attachments.some(a => a.missingAt),
+            })),
+            page,
+            limit,
+            total,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+        });
+    } catch (err) {
+        console.error('Error fetching URLs:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── GET /api/admin/urls/stats ──────────────────────────────────────
+// Totals for the dashboard stat cards. Accepts the same filters as the list.
+router.get('/api/admin/urls/stats', authenticateAdmin, async (req, res) => {
+    try {
+        const query = buildUrlQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
 
-        // Return without passwordHash
-        const result = urlDoc.toObject();
-        delete result.passwordHash;
+        const [stats] = await Url.aggregate([
+            { $match: query.filter },
+            {
+                $group: {
+                    _id: null,
+                    total: { $sum: 1 },
+                    withFiles: { $sum: { $cond: [{ $gt: [{ $size: '$attachments' }, 0] }, 1, 0] } },
+                    views: { $sum: '$viewCount' },
+                    downloads: { $sum: '$downloadCount' },
+                },
+            },
+        ]);
 
-        res.json({ success: true, url: result });
+        const { total = 0, withFiles = 0, views = 0, downloads = 0 } = stats || {};
+        res.json({ success: true, stats: { total, withFiles, views, downloads } });
     } catch (err) {
+        console.error('Error computing URL stats:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── PUT /api/admin/urls/:id ────────────────────────────────────────
+// Edit label, textContent, contentType / codeLanguage, lifetime limits and
+// attachments — protected.
+// New files (field `files`) are added; `removeAttachments` lists attachment
+// ids to remove; `deleteFile=true` removes every attachment.
+// `alias` renames the shortId; with `keepOldAlias=true` the old one keeps
+// redirecting for `redirectDays` (default ALIAS_REDIRECT_DAYS).
+// See updateLink() in services/links.js.
+router.put('/api/admin/urls/:id', authenticateAdmin, requireRole('owner', 'editor'), uploadAttachments, async (req, res) => {
+    try {
+        const urlDoc = await Url.findById(req.params.id).select('+attachments.fileEncryption');
+        if (!urlDoc) {
+            return res.status(404).json({ error: 'URL not found.' });
+        }
+
+        // Returned without passwordHash or encryption metadata
+        res.json({ success: true, url: toPublicLink(await updateLink(req, urlDoc)) });
+    } catch (err) {
+        if (err.code === 'INVALID_LINK_INPUT') {
+            return res.status(400).json({ error: err.message });
+        }
+        if (err.code === 'ALIAS_TAKEN') {
+            return res.status(409).json({ error: err.message });
+        }
         console.error('Error updating URL:', err);
         res.status(500).json({ error: 'Internal server error.' });
     }
 });
 
+// ─── POST /api/admin/urls/:id/unlock ────────────────────────────────
+// Lift a brute-force lock and clear the failed-attempt counter
+router.post('/api/admin/urls/:id/unlock', authenticateAdmin, requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const urlDoc = await Url.findById(req.params.id).select('_id shortId serial serialNumber failedAttempts');
+        if (!urlDoc) {
+            return res.status(404).json({ error: 'URL not found.' });
+        }
+
+        await resetAttempts(urlDoc._id);
+        recordEvent(req, 'admin_unlock', { url: urlDoc, details: { failedAttempts: urlDoc.failedAttempts } });
+
+        res.json({ success: true, message: 'URL unlocked.' });
+    } catch (err) {
+        console.error('Error unlocking URL:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
 // ─── DELETE /api/admin/urls/:id ─────────────────────────────────────
-router.delete('/api/admin/urls/:id', authenticateAdmin, async (req, res) => {
+router.delete('/api/admin/urls/:id', authenticateAdmin, requireRole('owner', 'editor'), async (req, res) => {
     try {
         const urlDoc = await Url.findById(req.params.id);
         if (!urlDoc) {
             return res.status(404).json({ error: 'URL not found.' });
         }
 
-        if (urlDoc.filePath && fs.existsSync(urlDoc.filePath)) {
-            fs.unlinkSync(urlDoc.filePath);
+        const filesMissing = await deleteLink(req, urlDoc);
+
+        res.json({ success: true, message: 'URL deleted successfully.', filesMissing });
+    } catch (err) {
+        console.error('Error deleting URL:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── GET /api/admin/urls/:id/events ─────────────────────────────────
+// Access timeline of one link (newest first, cursor-paginated)
+router.get('/api/admin/urls/:id/events', authenticateAdmin, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'URL not found.' });
+        }
+
+        const query = buildEventQuery(req.query, { url: req.params.id });
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
         }
 
-        await Url.findByIdAndDelete(req.params.id);
+        res.json(await findEvents(query));
+    } catch (err) {
+        console.error('Error fetching URL events:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── GET /api/admin/events ──────────────────────────────────────────
+// Global audit log with filters (type, shortId, serial, ip, admin, from, to)
+router.get('/api/admin/events', authenticateAdmin, async (req, res) => {
+    try {
+        const query = buildEventQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
 
-        res.json({ success: true, message: 'URL deleted successfully.' });
+        res.json(await findEvents(query));
     } catch (err) {
-        console.error('Error deleting URL:', err);
+        console.error('Error fetching events:', err);
         res.status(500).json({ error: 'Internal server error.' });
     }
 });
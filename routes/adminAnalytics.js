@@ -0,0 +1,33 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticateAdmin } = require('../middleware/auth');
+const { parseAnalyticsQuery, getAnalytics, METRICS } = require('../services/analytics');
+
+// ─── GET /api/admin/analytics ───────────────────────────────────────
+// Daily usage counters over a range: ?from=YYYY-MM-DD&to=YYYY-MM-DD
+// (default the last 30 days, UTC), groupBy=day|label, label to narrow to
+// one label, and top for how many links to rank (see getAnalytics).
+router.get('/api/admin/analytics', authenticateAdmin, async (req, res) => {
+    try {
+        const query = parseAnalyticsQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const analytics = await getAnalytics(query);
+        res.json({
+            success: true,
+            from: query.from.toISOString().slice(0, 10),
+            to: query.to.toISOString().slice(0, 10),
+            groupBy: query.groupBy,
+            metrics: METRICS,
+            ...analytics,
+        });
+    } catch (err) {
+        console.error('Error computing analytics:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
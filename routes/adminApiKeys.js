@@ -0,0 +1,150 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const ApiKey = require('../models/ApiKey');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { recordEvent } = require('../services/audit');
+const { generateApiKey, defaultRateLimit, MAX_RATE_LIMIT } = require('../services/apiKeys');
+
+const MAX_API_KEYS = 50;
+
+// ─── Helper: Validate API key fields ────────────────────────────────
+// Fields that are absent are left out so PATCH can change a subset.
+// Returns { error } or { values }.
+function parseApiKeyInput(body, { requireName }) {
+    const values = {};
+
+    if (body.name !== undefined || requireName) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.trim().length > 100) {
+            return { error: 'Name must be 1–100 characters.' };
+        }
+        values.name = body.name.trim();
+    }
+
+    if (body.scopes !== undefined) {
+        const unknown = Array.isArray(body.scopes) && body.scopes.length > 0
+            ? body.scopes.filter(s => !ApiKey.SCOPES.includes(s))
+            : null;
+        if (!unknown || unknown.length > 0) {
+            return { error: `scopes must list one or more of: ${ApiKey.SCOPES.join(', ')}.` };
+        }
+        values.scopes = [...new Set(body.scopes)];
+    }
+
+    if (body.rateLimit !== undefined) {
+        const n = Number(body.rateLimit);
+        if (!Number.isInteger(n) || n < 1 || n > MAX_RATE_LIMIT) {
+            return { error: `rateLimit must be a whole number of requests per minute between 1 and ${MAX_RATE_LIMIT}.` };
+        }
+        values.rateLimit = n;
+    }
+
+    return { values };
+}
+
+async function findApiKey(req, res) {
+    const apiKey = mongoose.isValidObjectId(req.params.id) ? await ApiKey.findById(req.params.id) : null;
+    if (!apiKey) {
+        res.status(404).json({ error: 'API key not found.' });
+    }
+    return apiKey;
+}
+
+// ─── GET /api/admin/api-keys ────────────────────────────────────────
+// Every key (without its hash), revoked ones included
+router.get('/api/admin/api-keys', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const apiKeys = await ApiKey.find().sort({ createdAt: -1 });
+        res.json({ success: true, apiKeys, scopes: ApiKey.SCOPES, defaultRateLimit: defaultRateLimit() });
+    } catch (err) {
+        console.error('Error fetching API keys:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/api-keys ───────────────────────────────────────
+// Body: { name, scopes?, rateLimit? }. Scopes default to create only,
+// rateLimit to API_KEY_RATE_LIMIT. The key is returned once and never again.
+router.post('/api/admin/api-keys', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const input = parseApiKeyInput(req.body, { requireName: true });
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+        if (await ApiKey.countDocuments({ revokedAt: null }) >= MAX_API_KEYS) {
+            return res.status(400).json({ error: `At most ${MAX_API_KEYS} API keys can be active. Revoke an unused one first.` });
+        }
+
+        const { key, keyHash, prefix } = generateApiKey();
+        const apiKey = await ApiKey.create({
+            scopes: ['create'],
+            rateLimit: defaultRateLimit(),
+            ...input.values,
+            keyHash,
+            prefix,
+            createdBy: req.admin.username,
+        });
+        recordEvent(req, 'api_key_create', {
+            details: { apiKey: apiKey._id, name: apiKey.name, scopes: apiKey.scopes, rateLimit: apiKey.rateLimit },
+        });
+
+        const result = apiKey.toObject();
+        delete result.keyHash;
+        res.status(201).json({ success: true, apiKey: result, key });
+    } catch (err) {
+        console.error('Error creating API key:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── PATCH /api/admin/api-keys/:id ──────────────────────────────────
+// Change name, scopes or rateLimit. Applies to the key's next request.
+router.patch('/api/admin/api-keys/:id', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const apiKey = await findApiKey(req, res);
+        if (!apiKey) return;
+
+        if (apiKey.revokedAt) {
+            return res.status(400).json({ error: 'This API key has been revoked.' });
+        }
+
+        const input = parseApiKeyInput(req.body, { requireName: false });
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        apiKey.set(input.values);
+        const changed = apiKey.modifiedPaths().filter(p => !p.includes('.'));
+        await apiKey.save();
+        recordEvent(req, 'api_key_update', { details: { apiKey: apiKey._id, name: apiKey.name, changed } });
+
+        res.json({ success: true, apiKey });
+    } catch (err) {
+        console.error('Error updating API key:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/api-keys/:id/revoke ────────────────────────────
+// Refuse the key from now on. Kept (revoked) so the audit log still
+// resolves its name.
+router.post('/api/admin/api-keys/:id/revoke', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const apiKey = await findApiKey(req, res);
+        if (!apiKey) return;
+
+        if (!apiKey.revokedAt) {
+            apiKey.revokedAt = new Date();
+            await apiKey.save();
+            recordEvent(req, 'api_key_revoke', { details: { apiKey: apiKey._id, name: apiKey.name } });
+        }
+
+        res.json({ success: true, apiKey });
+    } catch (err) {
+        console.error('Error revoking API key:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { createBackup, restoreBackup, passphraseError, RESTORE_MODES } = require('../services/backup');
+const { recordEvent } = require('../services/audit');
+
+// Two restores at once would race each other over the same conflicts
+let restoring = false;
+
+// ─── POST /api/admin/backup ─────────────────────────────────────────
+// Owners only. Streams an archive of every link, admin and attached file
+// (see services/backup.js). Body: { passphrase } to encrypt it (optional).
+router.post('/api/admin/backup', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const passphrase = (req.body && req.body.passphrase) || null;
+        if (passphrase !== null) {
+            const error = passphraseError(passphrase);
+            if (error) {
+                return res.status(400).json({ error });
+            }
+        }
+
+        const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+        res.setHeader('Content-Type', passphrase ? 'application/octet-stream' : 'application/gzip');
+        res.setHeader('Content-Disposition', `attachment; filename="backup-${stamp}.tar.gz${passphrase ? '.enc' : ''}"`);
+
+        const summary = await createBackup(res, { passphrase });
+        recordEvent(req, 'backup_create', {
+            details: {
+                links: summary.links,
+                admins: summary.admins,
+                files: summary.files,
+                filesMissing: summary.missing.length,
+                encrypted: summary.encrypted,
+            },
+        });
+    } catch (err) {
+        console.error('Error creating backup:', err);
+        // The archive is streamed straight into the response
+        if (res.headersSent || res.destroyed) return res.destroy(err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/restore ────────────────────────────────────────
+// Owners only. Body: the archive, sent as application/octet-stream; the
+// passphrase of an encrypted one goes in the X-Backup-Passphrase header.
+// ?mode=skip (default), overwrite or renumber decides what happens to
+// links that collide with existing ones; ?dryRun=true only checks the
+// archive and reports the conflicts.
+router.post('/api/admin/restore', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    if (restoring) {
+        return res.status(409).json({ error: 'A restore is already running.' });
+    }
+
+    const mode = req.query.mode || 'skip';
+    if (!RESTORE_MODES.includes(mode)) {
+        return res.status(400).json({ error: `'mode' must be one of: ${RESTORE_MODES.join(', ')}.` });
+    }
+    const dryRun = req.query.dryRun === 'true';
+
+    restoring = true;
+    try {
+        const report = await restoreBackup(req, { passphrase: req.get('X-Backup-Passphrase') || null, mode, dryRun });
+        if (!dryRun) {
+            recordEvent(req, 'backup_restore', {
+                details: { mode, ...report.links, admins: report.admins.restored + report.admins.overwritten },
+            });
+        }
+
+        res.json({ success: true, report });
+    } catch (err) {
+        if (err.code === 'INVALID_BACKUP') {
+            return res.status(400).json({ error: err.message });
+        }
+        console.error('Error restoring backup:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    } finally {
+        restoring = false;
+    }
+});
+
+module.exports = router;
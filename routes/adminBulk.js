@@ -0,0 +1,328 @@
+const express = require('express');
+const router = express.Router();
+const { once } = require('events');
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+const { nanoid } = require('nanoid');
+
+const Url = require('../models/Url');
+const { linkFieldsError, parseLifetimeInput, parseContentTypeInput } = require('../middleware/validate');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { deleteAttachmentFiles } = require('../services/attachments');
+const { buildUrlQuery } = require('../services/linkQuery');
+const { createWithSerial } = require('../services/serialNumbers');
+const { parseCsv, toCsvLine } = require('../services/csv');
+const { recordEvent } = require('../services/audit');
+const { emitWebhook } = require('../services/webhooks');
+
+const BULK_MAX_IDS = 500;
+const IMPORT_MAX_ROWS = 200; // Each row costs one bcrypt hash
+const IMPORT_MAX_BYTES = '2mb';
+
+// Columns accepted by the import, keyed by their lower-cased header
+const IMPORT_COLUMNS = {
+    label: 'label',
+    text: 'textContent',
+    textcontent: 'textContent',
+    password: 'password',
+    contenttype: 'contentType',
+    codelanguage: 'codeLanguage',
+    expiresat: 'expiresAt',
+    maxviews: 'maxViews',
+    maxdownloads: 'maxDownloads',
+};
+
+// Columns of the export, in order. Never includes content, hashes or keys.
+const EXPORT_COLUMNS = [
+    'serial', 'serialNumber', 'shortId', 'shortUrl', 'label', 'contentType', 'encrypted', 'fileCount', 'fileNames',
+    'viewCount', 'maxViews', 'downloadCount', 'maxDownloads', 'expiresAt', 'locked',
+    'createdAt', 'updatedAt',
+];
+
+// ─── Helper: Validate the `ids` of a bulk request ────────────────────
+// Returns the de-duplicated ids, or null if the list is missing or malformed.
+function parseBulkIds(ids) {
+    if (!Array.isArray(ids) || ids.length === 0 || ids.length > BULK_MAX_IDS) return null;
+    if (!ids.every(id => mongoose.isValidObjectId(id))) return null;
+    return [...new Set(ids.map(String))];
+}
+
+function bulkIdsError(res) {
+    return res.status(400).json({ error: `ids must list between 1 and ${BULK_MAX_IDS} link ids.` });
+}
+
+// ─── Helper: Export row for one link (metadata only) ─────────────────
+function exportRecord(url, baseUrl, now) {
+    return {
+        serial: url.serial,
+        serialNumber: url.serialNumber,
+        shortId: url.shortId,
+        shortUrl: `${baseUrl}/${url.shortId}`,
+        label: url.label,
+        contentType: url.contentType || 'plain',
+        encrypted: !!url.encryption,
+        fileCount: url.attachments.length,
+        // Names of end-to-end encrypted files are ciphertext
+        fileNames: url.encryption ? [] : url.attachments.map(a => a.fileName),
+        viewCount: url.viewCount,
+        maxViews: url.maxViews,
+        downloadCount: url.downloadCount,
+        maxDownloads: url.maxDownloads,
+        expiresAt: url.expiresAt,
+        locked: !!url.lockedUntil && url.lockedUntil > now,
+        createdAt: url.createdAt,
+        updatedAt: url.updatedAt,
+    };
+}
+
+// ─── POST /api/admin/urls/bulk/delete ───────────────────────────────
+// Body: { ids } — deletes the links and their stored files
+router.post('/api/admin/urls/bulk/delete', authenticateAdmin, requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const ids = parseBulkIds(req.body.ids);
+        if (!ids) return bulkIdsError(res);
+
+        const urls = await Url.find({ _id: { $in: ids } });
+        await Url.deleteMany({ _id: { $in: urls.map(u => u._id) } });
+
+        let filesMissing = 0;
+        for (const urlDoc of urls) {
+            const missing = await deleteAttachmentFiles(urlDoc.attachments);
+            filesMissing += missing.length;
+            recordEvent(req, 'admin_delete', {
+                url: urlDoc,
+                details: { label: urlDoc.label, bulk: true, ...(missing.length > 0 && { filesMissing: missing.length }) },
+            });
+            emitWebhook(req, 'link.deleted', { url: urlDoc, details: { bulk: true } });
+        }
+
+        res.json({ success: true, deleted: urls.length, notFound: ids.length - urls.length, filesMissing });
+    } catch (err) {
+        console.error('Error bulk deleting URLs:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/urls/bulk/label ────────────────────────────────
+// Body: { ids, label } — sets the same label on every link (empty clears it)
+router.post('/api/admin/urls/bulk/label', authenticateAdmin, requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const ids = parseBulkIds(req.body.ids);
+        if (!ids) return bulkIdsError(res);
+
+        const { label } = req.body;
+        if (typeof label !== 'string' || label.length > 100) {
+            return res.status(400).json({ error: 'Label must be a string of 100 characters or fewer.' });
+        }
+
+        const urls = await Url.find({ _id: { $in: ids } }).select('_id shortId serial serialNumber');
+        await Url.updateMany({ _id: { $in: urls.map(u => u._id) } }, { $set: { label: label.trim() } });
+
+        for (const urlDoc of urls) {
+            recordEvent(req, 'admin_update', { url: urlDoc, details: { changed: ['label'], bulk: true } });
+            emitWebhook(req, 'link.updated', { url: { ...urlDoc.toObject(), label: label.trim() }, details: { changed: ['label'], bulk: true } });
+        }
+
+        res.json({ success: true, updated: urls.length, notFound: ids.length - urls.length });
+    } catch (err) {
+        console.error('Error bulk relabeling URLs:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/urls/bulk/detach ───────────────────────────────
+// Body: { ids } — removes every attachment from the links, keeping the text
+router.post('/api/admin/urls/bulk/detach', authenticateAdmin, requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const ids = parseBulkIds(req.body.ids);
+        if (!ids) return bulkIdsError(res);
+
+        const urls = await Url.find({ _id: { $in: ids }, 'attachments.0': { $exists: true } });
+        await Url.updateMany({ _id: { $in: urls.map(u => u._id) } }, { $set: { attachments: [] } });
+
+        let filesRemoved = 0;
+        let filesMissing = 0;
+        for (const urlDoc of urls) {
+            const missing = await deleteAttachmentFiles(urlDoc.attachments);
+            filesRemoved += urlDoc.attachments.length;
+            filesMissing += missing.length;
+            recordEvent(req, 'admin_update', {
+                url: urlDoc,
+                details: {
+                    changed: [],
+                    filesRemoved: urlDoc.attachments.map(a => (urlDoc.encryption ? '(encrypted name)' : a.fileName)),
+                    ...(missing.length > 0 && { filesMissing: missing.length }),
+                    bulk: true,
+                },
+            });
+            emitWebhook(req, 'link.updated', {
+                url: urlDoc,
+                details: { changed: [], filesRemoved: urlDoc.attachments.length, bulk: true },
+            });
+        }
+
+        res.json({ success: true, updated: urls.length, filesRemoved, filesMissing });
+    } catch (err) {
+        console.error('Error bulk detaching files:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── GET /api/admin/urls/export ─────────────────────────────────────
+// Every link matching the list filters (see services/linkQuery.js) as
+// ?format=csv (default) or json. Streamed, so large exports stay cheap.
+router.get('/api/admin/urls/export', authenticateAdmin, async (req, res) => {
+    try {
+        const format = req.query.format || 'csv';
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({ error: "'format' must be csv or json." });
+        }
+
+        const query = buildUrlQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const cursor = Url.find(query.filter)
+            .select('-passwordHash -textContent')
+            .sort(query.sort)
+            .lean()
+            .cursor();
+
+        const baseUrl = `${req.protocol}://${req.get('host')}`;
+        const now = new Date();
+        const fileName = `links-${now.toISOString().slice(0, 10)}.${format}`;
+
+        res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="${fileName}"`);
+
+        let count = 0;
+        res.write(format === 'csv' ? toCsvLine(EXPORT_COLUMNS) : '[\n');
+        for await (const url of cursor) {
+            const record = exportRecord(url, baseUrl, now);
+            let chunk;
+            if (format === 'csv') {
+                record.fileNames = record.fileNames.join('; ');
+                record.expiresAt = record.expiresAt && record.expiresAt.toISOString();
+                record.createdAt = record.createdAt.toISOString();
+                record.updatedAt = record.updatedAt.toISOString();
+                chunk = toCsvLine(EXPORT_COLUMNS.map(column => record[column]));
+            } else {
+                chunk = `${count > 0 ? ',\n' : ''}${JSON.stringify(record)}`;
+            }
+            count++;
+            if (!res.write(chunk)) await once(res, 'drain');
+        }
+        res.end(format === 'csv' ? '' : '\n]\n');
+
+        recordEvent(req, 'links_export', { details: { format, count, filters: req.query } });
+    } catch (err) {
+        console.error('Error exporting URLs:', err);
+        // Headers are gone once the first row is written
+        if (res.headersSent) return res.destroy(err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/urls/import ────────────────────────────────────
+// Body: CSV (Content-Type text/csv) with a header row naming the columns
+// label, text and password, plus optional expiresAt, maxViews,
+// maxDownloads, contentType and codeLanguage. Every row is validated before any link is created; the
+// response lists the new links with their short URLs and serial numbers.
+router.post(
+    '/api/admin/urls/import',
+    authenticateAdmin,
+    requireRole('owner', 'editor'),
+    express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_MAX_BYTES }),
+    async (req, res) => {
+        try {
+            if (typeof req.body !== 'string') {
+                return res.status(400).json({ error: 'Send the CSV file as text/csv.' });
+            }
+
+            let rows;
+            try {
+                rows = parseCsv(req.body);
+            } catch (err) {
+                return res.status(400).json({ error: 'The CSV file is malformed (unterminated quote).' });
+            }
+
+            const [header = [], ...dataRows] = rows;
+            const columns = header.map(name => IMPORT_COLUMNS[name.trim().toLowerCase()] || null);
+            for (const required of ['textContent', 'password']) {
+                if (!columns.includes(required)) {
+                    return res.status(400).json({ error: 'The header row must name the label, text and password columns.' });
+                }
+            }
+            if (dataRows.length === 0) {
+                return res.status(400).json({ error: 'The CSV file has no rows to import.' });
+            }
+            if (dataRows.length > IMPORT_MAX_ROWS) {
+                return res.status(400).json({ error: `At most ${IMPORT_MAX_ROWS} links can be imported at once.` });
+            }
+
+            // Validate everything first so a bad row never leaves a half import
+            const links = [];
+            const errors = [];
+            dataRows.forEach((cells, i) => {
+                const row = i + 2; // 1-based, after the header
+                const fields = {};
+                columns.forEach((column, c) => {
+                    if (column && cells[c] !== undefined && cells[c] !== '') fields[column] = cells[c];
+                });
+
+                const fieldError = linkFieldsError(fields);
+                if (fieldError) return errors.push({ row, error: fieldError });
+
+                const lifetime = parseLifetimeInput(fields);
+                if (lifetime.error) return errors.push({ row, error: lifetime.error });
+
+                const rendering = parseContentTypeInput(fields);
+                if (rendering.error) return errors.push({ row, error: rendering.error });
+
+                links.push({
+                    row,
+                    password: fields.password.trim(),
+                    textContent: fields.textContent.trim(),
+                    label: (fields.label || '').trim(),
+                    ...lifetime.values,
+                    ...rendering.values,
+                });
+            });
+
+            if (errors.length > 0) {
+                return res.status(400).json({ error: 'Some rows are invalid. Nothing was imported.', errors });
+            }
+
+            const baseUrl = `${req.protocol}://${req.get('host')}`;
+            const created = [];
+            for (const { row, password, ...fields } of links) {
+                const passwordHash = await bcrypt.hash(password, 12);
+                const urlDoc = await createWithSerial(fields.label, serialFields => new Url({
+                    ...fields,
+                    ...serialFields,
+                    shortId: nanoid(8),
+                    passwordHash,
+                }));
+                recordEvent(req, 'admin_create', { url: urlDoc, details: { imported: true } });
+                emitWebhook(req, 'link.created', { url: urlDoc, details: { imported: true } });
+
+                created.push({
+                    row,
+                    serial: urlDoc.serial,
+                    serialNumber: urlDoc.serialNumber,
+                    shortId: urlDoc.shortId,
+                    shortUrl: `${baseUrl}/${urlDoc.shortId}`,
+                    label: urlDoc.label,
+                });
+            }
+
+            res.status(201).json({ success: true, created });
+        } catch (err) {
+            console.error('Error importing URLs:', err);
+            res.status(500).json({ error: 'Internal server error.' });
+        }
+    }
+);
+
+module.exports = router;
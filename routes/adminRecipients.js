@@ -0,0 +1,197 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Url = require('../models/Url');
+const { linkPasswordError, parseLifetimeInput } = require('../middleware/validate');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { recordEvent } = require('../services/audit');
+const {
+    MAX_RECIPIENTS,
+    generateRecipientPassword,
+    hashPassword,
+    toPublicRecipient,
+} = require('../services/recipients');
+
+// ─── Helper: Load a link for a password change ───────────────────────
+// Sends 404 / 400 itself and returns null when the link cannot take one.
+async function findPasswordLink(req, res) {
+    const urlDoc = mongoose.isValidObjectId(req.params.id)
+        ? await Url.findById(req.params.id).select('shortId serial serialNumber encryption recipients')
+        : null;
+
+    if (!urlDoc) {
+        res.status(404).json({ error: 'URL not found.' });
+        return null;
+    }
+    // The content key of an end-to-end encrypted link derives from its password
+    if (urlDoc.encryption) {
+        res.status(400).json({ error: 'Passwords of end-to-end encrypted links cannot be changed or added.' });
+        return null;
+    }
+    return urlDoc;
+}
+
+// ─── Helper: Chosen password, or a generated one ─────────────────────
+// Returns { error } or { password, generated }.
+function pickPassword(raw) {
+    if (raw === undefined || raw === '') {
+        return { password: generateRecipientPassword(), generated: true };
+    }
+    const error = linkPasswordError(raw);
+    return error ? { error } : { password: raw.trim(), generated: false };
+}
+
+// ─── GET /api/admin/urls/:id/recipients ─────────────────────────────
+router.get('/api/admin/urls/:id/recipients', authenticateAdmin, async (req, res) => {
+    try {
+        const urlDoc = mongoose.isValidObjectId(req.params.id)
+            ? await Url.findById(req.params.id).select('recipients')
+            : null;
+        if (!urlDoc) {
+            return res.status(404).json({ error: 'URL not found.' });
+        }
+
+        const now = new Date();
+        res.json({ success: true, recipients: urlDoc.recipients.map(r => toPublicRecipient(r, now)) });
+    } catch (err) {
+        console.error('Error fetching recipients:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/urls/:id/recipients ────────────────────────────
+// Body: { name, password?, expiresAt?, maxViews? }. A password is generated
+// when none is given; either way it is returned once and never again.
+router.post('/api/admin/urls/:id/recipients', authenticateAdmin, requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const urlDoc = await findPasswordLink(req, res);
+        if (!urlDoc) return;
+
+        const name = typeof req.body.name === 'string' ? req.body.name.trim() : '';
+        if (!name || name.length > 100) {
+            return res.status(400).json({ error: 'Recipient name must be 1–100 characters.' });
+        }
+
+        const active = urlDoc.recipients.filter(r => !r.revokedAt);
+        if (active.length >= MAX_RECIPIENTS) {
+            return res.status(400).json({ error: `A link can have at most ${MAX_RECIPIENTS} recipient passwords.` });
+        }
+
+        const picked = pickPassword(req.body.password);
+        if (picked.error) {
+            return res.status(400).json({ error: picked.error });
+        }
+
+        const lifetime = parseLifetimeInput({ expiresAt: req.body.expiresAt, maxViews: req.body.maxViews });
+        if (lifetime.error) {
+            return res.status(400).json({ error: lifetime.error });
+        }
+
+        const recipient = urlDoc.recipients.create({
+            name,
+            passwordHash: await hashPassword(picked.password),
+            expiresAt: lifetime.values.expiresAt || null,
+            maxViews: lifetime.values.maxViews || null,
+            createdAt: new Date(), // $push bypasses subdocument timestamps
+        });
+        await Url.updateOne({ _id: urlDoc._id }, { $push: { recipients: recipient } });
+
+        recordEvent(req, 'recipient_add', { url: urlDoc, details: { recipient: name, recipientId: recipient._id } });
+
+        res.status(201).json({
+            success: true,
+            recipient: toPublicRecipient(recipient),
+            password: picked.password,
+            generated: picked.generated,
+        });
+    } catch (err) {
+        console.error('Error adding recipient:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/urls/:id/recipients/:recipientId/rotate ────────
+// Replace one recipient's password (body: { password? }, generated when
+// absent). Their view count and history are kept.
+router.post('/api/admin/urls/:id/recipients/:recipientId/rotate', authenticateAdmin, requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const urlDoc = await findPasswordLink(req, res);
+        if (!urlDoc) return;
+
+        const recipient = urlDoc.findRecipient(req.params.recipientId);
+        if (!recipient || recipient.revokedAt) {
+            return res.status(404).json({ error: 'Recipient not found or already revoked.' });
+        }
+
+        const picked = pickPassword(req.body.password);
+        if (picked.error) {
+            return res.status(400).json({ error: picked.error });
+        }
+
+        await Url.updateOne(
+            { _id: urlDoc._id, 'recipients._id': recipient._id },
+            { $set: { 'recipients.$.passwordHash': await hashPassword(picked.password) } }
+        );
+        recordEvent(req, 'recipient_rotate', { url: urlDoc, details: { recipient: recipient.name, recipientId: recipient._id } });
+
+        res.json({ success: true, password: picked.password, generated: picked.generated });
+    } catch (err) {
+        console.error('Error rotating recipient password:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── DELETE /api/admin/urls/:id/recipients/:recipientId ─────────────
+// Revoke one recipient. The entry stays for the record; their password
+// stops working immediately.
+router.delete('/api/admin/urls/:id/recipients/:recipientId', authenticateAdmin, requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const urlDoc = mongoose.isValidObjectId(req.params.id)
+            ? await Url.findById(req.params.id).select('shortId serial serialNumber recipients')
+            : null;
+        const recipient = urlDoc && urlDoc.findRecipient(req.params.recipientId);
+        if (!recipient) {
+            return res.status(404).json({ error: 'Recipient not found.' });
+        }
+        if (recipient.revokedAt) {
+            return res.status(400).json({ error: 'This recipient has already been revoked.' });
+        }
+
+        await Url.updateOne(
+            { _id: urlDoc._id, 'recipients._id': recipient._id },
+            { $set: { 'recipients.$.revokedAt': new Date() } }
+        );
+        recordEvent(req, 'recipient_revoke', { url: urlDoc, details: { recipient: recipient.name, recipientId: recipient._id } });
+
+        res.json({ success: true, message: 'Recipient revoked.' });
+    } catch (err) {
+        console.error('Error revoking recipient:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/urls/:id/password ──────────────────────────────
+// Change the link's own password (body: { password }). Recipient passwords
+// are unaffected.
+router.post('/api/admin/urls/:id/password', authenticateAdmin, requireRole('owner', 'editor'), async (req, res) => {
+    try {
+        const urlDoc = await findPasswordLink(req, res);
+        if (!urlDoc) return;
+
+        const error = linkPasswordError(req.body.password);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        await Url.updateOne({ _id: urlDoc._id }, { $set: { passwordHash: await hashPassword(req.body.password.trim()) } });
+        recordEvent(req, 'link_password_change', { url: urlDoc });
+
+        res.json({ success: true, message: 'Link password changed.' });
+    } catch (err) {
+        console.error('Error changing link password:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,117 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Admin = require('../models/Admin');
+const AdminSession = require('../models/AdminSession');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { revokeSession, revokeAdminSessions } = require('../services/adminSessions');
+const { recordEvent } = require('../services/audit');
+
+// ─── Helper: Public view of a session for the current admin ──────────
+function toPublicSession(session, currentId) {
+    return {
+        _id: session._id,
+        ip: session.ip,
+        userAgent: session.userAgent,
+        createdAt: session.createdAt,
+        lastUsedAt: session.lastUsedAt,
+        expiresAt: session.expiresAt,
+        current: String(session._id) === String(currentId),
+    };
+}
+
+// ─── Helper: Can this admin manage sessions of `adminId`? ────────────
+// Everyone manages their own; owners manage everyone's.
+function canManage(req, adminId) {
+    return String(adminId) === String(req.admin.id) || req.admin.role === 'owner';
+}
+
+// ─── GET /api/admin/sessions ────────────────────────────────────────
+// Live sessions of the current admin. Owners may pass ?admin=<id>.
+router.get('/api/admin/sessions', authenticateAdmin, async (req, res) => {
+    try {
+        const adminId = req.query.admin || req.admin.id;
+        if (!mongoose.isValidObjectId(adminId)) {
+            return res.status(400).json({ error: 'Invalid admin id.' });
+        }
+        if (!canManage(req, adminId)) {
+            return res.status(403).json({ error: 'You do not have permission to perform this action.' });
+        }
+
+        const sessions = await AdminSession.find({
+            admin: adminId,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() },
+        }).sort({ lastUsedAt: -1 });
+
+        res.json({
+            success: true,
+            sessions: sessions.map(s => toPublicSession(s, req.admin.sessionId)),
+        });
+    } catch (err) {
+        console.error('Error fetching sessions:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── DELETE /api/admin/sessions/:id ─────────────────────────────────
+// Revoke one session (its access and refresh tokens stop working at once)
+router.delete('/api/admin/sessions/:id', authenticateAdmin, async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Session not found.' });
+        }
+
+        const session = await AdminSession.findById(req.params.id).select('admin');
+        if (!session || !canManage(req, session.admin)) {
+            return res.status(404).json({ error: 'Session not found.' });
+        }
+
+        await revokeSession(session._id, 'revoked');
+        recordEvent(req, 'session_revoke', { details: { session: session._id, admin: session.admin } });
+
+        res.json({ success: true, message: 'Session revoked.' });
+    } catch (err) {
+        console.error('Error revoking session:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/sessions/revoke-all ────────────────────────────
+// Sign out everywhere else (the calling session stays signed in)
+router.post('/api/admin/sessions/revoke-all', authenticateAdmin, async (req, res) => {
+    try {
+        const revoked = await revokeAdminSessions(req.admin.id, 'revoked', { except: req.admin.sessionId });
+        recordEvent(req, 'session_revoke', { details: { admin: req.admin.id, count: revoked } });
+
+        res.json({ success: true, revoked });
+    } catch (err) {
+        console.error('Error revoking sessions:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/users/:id/sessions/revoke ──────────────────────
+// Owners: sign an admin out of every session
+router.post('/api/admin/users/:id/sessions/revoke', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ error: 'Admin not found.' });
+        }
+        const admin = await Admin.findById(req.params.id).select('username');
+        if (!admin) {
+            return res.status(404).json({ error: 'Admin not found.' });
+        }
+
+        const revoked = await revokeAdminSessions(admin._id, 'revoked');
+        recordEvent(req, 'session_revoke', { details: { username: admin.username, count: revoked } });
+
+        res.json({ success: true, revoked });
+    } catch (err) {
+        console.error('Error revoking admin sessions:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
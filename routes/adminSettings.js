@@ -0,0 +1,66 @@
+const express = require('express');
+const router = express.Router();
+
+const Admin = require('../models/Admin');
+const Setting = require('../models/Setting');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { recordEvent } = require('../services/audit');
+const { revokeAdminSessions } = require('../services/adminSessions');
+
+// ─── Helper: Sign out every admin without two-factor authentication ─
+// Used when 2FA becomes required, so the policy applies now rather than at
+// each admin's next login. Returns the number of sessions revoked.
+async function revokeSessionsWithoutTwoFactor() {
+    const admins = await Admin.find({ 'twoFactor.enabled': { $ne: true } }).select('_id');
+    let revoked = 0;
+    for (const admin of admins) {
+        revoked += await revokeAdminSessions(admin._id, 'two_factor_required');
+    }
+    return revoked;
+}
+
+// ─── GET /api/admin/settings ────────────────────────────────────────
+router.get('/api/admin/settings', authenticateAdmin, async (req, res) => {
+    try {
+        res.json({ success: true, settings: await Setting.getAll() });
+    } catch (err) {
+        console.error('Error fetching settings:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── PUT /api/admin/settings ────────────────────────────────────────
+// Owners only. Body: any subset of the known settings. Turning on
+// requireTwoFactor signs out every admin who has not enrolled yet (the
+// caller included), reported as sessionsRevoked.
+router.put('/api/admin/settings', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const changes = {};
+        for (const [key, value] of Object.entries(req.body || {})) {
+            if (!Object.hasOwn(Setting.DEFAULTS, key)) {
+                return res.status(400).json({ error: `Unknown setting '${key}'.` });
+            }
+            if (typeof value !== typeof Setting.DEFAULTS[key]) {
+                return res.status(400).json({ error: `Setting '${key}' must be a ${typeof Setting.DEFAULTS[key]}.` });
+            }
+            changes[key] = value;
+        }
+
+        for (const [key, value] of Object.entries(changes)) {
+            await Setting.setValue(key, value, req.admin.username);
+        }
+        const sessionsRevoked = changes.requireTwoFactor === true ? await revokeSessionsWithoutTwoFactor() : 0;
+        if (Object.keys(changes).length > 0) {
+            recordEvent(req, 'settings_update', {
+                details: sessionsRevoked > 0 ? { ...changes, sessionsRevoked } : changes,
+            });
+        }
+
+        res.json({ success: true, settings: await Setting.getAll(), sessionsRevoked });
+    } catch (err) {
+        console.error('Error updating settings:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
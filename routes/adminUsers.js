@@ -0,0 +1,322 @@
+const express = require('express');
+const router = express.Router();
+const bcrypt = require('bcrypt');
+const mongoose = require('mongoose');
+
+const Admin = require('../models/Admin');
+const { validateAdminUserInput, adminPasswordError } = require('../middleware/validate');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const Setting = require('../models/Setting');
+const AdminSession = require('../models/AdminSession');
+const { recordEvent } = require('../services/audit');
+const {
+    TWO_FACTOR_FIELDS,
+    beginEnrollment,
+    completeEnrollment,
+    verifySecondFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+} = require('../services/twoFactor');
+const { revokeAdminSessions } = require('../services/adminSessions');
+const { toPublicAdmin, generateTemporaryPassword, isLastActiveOwner } = require('../services/team');
+
+// ─── Helper: Load the target admin from :id ──────────────────────────
+async function findTarget(req, res) {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+        res.status(404).json({ error: 'Admin not found.' });
+        return null;
+    }
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) {
+        res.status(404).json({ error: 'Admin not found.' });
+        return null;
+    }
+    return admin;
+}
+
+// ─── GET /api/admin/me ──────────────────────────────────────────────
+router.get('/api/admin/me', authenticateAdmin, async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin.id).select('+twoFactor.recoveryCodes');
+        res.json({
+            success: true,
+            admin: {
+                ...toPublicAdmin(admin),
+                recoveryCodesLeft: admin.twoFactor.enabled ? admin.twoFactor.recoveryCodes.length : null,
+            },
+            twoFactorRequired: await Setting.getValue('requireTwoFactor'),
+        });
+    } catch (err) {
+        console.error('Error fetching admin profile:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/me/password ────────────────────────────────────
+// Change your own password (required after an invite or reset).
+// Every other session of this admin is signed out.
+router.post('/api/admin/me/password', authenticateAdmin, async (req, res) => {
+    try {
+        const { currentPassword, newPassword } = req.body;
+
+        const error = adminPasswordError(newPassword);
+        if (error) {
+            return res.status(400).json({ error });
+        }
+
+        const admin = await Admin.findById(req.admin.id);
+        const isMatch = typeof currentPassword === 'string'
+            && await bcrypt.compare(currentPassword, admin.passwordHash);
+        if (!isMatch) {
+            return res.status(401).json({ error: 'Current password is incorrect.' });
+        }
+
+        admin.passwordHash = await bcrypt.hash(newPassword, 12);
+        admin.mustChangePassword = false;
+        await admin.save();
+        await revokeAdminSessions(admin._id, 'password_change', { except: req.admin.sessionId });
+        recordEvent(req, 'password_change');
+
+        res.json({ success: true, message: 'Password changed.' });
+    } catch (err) {
+        console.error('Error changing password:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/me/2fa/setup ───────────────────────────────────
+// Start TOTP enrollment: returns the secret and an otpauth:// URI to scan
+router.post('/api/admin/me/2fa/setup', authenticateAdmin, async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin.id).select(TWO_FACTOR_FIELDS);
+        if (admin.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
+        }
+
+        res.json({ success: true, ...(await beginEnrollment(admin)) });
+    } catch (err) {
+        console.error('Error starting 2FA setup:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/me/2fa/enable ──────────────────────────────────
+// Confirm enrollment with the first code; recovery codes are returned once
+router.post('/api/admin/me/2fa/enable', authenticateAdmin, async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin.id).select(TWO_FACTOR_FIELDS);
+        if (admin.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is already enabled.' });
+        }
+
+        const recoveryCodes = await completeEnrollment(admin, req.body.code);
+        if (!recoveryCodes) {
+            return res.status(400).json({ error: 'Invalid authentication code.' });
+        }
+        recordEvent(req, 'two_factor_enable');
+
+        res.json({ success: true, recoveryCodes });
+    } catch (err) {
+        console.error('Error enabling 2FA:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/me/2fa/disable ─────────────────────────────────
+// Requires the password and a current code (or recovery code)
+router.post('/api/admin/me/2fa/disable', authenticateAdmin, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (await Setting.getValue('requireTwoFactor')) {
+            return res.status(400).json({ error: 'Two-factor authentication is required for all admins.' });
+        }
+
+        const admin = await Admin.findById(req.admin.id).select(TWO_FACTOR_FIELDS);
+        if (!admin.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+        }
+
+        const isMatch = typeof password === 'string' && await bcrypt.compare(password, admin.passwordHash);
+        if (!isMatch || !(await verifySecondFactor(admin, code)).ok) {
+            return res.status(401).json({ error: 'Password or authentication code is incorrect.' });
+        }
+
+        await disableTwoFactor(admin);
+        recordEvent(req, 'two_factor_disable');
+
+        res.json({ success: true, message: 'Two-factor authentication disabled.' });
+    } catch (err) {
+        console.error('Error disabling 2FA:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/me/2fa/recovery-codes ──────────────────────────
+// Replace all recovery codes (requires a current TOTP code)
+router.post('/api/admin/me/2fa/recovery-codes', authenticateAdmin, async (req, res) => {
+    try {
+        const admin = await Admin.findById(req.admin.id).select(TWO_FACTOR_FIELDS);
+        if (!admin.twoFactor.enabled) {
+            return res.status(400).json({ error: 'Two-factor authentication is not enabled.' });
+        }
+
+        const result = await verifySecondFactor(admin, req.body.code);
+        if (!result.ok || result.usedRecoveryCode) {
+            return res.status(401).json({ error: 'Invalid authentication code.' });
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(admin);
+        recordEvent(req, 'recovery_codes_regenerate');
+
+        res.json({ success: true, recoveryCodes });
+    } catch (err) {
+        console.error('Error regenerating recovery codes:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── GET /api/admin/users ───────────────────────────────────────────
+router.get('/api/admin/users', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const admins = await Admin.find().sort({ createdAt: 1 });
+        res.json({ success: true, users: admins.map(toPublicAdmin) });
+    } catch (err) {
+        console.error('Error fetching admins:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/users ──────────────────────────────────────────
+// Invite an admin. Without a password, a temporary one is generated and
+// returned once; the new admin must change it on first login.
+router.post('/api/admin/users', authenticateAdmin, requireRole('owner'), validateAdminUserInput, async (req, res) => {
+    try {
+        const { username, role, password } = req.body;
+
+        if (await Admin.exists({ username })) {
+            return res.status(409).json({ error: 'An admin with that username already exists.' });
+        }
+
+        const temporaryPassword = password ? null : generateTemporaryPassword();
+        const admin = await Admin.create({
+            username,
+            role,
+            passwordHash: await bcrypt.hash(password || temporaryPassword, 12),
+            mustChangePassword: true,
+            createdBy: req.admin.username,
+        });
+        recordEvent(req, 'team_invite', { details: { username, role } });
+
+        res.status(201).json({ success: true, user: toPublicAdmin(admin), temporaryPassword });
+    } catch (err) {
+        console.error('Error inviting admin:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── PATCH /api/admin/users/:id ─────────────────────────────────────
+// Change role and/or enable/disable an admin
+router.patch('/api/admin/users/:id', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const { role, disabled } = req.body;
+        const admin = await findTarget(req, res);
+        if (!admin) return;
+
+        if (role !== undefined && !Admin.ROLES.includes(role)) {
+            return res.status(400).json({ error: `Role must be one of: ${Admin.ROLES.join(', ')}.` });
+        }
+        if (disabled !== undefined && typeof disabled !== 'boolean') {
+            return res.status(400).json({ error: 'Disabled must be true or false.' });
+        }
+
+        const demoting = role !== undefined && role !== 'owner';
+        if ((demoting || disabled === true) && await isLastActiveOwner(admin)) {
+            return res.status(400).json({ error: 'The last active owner cannot be demoted or disabled.' });
+        }
+        if (disabled === true && String(admin._id) === String(req.admin.id)) {
+            return res.status(400).json({ error: 'You cannot disable your own account.' });
+        }
+
+        if (role !== undefined) admin.role = role;
+        if (disabled !== undefined) admin.disabled = disabled;
+        await admin.save();
+        if (disabled === true) {
+            await revokeAdminSessions(admin._id, 'admin_disabled');
+        }
+        recordEvent(req, 'team_update', { details: { username: admin.username, role, disabled } });
+
+        res.json({ success: true, user: toPublicAdmin(admin) });
+    } catch (err) {
+        console.error('Error updating admin:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/users/:id/reset-password ───────────────────────
+// Replace an admin's password with a one-time temporary password and
+// sign out all of their sessions
+router.post('/api/admin/users/:id/reset-password', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const admin = await findTarget(req, res);
+        if (!admin) return;
+
+        const temporaryPassword = generateTemporaryPassword();
+        admin.passwordHash = await bcrypt.hash(temporaryPassword, 12);
+        admin.mustChangePassword = true;
+        await admin.save();
+        await revokeAdminSessions(admin._id, 'password_reset');
+        recordEvent(req, 'team_password_reset', { details: { username: admin.username } });
+
+        res.json({ success: true, temporaryPassword });
+    } catch (err) {
+        console.error('Error resetting admin password:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/users/:id/2fa/reset ────────────────────────────
+// Turn off 2FA for an admin who lost their authenticator and recovery
+// codes, and sign out their sessions. They enroll again at next login
+// when 2FA is required.
+router.post('/api/admin/users/:id/2fa/reset', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const admin = await findTarget(req, res);
+        if (!admin) return;
+
+        await disableTwoFactor(admin);
+        await revokeAdminSessions(admin._id, 'two_factor_reset');
+        recordEvent(req, 'two_factor_reset', { details: { username: admin.username } });
+
+        res.json({ success: true, user: toPublicAdmin(admin) });
+    } catch (err) {
+        console.error('Error resetting admin 2FA:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── DELETE /api/admin/users/:id ────────────────────────────────────
+router.delete('/api/admin/users/:id', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const admin = await findTarget(req, res);
+        if (!admin) return;
+
+        if (String(admin._id) === String(req.admin.id)) {
+            return res.status(400).json({ error: 'You cannot delete your own account.' });
+        }
+        if (await isLastActiveOwner(admin)) {
+            return res.status(400).json({ error: 'The last active owner cannot be deleted.' });
+        }
+
+        await Admin.findByIdAndDelete(admin._id);
+        await AdminSession.deleteMany({ admin: admin._id });
+        recordEvent(req, 'team_delete', { details: { username: admin.username } });
+
+        res.json({ success: true, message: 'Admin deleted.' });
+    } catch (err) {
+        console.error('Error deleting admin:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
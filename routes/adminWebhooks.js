@@ -0,0 +1,253 @@
+const express = require('express');
+const router = express.Router();
+const mongoose = require('mongoose');
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { authenticateAdmin, requireRole } = require('../middleware/auth');
+const { recordEvent } = require('../services/audit');
+const { generateSecret, pingWebhook, retryDelivery } = require('../services/webhooks');
+
+const MAX_WEBHOOKS = 20;
+const DELIVERIES_DEFAULT_LIMIT = 50;
+const DELIVERIES_MAX_LIMIT = 200;
+
+// ─── Helper: Validate webhook fields ────────────────────────────────
+// Fields that are absent are left out so PUT can change a subset.
+// Returns { error } or { values }.
+function parseWebhookInput(body, { requireUrl }) {
+    const values = {};
+
+    if (body.url !== undefined || requireUrl) {
+        let parsed = null;
+        try {
+            parsed = new URL(String(body.url || ''));
+        } catch (err) {
+            // Reported below
+        }
+        if (!parsed || !['http:', 'https:'].includes(parsed.protocol) || String(body.url).length > 2048) {
+            return { error: 'Webhook URL must be a valid http(s) URL.' };
+        }
+        values.url = parsed.href;
+    }
+
+    if (body.description !== undefined) {
+        if (typeof body.description !== 'string' || body.description.length > 200) {
+            return { error: 'Description must be a string of 200 characters or fewer.' };
+        }
+        values.description = body.description.trim();
+    }
+
+    if (body.events !== undefined) {
+        const unknown = Array.isArray(body.events)
+            ? body.events.filter(e => !Webhook.EVENT_TYPES.includes(e))
+            : null;
+        if (!unknown || unknown.length > 0) {
+            return { error: `events must list event types from: ${Webhook.EVENT_TYPES.join(', ')}.` };
+        }
+        values.events = [...new Set(body.events)];
+    }
+
+    if (body.active !== undefined) {
+        if (typeof body.active !== 'boolean') {
+            return { error: 'active must be true or false.' };
+        }
+        values.active = body.active;
+    }
+
+    return { values };
+}
+
+async function findWebhook(req, res) {
+    const webhook = mongoose.isValidObjectId(req.params.id) ? await Webhook.findById(req.params.id) : null;
+    if (!webhook) {
+        res.status(404).json({ error: 'Webhook not found.' });
+    }
+    return webhook;
+}
+
+// ─── GET /api/admin/webhooks ────────────────────────────────────────
+// Subscriptions (without secrets) with their pending / failed counts
+router.get('/api/admin/webhooks', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const webhooks = await Webhook.find().sort({ createdAt: 1 }).lean();
+        const counts = await WebhookDelivery.aggregate([
+            { $match: { webhook: { $in: webhooks.map(w => w._id) }, status: { $in: ['pending', 'failed'] } } },
+            { $group: { _id: { webhook: '$webhook', status: '$status' }, count: { $sum: 1 } } },
+        ]);
+
+        for (const webhook of webhooks) {
+            webhook.pending = 0;
+            webhook.failed = 0;
+        }
+        const byId = new Map(webhooks.map(w => [String(w._id), w]));
+        for (const { _id, count } of counts) {
+            byId.get(String(_id.webhook))[_id.status] = count;
+        }
+
+        res.json({ success: true, webhooks, eventTypes: Webhook.EVENT_TYPES });
+    } catch (err) {
+        console.error('Error fetching webhooks:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/webhooks ───────────────────────────────────────
+// Body: { url, description?, events?, active? }. The signing secret is
+// returned once and never again.
+router.post('/api/admin/webhooks', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const input = parseWebhookInput(req.body, { requireUrl: true });
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+        if (await Webhook.countDocuments() >= MAX_WEBHOOKS) {
+            return res.status(400).json({ error: `At most ${MAX_WEBHOOKS} webhooks can be configured.` });
+        }
+
+        const secret = generateSecret();
+        const webhook = await Webhook.create({ ...input.values, secret, createdBy: req.admin.username });
+        recordEvent(req, 'webhook_create', { details: { webhook: webhook._id, url: webhook.url, events: webhook.events } });
+
+        const result = webhook.toObject();
+        delete result.secret;
+        res.status(201).json({ success: true, webhook: result, secret });
+    } catch (err) {
+        console.error('Error creating webhook:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── PUT /api/admin/webhooks/:id ────────────────────────────────────
+// Change url, description, events or active
+router.put('/api/admin/webhooks/:id', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req, res);
+        if (!webhook) return;
+
+        const input = parseWebhookInput(req.body, { requireUrl: false });
+        if (input.error) {
+            return res.status(400).json({ error: input.error });
+        }
+
+        webhook.set(input.values);
+        const changed = webhook.modifiedPaths().filter(p => !p.includes('.'));
+        await webhook.save();
+        recordEvent(req, 'webhook_update', { details: { webhook: webhook._id, url: webhook.url, changed } });
+
+        res.json({ success: true, webhook });
+    } catch (err) {
+        console.error('Error updating webhook:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/webhooks/:id/rotate-secret ─────────────────────
+// Replace the signing secret. Takes effect for the next attempt, including
+// retries of deliveries queued earlier.
+router.post('/api/admin/webhooks/:id/rotate-secret', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req, res);
+        if (!webhook) return;
+
+        const secret = generateSecret();
+        await Webhook.updateOne({ _id: webhook._id }, { $set: { secret } });
+        recordEvent(req, 'webhook_update', { details: { webhook: webhook._id, url: webhook.url, changed: ['secret'] } });
+
+        res.json({ success: true, secret });
+    } catch (err) {
+        console.error('Error rotating webhook secret:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/webhooks/:id/test ──────────────────────────────
+// Queue a "ping" delivery, whatever the event filter
+router.post('/api/admin/webhooks/:id/test', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req, res);
+        if (!webhook) return;
+
+        await pingWebhook(webhook, req);
+        res.json({ success: true, message: 'Test delivery queued.' });
+    } catch (err) {
+        console.error('Error queueing test webhook:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── DELETE /api/admin/webhooks/:id ─────────────────────────────────
+// Removes the subscription and its delivery log
+router.delete('/api/admin/webhooks/:id', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req, res);
+        if (!webhook) return;
+
+        await WebhookDelivery.deleteMany({ webhook: webhook._id });
+        await Webhook.deleteOne({ _id: webhook._id });
+        recordEvent(req, 'webhook_delete', { details: { webhook: webhook._id, url: webhook.url } });
+
+        res.json({ success: true, message: 'Webhook deleted.' });
+    } catch (err) {
+        console.error('Error deleting webhook:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── GET /api/admin/webhooks/:id/deliveries ─────────────────────────
+// Delivery log, newest first. Supports status and cursor pagination via
+// `before` (a delivery id).
+router.get('/api/admin/webhooks/:id/deliveries', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const webhook = await findWebhook(req, res);
+        if (!webhook) return;
+
+        const filter = { webhook: webhook._id };
+        if (req.query.status) {
+            if (!WebhookDelivery.STATUSES.includes(req.query.status)) {
+                return res.status(400).json({ error: `'status' must be one of: ${WebhookDelivery.STATUSES.join(', ')}.` });
+            }
+            filter.status = req.query.status;
+        }
+        if (req.query.before) {
+            if (!mongoose.isValidObjectId(req.query.before)) {
+                return res.status(400).json({ error: 'Invalid cursor.' });
+            }
+            filter._id = { $lt: new mongoose.Types.ObjectId(String(req.query.before)) };
+        }
+
+        const limit = Math.min(parseInt(req.query.limit, 10) || DELIVERIES_DEFAULT_LIMIT, DELIVERIES_MAX_LIMIT);
+        const deliveries = await WebhookDelivery.find(filter).sort({ _id: -1 }).limit(limit + 1);
+        const hasMore = deliveries.length > limit;
+        const page = hasMore ? deliveries.slice(0, limit) : deliveries;
+
+        res.json({
+            success: true,
+            deliveries: page,
+            nextCursor: hasMore ? page[page.length - 1]._id : null,
+        });
+    } catch (err) {
+        console.error('Error fetching webhook deliveries:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── POST /api/admin/webhooks/deliveries/:deliveryId/retry ──────────
+// Send a succeeded or failed delivery again, with a fresh set of attempts
+router.post('/api/admin/webhooks/deliveries/:deliveryId/retry', authenticateAdmin, requireRole('owner'), async (req, res) => {
+    try {
+        const delivery = mongoose.isValidObjectId(req.params.deliveryId)
+            ? await retryDelivery(req.params.deliveryId)
+            : null;
+        if (!delivery) {
+            return res.status(404).json({ error: 'Delivery not found or already queued.' });
+        }
+
+        res.json({ success: true, delivery });
+    } catch (err) {
+        console.error('Error retrying webhook delivery:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
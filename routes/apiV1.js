@@ -0,0 +1,190 @@
+const express = require('express');
+const router = express.Router();
+
+const Url = require('../models/Url');
+const { apiAuthLimiter, apiKeyLimiter } = require('../middleware/rateLimiter');
+const { authenticateApi, requireScope } = require('../middleware/auth');
+const { validateShortenInput } = require('../middleware/validate');
+const { uploadAttachments } = require('../middleware/upload');
+const { buildUrlQuery } = require('../services/linkQuery');
+const { createLink, updateLink, deleteLink } = require('../services/links');
+const { buildOpenApiDocument } = require('../services/openapi');
+
+/**
+ * Public REST API, version 1. Described by GET /api/v1/openapi.json
+ * (see services/openapi.js); changes that break clients belong in /api/v2.
+ *
+ * Callers authenticate with an API key issued by an owner
+ * (routes/adminApiKeys.js) as a Bearer token; an admin access token works
+ * too, with owners and editors holding every scope and viewers `read`.
+ * Each key has its own per-minute rate limit.
+ *
+ * Links are addressed by id or shortId. Responses carry metadata only:
+ * the protected text and files are still reached through the link itself.
+ */
+
+// Failed authentications count per IP, everything after that per key
+const authenticate = [apiAuthLimiter, authenticateApi, apiKeyLimiter];
+
+const OBJECT_ID_PATTERN = /^[0-9a-f]{24}$/i;
+
+// ─── Helper: A link as the API returns it ───────────────────────────
+function toApiLink(urlDoc, baseUrl, now = new Date()) {
+    return {
+        id: urlDoc._id,
+        shortId: urlDoc.shortId,
+        shortUrl: `${baseUrl}/${urlDoc.shortId}`,
+        serial: urlDoc.serial,
+        serialNumber: urlDoc.serialNumber,
+        label: urlDoc.label,
+        contentType: urlDoc.contentType,
+        codeLanguage: urlDoc.codeLanguage,
+        encrypted: Boolean(urlDoc.encryption),
+        attachments: urlDoc.attachments.map(a => ({
+            id: a._id,
+            fileName: a.fileName,
+            size: a.size,
+            mimeType: a.mimeType,
+            downloadCount: a.downloadCount,
+            quarantined: Boolean(a.scan && a.scan.status === 'infected'),
+            missing: Boolean(a.missingAt),
+        })),
+        expiresAt: urlDoc.expiresAt,
+        maxViews: urlDoc.maxViews,
+        viewCount: urlDoc.viewCount,
+        maxDownloads: urlDoc.maxDownloads,
+        downloadCount: urlDoc.downloadCount,
+        locked: urlDoc.isLocked(now),
+        expired: urlDoc.isExpired(now),
+        createdAt: urlDoc.createdAt,
+        updatedAt: urlDoc.updatedAt,
+    };
+}
+
+const baseUrlOf = (req) => `${req.protocol}://${req.get('host')}`;
+
+// ─── Helper: Load the link named by :id (its id or shortId) ─────────
+async function findLink(req, res, select = '') {
+    const { id } = req.params;
+    const filter = OBJECT_ID_PATTERN.test(id) ? { $or: [{ _id: id }, { shortId: id }] } : { shortId: id };
+    const urlDoc = await Url.findOne(filter).select(select);
+    if (!urlDoc) {
+        res.status(404).json({ error: 'Link not found.' });
+    }
+    return urlDoc;
+}
+
+// ─── Helper: Answer a rejected create or edit ───────────────────────
+function sendLinkError(res, err, action) {
+    if (err.code === 'INVALID_LINK_INPUT') {
+        return res.status(400).json({ error: err.message });
+    }
+    if (err.code === 'ALIAS_TAKEN') {
+        return res.status(409).json({ error: err.message });
+    }
+    console.error(`Error ${action} link via API:`, err);
+    res.status(500).json({ error: 'Internal server error.' });
+}
+
+// ─── GET /api/v1/openapi.json ───────────────────────────────────────
+// The API description, public so tooling can fetch it without a key
+router.get('/api/v1/openapi.json', (req, res) => {
+    res.json(buildOpenApiDocument(baseUrlOf(req)));
+});
+
+// ─── POST /api/v1/links ─────────────────────────────────────────────
+// Scope: create. JSON or multipart body with the fields of POST
+// /api/shorten (files in `files`, finished resumable uploads in `uploadIds`).
+router.post(
+    '/api/v1/links',
+    authenticate,
+    requireScope('create'),
+    uploadAttachments,
+    validateShortenInput,
+    async (req, res) => {
+        try {
+            const urlDoc = await createLink(req);
+            res.status(201).json({ success: true, link: toApiLink(urlDoc, baseUrlOf(req)) });
+        } catch (err) {
+            sendLinkError(res, err, 'creating');
+        }
+    }
+);
+
+// ─── GET /api/v1/links ──────────────────────────────────────────────
+// Scope: read. One page of links; takes the dashboard's list filters
+// (see buildUrlQuery).
+router.get('/api/v1/links', authenticate, requireScope('read'), async (req, res) => {
+    try {
+        const query = buildUrlQuery(req.query);
+        if (query.error) {
+            return res.status(400).json({ error: query.error });
+        }
+
+        const { filter, sort, page, limit } = query;
+        const [urls, total] = await Promise.all([
+            Url.find(filter).sort(sort).skip((page - 1) * limit).limit(limit),
+            Url.countDocuments(filter),
+        ]);
+
+        const baseUrl = baseUrlOf(req);
+        const now = new Date();
+        res.json({
+            success: true,
+            links: urls.map(u => toApiLink(u, baseUrl, now)),
+            page,
+            limit,
+            total,
+            totalPages: Math.max(1, Math.ceil(total / limit)),
+        });
+    } catch (err) {
+        console.error('Error listing links via API:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── GET /api/v1/links/:id ──────────────────────────────────────────
+// Scope: read
+router.get('/api/v1/links/:id', authenticate, requireScope('read'), async (req, res) => {
+    try {
+        const urlDoc = await findLink(req, res);
+        if (!urlDoc) return;
+
+        res.json({ success: true, link: toApiLink(urlDoc, baseUrlOf(req)) });
+    } catch (err) {
+        console.error('Error fetching link via API:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── PATCH /api/v1/links/:id ────────────────────────────────────────
+// Scope: manage. Takes the fields of PUT /api/admin/urls/:id; absent
+// fields keep their value (see updateLink).
+router.patch('/api/v1/links/:id', authenticate, requireScope('manage'), uploadAttachments, async (req, res) => {
+    try {
+        const urlDoc = await findLink(req, res, '+attachments.fileEncryption');
+        if (!urlDoc) return;
+
+        await updateLink(req, urlDoc);
+        res.json({ success: true, link: toApiLink(urlDoc, baseUrlOf(req)) });
+    } catch (err) {
+        sendLinkError(res, err, 'updating');
+    }
+});
+
+// ─── DELETE /api/v1/links/:id ───────────────────────────────────────
+// Scope: manage. Removes the link and its files.
+router.delete('/api/v1/links/:id', authenticate, requireScope('manage'), async (req, res) => {
+    try {
+        const urlDoc = await findLink(req, res);
+        if (!urlDoc) return;
+
+        const filesMissing = await deleteLink(req, urlDoc);
+        res.json({ success: true, filesMissing });
+    } catch (err) {
+        console.error('Error deleting link via API:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
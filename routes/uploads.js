@@ -0,0 +1,205 @@
+const express = require('express');
+const router = express.Router();
+
+const Upload = require('../models/Upload');
+const { fileTypeError } = require('../middleware/validate');
+const { uploadLimiter } = require('../middleware/rateLimiter');
+const { identifyAdmin, authorizeLinkCreation } = require('../middleware/auth');
+const {
+    MAX_CHUNK_SIZE, maxUploadSize, createUpload, appendChunk, discardUpload,
+} = require('../services/uploads');
+
+/**
+ * Resumable uploads, following the tus 1.0 core protocol with the
+ * creation, expiration and termination extensions:
+ *
+ *   POST   /api/uploads       Upload-Length + Upload-Metadata → 201, Location
+ *   HEAD   /api/uploads/:id   → Upload-Offset, Upload-Length, Upload-Expires
+ *   PATCH  /api/uploads/:id   Upload-Offset + application/offset+octet-stream
+ *                             body → 204 with the new Upload-Offset
+ *   DELETE /api/uploads/:id   → 204
+ *
+ * Upload-Metadata carries `filename` (base64, required) and an `encrypted`
+ * flag for end-to-end encrypted `.enc` files. Chunks are at most
+ * MAX_CHUNK_SIZE; a chunk cut off mid-way is dropped, so clients resume
+ * from the offset HEAD reports. The finished upload is attached by passing
+ * its id in the `uploadIds` field of POST /api/shorten,
+ * PUT /api/admin/urls/:id or the /api/v1 link routes (see middleware/upload.js).
+ *
+ * Like link creation these endpoints are public, unless the
+ * requireAuthForCreate setting is on: then starting an upload needs an
+ * admin login or an API key, as creating a link does. Past that the
+ * upload id is the only credential.
+ */
+
+const TUS_VERSION = '1.0.0';
+const UPLOAD_ID_PATTERN = /^[A-Za-z0-9_-]{24}$/;
+
+router.use('/api/uploads', uploadLimiter, (req, res, next) => {
+    res.set({
+        'Tus-Resumable': TUS_VERSION,
+        'Tus-Version': TUS_VERSION,
+        'Tus-Extension': 'creation,expiration,termination',
+        'Tus-Max-Size': String(maxUploadSize()),
+        'Cache-Control': 'no-store',
+    });
+    next();
+});
+
+// ─── Helper: Parse Upload-Metadata ──────────────────────────────────
+// "key base64value,flag,…" → { key: 'value', flag: '' }; null if malformed
+function parseMetadata(header) {
+    const metadata = {};
+    for (const pair of String(header || '').split(',')) {
+        if (!pair.trim()) continue;
+        const [key, value, extra] = pair.trim().split(' ');
+        if (extra !== undefined || (value && !/^[A-Za-z0-9+/]*={0,2}$/.test(value))) {
+            return null;
+        }
+        metadata[key] = value ? Buffer.from(value, 'base64').toString('utf8') : '';
+    }
+    return metadata;
+}
+
+// Whole, non-negative integer header value, or null
+function integerHeader(req, name) {
+    const raw = req.get(name);
+    return raw !== undefined && /^\d{1,15}$/.test(raw) ? Number(raw) : null;
+}
+
+// Uploads can be resumed until they are complete and until they expire
+async function findUpload(req, res, select = '') {
+    const upload = UPLOAD_ID_PATTERN.test(req.params.uploadId)
+        ? await Upload.findOne({ uploadId: req.params.uploadId }).select(select)
+        : null;
+    if (!upload) {
+        res.status(404).json({ error: 'Upload not found.' });
+        return null;
+    }
+    if (upload.expiresAt <= new Date() || upload.status === 'attached') {
+        res.status(410).json({ error: 'This upload has expired or was already attached to a link.' });
+        return null;
+    }
+    return upload;
+}
+
+function setProgressHeaders(res, upload, offset = upload.offset) {
+    res.set({
+        'Upload-Offset': String(offset),
+        'Upload-Length': String(upload.size),
+        'Upload-Expires': upload.expiresAt.toUTCString(),
+    });
+}
+
+// ─── POST /api/uploads ──────────────────────────────────────────────
+// Start an upload. Answers with its Location (and the id in the body).
+router.post('/api/uploads', identifyAdmin, authorizeLinkCreation, async (req, res) => {
+    try {
+        const size = integerHeader(req, 'Upload-Length');
+        if (size === null || size === 0) {
+            return res.status(400).json({ error: 'Upload-Length must be a positive whole number of bytes.' });
+        }
+        if (size > maxUploadSize()) {
+            return res.status(413).json({ error: `File size exceeds the ${maxUploadSize() / 1024 / 1024} MB limit.` });
+        }
+
+        const metadata = parseMetadata(req.get('Upload-Metadata'));
+        const fileName = metadata && metadata.filename ? metadata.filename.trim() : '';
+        if (!fileName || fileName.length > 255 || /[\/\\\0]/.test(fileName)) {
+            return res.status(400).json({ error: 'Upload-Metadata must include a valid filename.' });
+        }
+
+        const encrypted = metadata.encrypted !== undefined;
+        const typeError = fileTypeError(fileName, encrypted);
+        if (typeError) {
+            return res.status(400).json({ error: typeError });
+        }
+
+        const upload = await createUpload({ fileName, size, encrypted });
+        const location = `/api/uploads/${upload.uploadId}`;
+
+        setProgressHeaders(res, upload);
+        res.location(location).status(201).json({
+            success: true,
+            uploadId: upload.uploadId,
+            location,
+            expiresAt: upload.expiresAt,
+        });
+    } catch (err) {
+        console.error('Error creating upload:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── HEAD /api/uploads/:uploadId ────────────────────────────────────
+// Where to resume. 423 while the last chunk is being assembled.
+router.head('/api/uploads/:uploadId', async (req, res) => {
+    try {
+        const upload = await findUpload(req, res);
+        if (!upload) return;
+
+        setProgressHeaders(res, upload);
+        res.status(upload.status === 'assembling' ? 423 : 200).end();
+    } catch (err) {
+        console.error('Error reading upload:', err);
+        res.status(500).end();
+    }
+});
+
+// ─── PATCH /api/uploads/:uploadId ───────────────────────────────────
+// Append the request body at Upload-Offset
+router.patch('/api/uploads/:uploadId', async (req, res) => {
+    try {
+        if (!req.is('application/offset+octet-stream')) {
+            return res.status(415).json({ error: 'Content-Type must be application/offset+octet-stream.' });
+        }
+        const offset = integerHeader(req, 'Upload-Offset');
+        if (offset === null) {
+            return res.status(400).json({ error: 'Upload-Offset is required.' });
+        }
+        const length = integerHeader(req, 'Content-Length');
+        if (length !== null && length > MAX_CHUNK_SIZE) {
+            return res.status(413).json({ error: `Chunks are limited to ${MAX_CHUNK_SIZE / 1024 / 1024} MB.` });
+        }
+
+        const upload = await findUpload(req, res, '+staging');
+        if (!upload) return;
+        if (upload.status !== 'uploading') {
+            setProgressHeaders(res, upload);
+            return res.status(upload.status === 'assembling' ? 423 : 409)
+                .json({ error: 'This upload has already received every byte.' });
+        }
+
+        const result = await appendChunk(upload, offset, req);
+        if (!result.ok) {
+            setProgressHeaders(res, upload);
+            return res.status(result.status).json({ error: result.error });
+        }
+
+        setProgressHeaders(res, upload, result.offset);
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error storing upload chunk:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── DELETE /api/uploads/:uploadId ──────────────────────────────────
+// Abandon an upload and free what it stored
+router.delete('/api/uploads/:uploadId', async (req, res) => {
+    try {
+        const upload = await findUpload(req, res);
+        if (!upload) return;
+        if (upload.status === 'assembling') {
+            return res.status(423).json({ error: 'This upload is being assembled.' });
+        }
+
+        await discardUpload(upload);
+        res.status(204).end();
+    } catch (err) {
+        console.error('Error deleting upload:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+module.exports = router;
@@ -1,76 +1,228 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
 const path = require('path');
-const bcrypt = require('bcrypt');
-const { nanoid } = require('nanoid');
-const fs = require('fs');
+const archiver = require('archiver');
 
 const Url = require('../models/Url');
-const { validateShortenInput, validateVerifyInput, fileFilter, MAX_FILE_SIZE } = require('../middleware/validate');
-
-// ─── Multer Configuration ────────────────────────────────────────────
-// Files are stored with randomized names to prevent conflicts and path traversal
-const storage = multer.diskStorage({
-    destination: (req, file, cb) => {
-        const uploadDir = path.join(__dirname, '..', 'uploads');
-        if (!fs.existsSync(uploadDir)) {
-            fs.mkdirSync(uploadDir, { recursive: true });
-        }
-        cb(null, uploadDir);
-    },
-    filename: (req, file, cb) => {
-        const uniqueName = `${nanoid(16)}${path.extname(file.originalname).toLowerCase()}`;
-        cb(null, uniqueName);
-    },
-});
+const {
+    issueDownloadToken,
+    verifyDownloadToken,
+    recordDownloadClaim,
+    hasDownloadClaim,
+} = require('../services/downloadTokens');
+const { createFileDecryptor, blockStart } = require('../services/fileCrypto');
+const { getStorage } = require('../services/storage');
+const { claimAttempt, recordFailure, resetAttempts } = require('../services/bruteForce');
+const { createLimiter, searchLimiter, verifyLimiter } = require('../middleware/rateLimiter');
+const { identifyAdmin, authorizeLinkCreation } = require('../middleware/auth');
+const { recordEvent } = require('../services/audit');
+const { emitWebhook } = require('../services/webhooks');
+const { validateShortenInput, validateVerifyInput } = require('../middleware/validate');
+const { uploadAttachments } = require('../middleware/upload');
+const { isQuarantined } = require('../services/attachments');
+const { normalizeSerial, failsCheckDigit } = require('../services/serialNumbers');
+const { createLink } = require('../services/links');
+const { findRedirect } = require('../services/aliases');
+const { RECIPIENT_FIELDS, matchPassword, claimRecipientView } = require('../services/recipients');
+const { markAttachmentsMissing } = require('../services/storageReconciliation');
 
-const upload = multer({
-    storage,
-    fileFilter,
-    limits: { fileSize: MAX_FILE_SIZE },
-});
+const QUARANTINED_MESSAGE = 'This file has been quarantined by the malware scanner.';
+
+// ─── Helper: Render a minimal status page ───────────────────────────
+function sendStatusPage(res, status, message) {
+    return res.status(status).send(`
+        <!DOCTYPE html>
+        <html><head><title>${status}</title></head>
+        <body style="display:flex;justify-content:center;align-items:center;height:100vh;background:#0f0f1a;color:#fff;font-family:sans-serif;">
+          <h1>${status} — ${message}</h1>
+        </body></html>
+      `);
+}
+
+// ─── Helper: Consume one unit of a capped counter atomically ─────────
+// Increments `counter` only while it is still below `cap` (or cap is unset),
+// so two concurrent requests can never both read a burn-after-reading link.
+async function consumeLimit(urlDoc, counter, cap) {
+    return Url.findOneAndUpdate(
+        {
+            _id: urlDoc._id,
+            $or: [{ [cap]: null }, { $expr: { $lt: [`$${counter}`, `$${cap}`] } }],
+        },
+        { $inc: { [counter]: 1 } },
+        { new: true }
+    );
+}
+
+// ─── Helper: Parse a single-range Range header ───────────────────────
+// Returns null when absent, { start, end } when satisfiable, -1 otherwise.
+function parseRange(header, size) {
+    if (!header) return null;
+
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return -1;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: the last N bytes
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
 
-// ─── Helper: Generate next serial number ─────────────────────────────
-async function getNextSerialNumber() {
-    const last = await Url.findOne().sort({ serialNumber: -1 }).select('serialNumber');
-    return last ? last.serialNumber + 1 : 1001; // Start from 1001
+    return start <= end && start < size ? { start, end } : -1;
+}
+
+// ─── Helper: Readable stream of a whole attachment, decrypted ──────────
+function openAttachment(attachment, onError) {
+    const stream = getStorage().getStream(attachment.storageKey).on('error', onError);
+    return attachment.fileEncryption
+        ? stream.pipe(createFileDecryptor(attachment.fileEncryption)).on('error', onError)
+        : stream;
+}
+
+// ─── Helper: Stream a stored attachment, decrypting on the fly ───────
+// `size` comes from storage.stat(); GCM ciphertext is as long as the
+// plaintext, so it is also the size of the decrypted file. Legacy files
+// without fileEncryption are streamed as-is.
+function sendStoredFile(req, res, attachment, size) {
+    const storage = getStorage();
+    const range = parseRange(req.headers.range, size);
+    const meta = attachment.fileEncryption;
+
+    res.attachment(attachment.fileName);
+    res.type(attachment.mimeType);
+    res.set('Accept-Ranges', 'bytes');
+
+    if (range === -1) {
+        res.set('Content-Range', `bytes */${size}`);
+        return res.status(416).end();
+    }
+
+    const onError = (err) => {
+        console.error('Error streaming file:', err);
+        res.destroy(err);
+    };
+
+    let stream;
+    if (!range) {
+        res.set('Content-Length', size);
+        stream = openAttachment(attachment, onError);
+    } else {
+        res.status(206);
+        res.set('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+        res.set('Content-Length', range.end - range.start + 1);
+        if (meta) {
+            stream = storage.getStream(attachment.storageKey, { start: blockStart(range.start), end: range.end })
+                .on('error', onError)
+                .pipe(createFileDecryptor(meta, range))
+                .on('error', onError);
+        } else {
+            stream = storage.getStream(attachment.storageKey, range).on('error', onError);
+        }
+    }
+
+    stream.pipe(res);
+}
+
+// ─── Helper: Unique entry names for the zip bundle ───────────────────
+// Two attachments may share a name; later ones become "name (2).ext".
+function zipEntryNames(attachments) {
+    const seen = new Map();
+    return attachments.map((a) => {
+        const base = path.basename(a.fileName);
+        const count = (seen.get(base) || 0) + 1;
+        seen.set(base, count);
+        if (count === 1) return base;
+        const ext = path.extname(base);
+        return `${base.slice(0, base.length - ext.length)} (${count})${ext}`;
+    });
+}
+
+// ─── Helper: Load a link for a download request ──────────────────────
+// Checks the signed token issued by verify and the link's expiry, and sets
+// req.downloadToken (see verifyDownloadToken).
+// Sends the error response and returns null when the download is refused.
+async function findDownloadableUrl(req, res) {
+    const { shortId } = req.params;
+    const { token } = req.query;
+
+    if (!token || typeof token !== 'string') {
+        res.status(401).json({ error: 'Authentication required.' });
+        return null;
+    }
+
+    req.downloadToken = verifyDownloadToken(token, shortId);
+    if (!req.downloadToken) {
+        res.status(401).json({ error: 'Download link is invalid or has expired. Unlock the content again.' });
+        return null;
+    }
+
+    const urlDoc = await Url.findOne({ shortId }).select('+attachments.fileEncryption');
+    if (!urlDoc) {
+        res.status(404).json({ error: 'Short URL not found.' });
+        return null;
+    }
+
+    if (urlDoc.isExpired()) {
+        res.status(410).json({ error: 'This link has expired.' });
+        return null;
+    }
+
+    return urlDoc;
+}
+
+// ─── Helper: Count one download against the link and its files ───────
+// Returns false when maxDownloads is already used up.
+async function claimDownload(urlDoc, attachments) {
+    if (urlDoc.downloadsExhausted()) return false;
+
+    const downloaded = await consumeLimit(urlDoc, 'downloadCount', 'maxDownloads');
+    if (!downloaded) return false;
+
+    await Url.updateOne(
+        { _id: urlDoc._id },
+        { $inc: { 'attachments.$[file].downloadCount': 1 } },
+        { arrayFilters: [{ 'file._id': { $in: attachments.map(a => a._id) } }] }
+    );
+    return true;
 }
 
 // ─── POST /api/shorten ───────────────────────────────────────────────
-// Create a new short URL with password, text content, label, and optional file
+// Create a new short URL with password, text content, label, and optional
+// files (multipart field `files`, up to MAX_ATTACHMENTS). `alias` optionally
+// replaces the generated shortId (see services/aliases.js).
+// End-to-end encrypted links arrive already encrypted (see public/js/e2e.js).
+// The dashboard sends its admin token so the audit log records who created it.
+// With the requireAuthForCreate setting on, anonymous requests are refused.
 router.post(
     '/api/shorten',
-    upload.single('file'),
+    identifyAdmin,
+    createLimiter,
+    authorizeLinkCreation,
+    uploadAttachments,
     validateShortenInput,
     async (req, res) => {
         try {
-            const { password, textContent, label } = req.body;
-
-            const passwordHash = await bcrypt.hash(password, 12);
-            const shortId = nanoid(8);
-            const serialNumber = await getNextSerialNumber();
-
-            const urlDoc = new Url({
-                serialNumber,
-                shortId,
-                passwordHash,
-                textContent,
-                label: label || '',
-                fileName: req.file ? req.file.originalname : null,
-                filePath: req.file ? req.file.path : null,
-            });
-
-            await urlDoc.save();
+            const urlDoc = await createLink(req);
 
             const baseUrl = `${req.protocol}://${req.get('host')}`;
             res.status(201).json({
                 success: true,
-                shortUrl: `${baseUrl}/${shortId}`,
-                shortId,
-                serialNumber,
+                shortUrl: `${baseUrl}/${urlDoc.shortId}`,
+                shortId: urlDoc.shortId,
+                serial: urlDoc.serial,
+                serialNumber: urlDoc.serialNumber,
+                expiresAt: urlDoc.expiresAt,
+                maxViews: urlDoc.maxViews,
+                maxDownloads: urlDoc.maxDownloads,
             });
         } catch (err) {
+            if (err.code === 'ALIAS_TAKEN') {
+                return res.status(409).json({ error: err.message });
+            }
             console.error('Error creating short URL:', err);
             res.status(500).json({ error: 'Internal server error.' });
         }
@@ -78,22 +230,28 @@ router.post(
 );
 
 // ─── GET /api/search ─────────────────────────────────────────────────
-// Search for a URL by serial number (returns shortId if found, requires password next)
-router.get('/api/search', async (req, res) => {
+// Search for a URL by serial (returns shortId if found, requires password next).
+// With check digits enabled, a mistyped serial is rejected rather than
+// reported as missing.
+router.get('/api/search', searchLimiter, async (req, res) => {
     try {
-        const serial = parseInt(req.query.serial, 10);
-        if (!serial || isNaN(serial)) {
+        const serial = normalizeSerial(req.query.serial);
+        if (!serial || serial.length > 40) {
             return res.status(400).json({ error: 'A valid serial number is required.' });
         }
 
-        const urlDoc = await Url.findOne({ serialNumber: serial }).select('shortId serialNumber label');
+        const urlDoc = await Url.findOne({ serial }).select('shortId serial serialNumber label');
         if (!urlDoc) {
+            if (failsCheckDigit(serial)) {
+                return res.status(400).json({ error: 'That serial number is not valid. Please check it for typos.' });
+            }
             return res.status(404).json({ error: 'No URL found with that serial number.' });
         }
 
         res.json({
             success: true,
             shortId: urlDoc.shortId,
+            serial: urlDoc.serial,
             serialNumber: urlDoc.serialNumber,
             label: urlDoc.label,
         });
@@ -103,32 +261,130 @@ router.get('/api/search', async (req, res) => {
     }
 });
 
+// ─── GET /api/:shortId/kdf ───────────────────────────────────────────
+// Public key-derivation parameters for end-to-end encrypted links.
+// The browser needs the salt before it can derive the auth secret to verify.
+router.get('/api/:shortId/kdf', async (req, res) => {
+    try {
+        const urlDoc = await Url.findOne({ shortId: req.params.shortId }).select('encryption');
+        if (!urlDoc) {
+            return res.status(404).json({ error: 'Short URL not found.' });
+        }
+
+        res.json({
+            success: true,
+            encrypted: !!urlDoc.encryption,
+            kdf: urlDoc.encryption ? urlDoc.encryption.kdf : null,
+        });
+    } catch (err) {
+        console.error('Error fetching KDF parameters:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
 // ─── POST /api/:shortId/verify ───────────────────────────────────────
-// Verify password and return the protected content
+// Verify password and return the protected content (ciphertext plus the
+// encryption envelope for end-to-end encrypted links). The link's own
+// password and every active recipient password are accepted; the audit log
+// records which recipient it was. Wrong passwords are tracked per link with
+// progressive delays and a temporary lock.
 router.post(
     '/api/:shortId/verify',
+    verifyLimiter,
     validateVerifyInput,
     async (req, res) => {
         try {
             const { shortId } = req.params;
             const { password } = req.body;
 
-            const urlDoc = await Url.findOne({ shortId });
+            const urlDoc = await Url.findOne({ shortId }).select(RECIPIENT_FIELDS);
             if (!urlDoc) {
                 return res.status(404).json({ error: 'Short URL not found.' });
             }
 
-            const isMatch = await bcrypt.compare(password, urlDoc.passwordHash);
+            if (urlDoc.isExpired()) {
+                return res.status(410).json({ error: 'This link has expired.' });
+            }
+            if (urlDoc.viewsExhausted()) {
+                return res.status(410).json({ error: 'This link has reached its view limit and is no longer available.' });
+            }
+
+            const attempt = await claimAttempt(urlDoc);
+            if (!attempt.ok) {
+                recordEvent(req, 'verify_failure', {
+                    url: urlDoc,
+                    details: { reason: attempt.status === 423 ? 'locked' : 'throttled' },
+                });
+                res.set('Retry-After', String(attempt.retryAfter));
+                return res.status(attempt.status).json({ error: attempt.error, retryAfter: attempt.retryAfter });
+            }
+
+            const { ok: isMatch, recipient } = await matchPassword(urlDoc, password);
             if (!isMatch) {
-                return res.status(401).json({ error: 'Incorrect password.' });
+                const failure = await recordFailure(urlDoc);
+                recordEvent(req, 'verify_failure', {
+                    url: urlDoc,
+                    details: { reason: 'incorrect_password', lockedNow: failure.locked },
+                });
+                if (failure.burst || failure.locked) {
+                    emitWebhook(req, 'link.password_attempts', {
+                        url: urlDoc,
+                        details: { failedAttempts: failure.failures, locked: failure.locked },
+                    });
+                }
+                if (failure.locked) {
+                    return res.status(423).json({ error: 'Too many incorrect passwords. This link is now temporarily locked.' });
+                }
+                return res.status(401).json({ error: 'Incorrect password.', attemptsRemaining: failure.attemptsRemaining });
             }
 
+            await resetAttempts(urlDoc._id);
+
+            // Claim a view (of the recipient too, in the same update); fails if
+            // a concurrent request used the last one, or the recipient was
+            // revoked or used up since the check
+            const viewed = recipient
+                ? await claimRecipientView(urlDoc, recipient)
+                : await consumeLimit(urlDoc, 'viewCount', 'maxViews');
+            if (!viewed) {
+                const current = recipient && await Url.findById(urlDoc._id).select('viewCount maxViews');
+                if (current && !current.viewsExhausted()) {
+                    return res.status(403).json({ error: 'This password is no longer valid for this link.' });
+                }
+                return res.status(410).json({ error: 'This link has reached its view limit and is no longer available.' });
+            }
+
+            recordEvent(req, 'verify_success', {
+                url: viewed,
+                details: recipient ? { recipient: recipient.name, recipientId: recipient._id } : undefined,
+            });
+            emitWebhook(req, 'link.unlocked', {
+                url: viewed,
+                details: recipient ? { recipient: recipient.name } : undefined,
+            });
+
+            const token = viewed.attachments.length > 0 ? issueDownloadToken(shortId) : null;
             res.json({
                 success: true,
-                textContent: urlDoc.textContent,
-                hasFile: !!urlDoc.fileName,
-                fileName: urlDoc.fileName,
-                downloadUrl: urlDoc.fileName ? `/api/${shortId}/download?token=${encodeURIComponent(password)}` : null,
+                textContent: viewed.textContent,
+                contentType: viewed.contentType || 'plain',
+                codeLanguage: viewed.codeLanguage || null,
+                hasFile: viewed.attachments.length > 0,
+                attachments: viewed.attachments.map(a => ({
+                    _id: a._id,
+                    fileName: a.fileName,
+                    size: a.size,
+                    mimeType: a.mimeType,
+                    quarantined: isQuarantined(a),
+                    downloadUrl: isQuarantined(a)
+                        ? null
+                        : `/api/${shortId}/download?attachment=${a._id}&token=${token}`,
+                })),
+                // The server cannot decrypt end-to-end encrypted files into a zip
+                downloadAllUrl: token && !viewed.encryption ? `/api/${shortId}/download/zip?token=${token}` : null,
+                encryption: viewed.encryption,
+                expiresAt: viewed.expiresAt,
+                viewsRemaining: viewed.maxViews != null ? viewed.maxViews - viewed.viewCount : null,
             });
         } catch (err) {
             console.error('Error verifying password:', err);
@@ -138,57 +394,140 @@ router.post(
 );
 
 // ─── GET /api/:shortId/download ──────────────────────────────────────
-// Download the attached file (requires password as query param for verification)
+// Download one attachment (?attachment=<id>, optional when there is only
+// one) with the signed token issued by verify. Range requests are honoured
+// so interrupted downloads can resume; only a request for the start of the
+// file counts as a new download, and a resume is only served for a file
+// already downloaded with the same token (see DownloadClaim).
 router.get('/api/:shortId/download', async (req, res) => {
     try {
-        const { shortId } = req.params;
-        const { token } = req.query;
+        const urlDoc = await findDownloadableUrl(req, res);
+        if (!urlDoc) return;
 
-        if (!token) {
-            return res.status(401).json({ error: 'Authentication required.' });
+        const attachment = req.query.attachment
+            ? urlDoc.findAttachment(req.query.attachment)
+            : (urlDoc.attachments.length === 1 ? urlDoc.attachments[0] : null);
+        if (!attachment) {
+            return res.status(404).json({ error: 'No such file attached to this URL.' });
+        }
+        if (isQuarantined(attachment)) {
+            return res.status(403).json({ error: QUARANTINED_MESSAGE });
         }
 
-        const urlDoc = await Url.findOne({ shortId });
-        if (!urlDoc) {
-            return res.status(404).json({ error: 'Short URL not found.' });
+        const stored = await getStorage().stat(attachment.storageKey);
+        if (!stored) {
+            // Flag the broken link for the dashboard
+            if (!attachment.missingAt) {
+                markAttachmentsMissing(urlDoc._id, [attachment._id])
+                    .catch(err => console.error('Error flagging missing file:', err));
+            }
+            return res.status(404).json({ error: 'No such file attached to this URL.' });
         }
 
-        const isMatch = await bcrypt.compare(token, urlDoc.passwordHash);
-        if (!isMatch) {
-            return res.status(401).json({ error: 'Incorrect password.' });
+        const rangeStart = /^bytes=(\d+)-/.exec(req.headers.range || '');
+        const isResume = !!rangeStart && parseInt(rangeStart[1], 10) > 0;
+
+        if (isResume) {
+            if (!(await hasDownloadClaim(req.downloadToken, attachment._id))) {
+                return res.status(403).json({ error: 'This download cannot be resumed. Download the file from the start.' });
+            }
+        } else {
+            if (!(await claimDownload(urlDoc, [attachment]))) {
+                return res.status(410).json({ error: 'This file has reached its download limit.' });
+            }
+            await recordDownloadClaim(req.downloadToken, attachment._id);
         }
 
-        if (!urlDoc.filePath || !fs.existsSync(urlDoc.filePath)) {
+        recordEvent(req, 'download', {
+            url: urlDoc,
+            details: { attachment: attachment._id, ...(isResume ? { resumed: true } : {}) },
+        });
+        // Resumed transfers are the same download
+        if (!isResume) {
+            emitWebhook(req, 'link.downloaded', { url: urlDoc, details: { attachment: attachment._id } });
+        }
+        sendStoredFile(req, res, attachment, stored.size);
+    } catch (err) {
+        console.error('Error downloading file:', err);
+        res.status(500).json({ error: 'Internal server error.' });
+    }
+});
+
+// ─── GET /api/:shortId/download/zip ──────────────────────────────────
+// Download every attachment as one zip, built and streamed on the fly.
+// Counts as a single download of the link. Not available for end-to-end
+// encrypted links, whose files only the browser can decrypt.
+router.get('/api/:shortId/download/zip', async (req, res) => {
+    try {
+        const urlDoc = await findDownloadableUrl(req, res);
+        if (!urlDoc) return;
+
+        if (urlDoc.encryption) {
+            return res.status(400).json({ error: 'Encrypted files must be downloaded one at a time.' });
+        }
+        if (urlDoc.attachments.length === 0) {
             return res.status(404).json({ error: 'No file attached to this URL.' });
         }
+        // Quarantined files are left out of the bundle
+        const attachments = urlDoc.attachments.filter(a => !isQuarantined(a));
+        if (attachments.length === 0) {
+            return res.status(403).json({ error: QUARANTINED_MESSAGE });
+        }
+
+        if (!(await claimDownload(urlDoc, attachments))) {
+            return res.status(410).json({ error: 'This file has reached its download limit.' });
+        }
+
+        recordEvent(req, 'download', { url: urlDoc, details: { zip: true } });
+        emitWebhook(req, 'link.downloaded', { url: urlDoc, details: { zip: true } });
 
-        urlDoc.downloadCount += 1;
-        await urlDoc.save();
+        const archive = archiver('zip', { zlib: { level: 6 } });
+        const onError = (err) => {
+            console.error('Error building zip:', err);
+            archive.abort();
+            res.destroy(err);
+        };
+        archive.on('error', onError);
 
-        res.download(urlDoc.filePath, urlDoc.fileName);
+        res.attachment(`${urlDoc.label || urlDoc.shortId}.zip`);
+        archive.pipe(res);
+
+        const names = zipEntryNames(attachments);
+        attachments.forEach((attachment, i) => {
+            archive.append(openAttachment(attachment, onError), { name: names[i] });
+        });
+        archive.finalize();
     } catch (err) {
-        console.error('Error downloading file:', err);
+        console.error('Error downloading zip:', err);
         res.status(500).json({ error: 'Internal server error.' });
     }
 });
 
 // ─── GET /:shortId ──────────────────────────────────────────────────
-// Serve the password verification page
+// Serve the password verification page. A renamed alias redirects to the
+// new one during its grace period.
 router.get('/:shortId', async (req, res) => {
     try {
         const { shortId } = req.params;
 
         const urlDoc = await Url.findOne({ shortId });
         if (!urlDoc) {
-            return res.status(404).send(`
-        <!DOCTYPE html>
-        <html><head><title>Not Found</title></head>
-        <body style="display:flex;justify-content:center;align-items:center;height:100vh;background:#0f0f1a;color:#fff;font-family:sans-serif;">
-          <h1>404 — Short URL not found</h1>
-        </body></html>
-      `);
+            const renamed = await findRedirect(shortId);
+            if (renamed) {
+                return res.redirect(302, `/${encodeURIComponent(renamed.shortId)}`);
+            }
+            return sendStatusPage(res, 404, 'Short URL not found');
+        }
+
+        if (urlDoc.isExpired()) {
+            return sendStatusPage(res, 410, 'This link has expired');
+        }
+        if (urlDoc.viewsExhausted()) {
+            return sendStatusPage(res, 410, 'This link has already been read and is no longer available');
         }
 
+        recordEvent(req, 'page_view', { url: urlDoc });
+        emitWebhook(req, 'link.viewed', { url: urlDoc });
         res.sendFile(path.join(__dirname, '..', 'public', 'view.html'));
     } catch (err) {
         console.error('Error serving short URL page:', err);
@@ -0,0 +1,76 @@
+/**
+ * Backup Script
+ * Writes one archive of every link, admin and attached file (see
+ * services/backup.js). Restore it with scripts/restoreBackup.js.
+ * When BACKUP_PASSPHRASE is set the archive is encrypted with it;
+ * otherwise it holds admin password hashes and 2FA secrets in the clear.
+ *
+ * Usage: node scripts/backup.js [--out backup.tar.gz]
+ *   --out  File to write (default: backup-<date>.tar.gz, .enc when encrypted)
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { loadKeyring } = require('../services/fileCrypto');
+const { getStorage } = require('../services/storage');
+const { createBackup, passphraseError } = require('../services/backup');
+
+const argValue = (flag, fallback) => {
+    const i = process.argv.indexOf(flag);
+    return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+};
+
+const backup = async () => {
+    const { MONGO_URI, BACKUP_PASSPHRASE } = process.env;
+    const passphrase = BACKUP_PASSPHRASE || null;
+    const stamp = new Date().toISOString().slice(0, 19).replace(/:/g, '-');
+    const out = argValue('--out', `backup-${stamp}.tar.gz${passphrase ? '.enc' : ''}`);
+
+    if (!MONGO_URI) {
+        console.error('❌ Missing required environment variable: MONGO_URI');
+        process.exit(1);
+    }
+    if (passphrase && passphraseError(passphrase)) {
+        console.error(`❌ BACKUP_PASSPHRASE: ${passphraseError(passphrase)}`);
+        process.exit(1);
+    }
+
+    // Files are decrypted on their way into the archive
+    try {
+        loadKeyring();
+        getStorage();
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    // Written under a temporary name, so a failed run leaves no partial backup
+    const partial = `${out}.partial`;
+    let exitCode = 0;
+
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const summary = await createBackup(fs.createWriteStream(partial), { passphrase });
+        await fs.promises.rename(partial, out);
+
+        const mb = (summary.bytes / 1024 / 1024).toFixed(1);
+        console.log(`💾 Backed up ${summary.links} link(s), ${summary.admins} admin(s) and ${summary.files} file(s) (${mb} MB)`);
+        for (const missing of summary.missing) {
+            console.warn(`⚠️  ${missing.shortId}: file ${missing.storageKey} is missing from storage and was left out`);
+        }
+        console.log(`${summary.encrypted ? '🔒' : '⚠️ '} ${out}${summary.encrypted ? ' (encrypted)' : ' is not encrypted; set BACKUP_PASSPHRASE to encrypt backups'}`);
+    } catch (err) {
+        console.error('❌ Backup error:', err.message);
+        await fs.promises.rm(partial, { force: true });
+        exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        process.exit(exitCode);
+    }
+};
+
+backup();
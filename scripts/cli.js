@@ -0,0 +1,588 @@
+/**
+ * Admin Command-Line Tool
+ * Manages links and admins directly in MongoDB, so ops scripts can
+ * provision and clean up links without the dashboard. Every command prints
+ * one JSON object on stdout — { success: true, ... } or { success: false,
+ * error } — and exits with 1 on failure. Changes are written to the audit
+ * log and sent to webhooks like their dashboard counterparts.
+ *
+ * Usage: npm run cli -- <command> [arguments] [options]
+ *
+ * Links (<link> is a link id, short ID or serial):
+ *   links:create    --text <text> [--password <pw>] [--label <label>] [--alias <alias>]
+ *                   [--file <path>]... [--expires-at <date>] [--max-views <n>]
+ *                   [--max-downloads <n>] [--content-type <type>] [--code-language <lang>]
+ *                   Without --password one is generated and printed once.
+ *   links:list      [--q <label or serial>] [--has-file true|false|quarantined|missing]
+ *                   [--serial-from <n>] [--serial-to <n>] [--created-from <date>]
+ *                   [--created-to <date>] [--sort <field>] [--order asc|desc]
+ *                   [--page <n>] [--limit <n>]
+ *   links:search    <label or serial>
+ *   links:show      <link>            Metadata, limits and access counts
+ *   links:password  <link> [--password <pw>]
+ *   links:delete    <link>...
+ *
+ * Admins:
+ *   admins:list
+ *   admins:create   <username> [--role owner|editor|viewer] [--password <pw>]
+ *   admins:update   <username> [--role <role>] [--disable | --enable]
+ *   admins:reset-password <username>
+ *   admins:reset-2fa <username>
+ *   admins:delete   <username>
+ *
+ * Options for every command:
+ *   --as <username>   Admin recorded as the actor in the audit log (default: "cli")
+ *   --base-url <url>  Origin of short URLs in the output (default: PUBLIC_BASE_URL)
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const fs = require('fs');
+const path = require('path');
+const { parseArgs } = require('util');
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const { nanoid } = require('nanoid');
+
+const Url = require('../models/Url');
+const Admin = require('../models/Admin');
+const AccessEvent = require('../models/AccessEvent');
+const AdminSession = require('../models/AdminSession');
+const {
+    linkFieldsError,
+    linkPasswordError,
+    parseLifetimeInput,
+    parseContentTypeInput,
+    fileTypeError,
+    adminUsernameError,
+    adminPasswordError,
+    MAX_ATTACHMENTS,
+} = require('../middleware/validate');
+const { loadKeyring } = require('../services/fileCrypto');
+const { getStorage } = require('../services/storage');
+const { loadScannerConfig } = require('../services/fileScanner');
+const { storeInspectedFile } = require('../services/fileInspection');
+const { maxUploadSize } = require('../services/uploads');
+const {
+    attachmentFromUpload,
+    deleteAttachmentFiles,
+    recordQuarantine,
+    toPublicAttachment,
+} = require('../services/attachments');
+const { buildUrlQuery } = require('../services/linkQuery');
+const { createWithSerial, normalizeSerial } = require('../services/serialNumbers');
+const { aliasError, isAliasTaken } = require('../services/aliases');
+const { generateRecipientPassword, hashPassword } = require('../services/recipients');
+const { disableTwoFactor } = require('../services/twoFactor');
+const { revokeAdminSessions } = require('../services/adminSessions');
+const { toPublicAdmin, generateTemporaryPassword, isLastActiveOwner } = require('../services/team');
+const { recordEvent } = require('../services/audit');
+const { emitWebhook } = require('../services/webhooks');
+
+// stdout carries the JSON result only; log lines from services go to stderr
+console.log = console.error;
+
+/**
+ * A problem with the command or its input (as opposed to a crash).
+ */
+class CliError extends Error {}
+
+// Options every command accepts
+const COMMON_OPTIONS = {
+    as: { type: 'string' },
+    'base-url': { type: 'string' },
+};
+
+// Audit log entries and webhooks are written in the name of a pseudo request
+const cliActor = async (username) => {
+    let admin = { id: undefined, username: 'cli' };
+    if (username) {
+        const found = await Admin.findOne({ username });
+        if (!found) throw new CliError(`No admin named "${username}".`);
+        admin = { id: found._id, username: found.username };
+    }
+    return { ip: '', get: () => 'admin-cli', admin };
+};
+
+// Pending audit and webhook writes, awaited before disconnecting
+const pending = [];
+const record = (req, type, opts) => pending.push(recordEvent(req, type, opts));
+const notify = (req, event, opts) => pending.push(emitWebhook(req, event, opts));
+
+// ─── Links ───────────────────────────────────────────────────────────
+
+// A link by id, short ID or serial
+const findLink = async (ref, select) => {
+    if (!ref) throw new CliError('Name a link by id, short ID or serial.');
+    const query = mongoose.isValidObjectId(ref)
+        ? Url.findById(ref)
+        : Url.findOne({ $or: [{ shortId: ref }, { serial: normalizeSerial(ref) }] });
+    return select ? query.select(select) : query;
+};
+
+const requireLink = async (ref, select) => {
+    const urlDoc = await findLink(ref, select);
+    if (!urlDoc) throw new CliError(`Link "${ref}" not found.`);
+    return urlDoc;
+};
+
+const linkRecord = (urlDoc, baseUrl) => ({
+    id: urlDoc._id,
+    shortId: urlDoc.shortId,
+    shortUrl: baseUrl ? `${baseUrl}/${urlDoc.shortId}` : null,
+    serial: urlDoc.serial,
+    serialNumber: urlDoc.serialNumber,
+    label: urlDoc.label,
+    contentType: urlDoc.contentType || 'plain',
+    encrypted: !!urlDoc.encryption,
+    attachments: urlDoc.attachments.map(toPublicAttachment),
+    viewCount: urlDoc.viewCount,
+    maxViews: urlDoc.maxViews,
+    downloadCount: urlDoc.downloadCount,
+    maxDownloads: urlDoc.maxDownloads,
+    expiresAt: urlDoc.expiresAt,
+    locked: urlDoc.isLocked(),
+    createdAt: urlDoc.createdAt,
+    updatedAt: urlDoc.updatedAt,
+});
+
+// Check every file before storing any; returns { fileName, filePath }s
+const checkFiles = async (filePaths) => {
+    if (filePaths.length > MAX_ATTACHMENTS) {
+        throw new CliError(`At most ${MAX_ATTACHMENTS} files can be attached to a link.`);
+    }
+    const files = [];
+    for (const filePath of filePaths) {
+        const fileName = path.basename(filePath);
+        const problem = fileTypeError(fileName, false);
+        if (problem) throw new CliError(`${problem}.`);
+
+        const stat = await fs.promises.stat(filePath).catch(() => null);
+        if (!stat || !stat.isFile()) throw new CliError(`No such file: ${filePath}`);
+        if (stat.size > maxUploadSize()) {
+            throw new CliError(`${fileName} exceeds the ${maxUploadSize() / 1024 / 1024} MB limit.`);
+        }
+        files.push({ fileName, filePath });
+    }
+    return files;
+};
+
+// Store files the way uploads are stored; nothing is left behind on failure
+const storeFiles = async (files) => {
+    const stored = [];
+    try {
+        for (const { fileName, filePath } of files) {
+            const key = `${nanoid(16)}${path.extname(fileName).toLowerCase()}`;
+            const result = await storeInspectedFile(key, fs.createReadStream(filePath), { fileName, encrypted: false });
+            stored.push({ originalname: fileName, key, ...result });
+        }
+        return stored;
+    } catch (err) {
+        await deleteAttachmentFiles(stored.map(file => ({ storageKey: file.key })));
+        if (err.code === 'INVALID_FILE_CONTENT') throw new CliError(err.message);
+        throw err;
+    }
+};
+
+const linksCreate = {
+    options: {
+        text: { type: 'string' },
+        password: { type: 'string' },
+        label: { type: 'string' },
+        alias: { type: 'string' },
+        file: { type: 'string', multiple: true },
+        'expires-at': { type: 'string' },
+        'max-views': { type: 'string' },
+        'max-downloads': { type: 'string' },
+        'content-type': { type: 'string' },
+        'code-language': { type: 'string' },
+    },
+    async run({ values, req, baseUrl }) {
+        const generated = values.password === undefined;
+        const password = generated ? generateRecipientPassword() : values.password;
+        const fieldError = linkFieldsError({ password, textContent: values.text, label: values.label });
+        if (fieldError) throw new CliError(fieldError);
+
+        const lifetime = parseLifetimeInput({
+            expiresAt: values['expires-at'],
+            maxViews: values['max-views'],
+            maxDownloads: values['max-downloads'],
+        });
+        if (lifetime.error) throw new CliError(lifetime.error);
+
+        const rendering = parseContentTypeInput({
+            contentType: values['content-type'],
+            codeLanguage: values['code-language'],
+        });
+        if (rendering.error) throw new CliError(rendering.error);
+
+        if (values.alias !== undefined) {
+            const problem = aliasError(values.alias);
+            if (problem) throw new CliError(problem);
+            if (await isAliasTaken(values.alias)) throw new CliError('That alias is already taken.');
+        }
+
+        const files = await storeFiles(await checkFiles(values.file || []));
+        const label = (values.label || '').trim();
+        let urlDoc;
+        try {
+            const passwordHash = await bcrypt.hash(password.trim(), 12);
+            urlDoc = await createWithSerial(label, serialFields => new Url({
+                ...serialFields,
+                shortId: values.alias || nanoid(8),
+                passwordHash,
+                textContent: values.text.trim(),
+                label,
+                attachments: files.map(file => attachmentFromUpload(file)),
+                ...lifetime.values,
+                ...rendering.values,
+            }));
+        } catch (err) {
+            await deleteAttachmentFiles(files.map(file => ({ storageKey: file.key })));
+            if (err.code === 11000 && err.keyPattern && err.keyPattern.shortId) {
+                throw new CliError('That alias is already taken.');
+            }
+            throw err;
+        }
+
+        record(req, 'admin_create', { url: urlDoc, details: { cli: true } });
+        notify(req, 'link.created', { url: urlDoc, details: { cli: true } });
+        recordQuarantine(req, urlDoc, files);
+
+        return {
+            link: linkRecord(urlDoc, baseUrl),
+            ...(generated && { password }),
+        };
+    },
+};
+
+const listLinks = async (query, baseUrl) => {
+    const built = buildUrlQuery(query);
+    if (built.error) throw new CliError(built.error);
+
+    const { filter, sort, page, limit } = built;
+    const [urls, total] = await Promise.all([
+        Url.find(filter).select('-passwordHash -textContent').sort(sort).skip((page - 1) * limit).limit(limit),
+        Url.countDocuments(filter),
+    ]);
+    return {
+        links: urls.map(u => linkRecord(u, baseUrl)),
+        page,
+        limit,
+        total,
+        totalPages: Math.max(1, Math.ceil(total / limit)),
+    };
+};
+
+const linksList = {
+    options: {
+        q: { type: 'string' },
+        'has-file': { type: 'string' },
+        'serial-from': { type: 'string' },
+        'serial-to': { type: 'string' },
+        'created-from': { type: 'string' },
+        'created-to': { type: 'string' },
+        sort: { type: 'string' },
+        order: { type: 'string' },
+        page: { type: 'string' },
+        limit: { type: 'string' },
+    },
+    run: ({ values, baseUrl }) => listLinks({
+        q: values.q,
+        hasFile: values['has-file'],
+        serialFrom: values['serial-from'],
+        serialTo: values['serial-to'],
+        createdFrom: values['created-from'],
+        createdTo: values['created-to'],
+        sort: values.sort,
+        order: values.order,
+        page: values.page,
+        limit: values.limit,
+    }, baseUrl),
+};
+
+const linksSearch = {
+    run({ positionals, baseUrl }) {
+        if (!positionals[0]) throw new CliError('Give a label or serial to search for.');
+        return listLinks({ q: positionals[0] }, baseUrl);
+    },
+};
+
+const linksShow = {
+    async run({ positionals, baseUrl }) {
+        const urlDoc = await requireLink(positionals[0], '-passwordHash -textContent');
+        const counts = await AccessEvent.aggregate([
+            { $match: { url: urlDoc._id } },
+            { $group: { _id: '$type', count: { $sum: 1 }, last: { $max: '$createdAt' } } },
+        ]);
+        const events = Object.fromEntries(counts.map(c => [c._id, { count: c.count, last: c.last }]));
+
+        return {
+            link: {
+                ...linkRecord(urlDoc, baseUrl),
+                failedAttempts: urlDoc.failedAttempts,
+                recipients: urlDoc.recipients.length,
+                access: {
+                    pageViews: events.page_view ? events.page_view.count : 0,
+                    unlocks: events.verify_success ? events.verify_success.count : 0,
+                    failedUnlocks: events.verify_failure ? events.verify_failure.count : 0,
+                    downloads: events.download ? events.download.count : 0,
+                    lastAccessAt: ['page_view', 'verify_success', 'download']
+                        .map(type => events[type] && events[type].last)
+                        .filter(Boolean)
+                        .sort((a, b) => b - a)[0] || null,
+                },
+            },
+        };
+    },
+};
+
+const linksPassword = {
+    options: { password: { type: 'string' } },
+    async run({ positionals, values, req }) {
+        const urlDoc = await requireLink(positionals[0], 'shortId serial serialNumber encryption');
+        // The content key of an end-to-end encrypted link derives from its password
+        if (urlDoc.encryption) {
+            throw new CliError('Passwords of end-to-end encrypted links cannot be changed or added.');
+        }
+
+        const generated = values.password === undefined;
+        const password = generated ? generateRecipientPassword() : values.password;
+        const error = linkPasswordError(password);
+        if (error) throw new CliError(error);
+
+        await Url.updateOne({ _id: urlDoc._id }, { $set: { passwordHash: await hashPassword(password.trim()) } });
+        record(req, 'link_password_change', { url: urlDoc, details: { cli: true } });
+
+        return { id: urlDoc._id, shortId: urlDoc.shortId, ...(generated && { password }) };
+    },
+};
+
+const linksDelete = {
+    async run({ positionals, req }) {
+        if (positionals.length === 0) throw new CliError('Name at least one link to delete.');
+
+        const deleted = [];
+        const notFound = [];
+        for (const ref of positionals) {
+            const urlDoc = await findLink(ref);
+            if (!urlDoc) {
+                notFound.push(ref);
+                continue;
+            }
+            await Url.deleteOne({ _id: urlDoc._id });
+            const missing = await deleteAttachmentFiles(urlDoc.attachments);
+            record(req, 'admin_delete', {
+                url: urlDoc,
+                details: { label: urlDoc.label, cli: true, ...(missing.length > 0 && { filesMissing: missing.length }) },
+            });
+            notify(req, 'link.deleted', { url: urlDoc, details: { cli: true } });
+            deleted.push({ id: urlDoc._id, shortId: urlDoc.shortId, serial: urlDoc.serial, filesMissing: missing.length });
+        }
+        return { deleted, notFound };
+    },
+};
+
+// ─── Admins ──────────────────────────────────────────────────────────
+
+const requireAdmin = async (username) => {
+    if (!username) throw new CliError('Name an admin by username.');
+    const admin = await Admin.findOne({ username });
+    if (!admin) throw new CliError(`No admin named "${username}".`);
+    return admin;
+};
+
+const checkRole = (role) => {
+    if (role !== undefined && !Admin.ROLES.includes(role)) {
+        throw new CliError(`Role must be one of: ${Admin.ROLES.join(', ')}.`);
+    }
+};
+
+const adminsList = {
+    async run() {
+        const admins = await Admin.find().sort({ createdAt: 1 });
+        return { users: admins.map(toPublicAdmin) };
+    },
+};
+
+const adminsCreate = {
+    options: {
+        role: { type: 'string' },
+        password: { type: 'string' },
+    },
+    async run({ positionals, values, req }) {
+        const username = (positionals[0] || '').trim();
+        const usernameProblem = adminUsernameError(username);
+        if (usernameProblem) throw new CliError(usernameProblem);
+        checkRole(values.role);
+        if (values.password !== undefined) {
+            const error = adminPasswordError(values.password);
+            if (error) throw new CliError(error);
+        }
+        if (await Admin.exists({ username })) {
+            throw new CliError('An admin with that username already exists.');
+        }
+
+        const role = values.role || 'viewer';
+        const temporaryPassword = values.password ? null : generateTemporaryPassword();
+        const admin = await Admin.create({
+            username,
+            role,
+            passwordHash: await bcrypt.hash(values.password || temporaryPassword, 12),
+            mustChangePassword: true,
+            createdBy: req.admin.username,
+        });
+        record(req, 'team_invite', { details: { username, role, cli: true } });
+
+        return { user: toPublicAdmin(admin), temporaryPassword };
+    },
+};
+
+const adminsUpdate = {
+    options: {
+        role: { type: 'string' },
+        disable: { type: 'boolean' },
+        enable: { type: 'boolean' },
+    },
+    async run({ positionals, values, req }) {
+        const admin = await requireAdmin(positionals[0]);
+        checkRole(values.role);
+        if (values.disable && values.enable) throw new CliError('Use either --disable or --enable.');
+        const disabled = values.disable ? true : (values.enable ? false : undefined);
+        if (values.role === undefined && disabled === undefined) {
+            throw new CliError('Nothing to change: give --role, --disable or --enable.');
+        }
+
+        const demoting = values.role !== undefined && values.role !== 'owner';
+        if ((demoting || disabled === true) && await isLastActiveOwner(admin)) {
+            throw new CliError('The last active owner cannot be demoted or disabled.');
+        }
+
+        if (values.role !== undefined) admin.role = values.role;
+        if (disabled !== undefined) admin.disabled = disabled;
+        await admin.save();
+        if (disabled === true) {
+            await revokeAdminSessions(admin._id, 'admin_disabled');
+        }
+        record(req, 'team_update', { details: { username: admin.username, role: values.role, disabled, cli: true } });
+
+        return { user: toPublicAdmin(admin) };
+    },
+};
+
+const adminsResetPassword = {
+    async run({ positionals, req }) {
+        const admin = await requireAdmin(positionals[0]);
+
+        const temporaryPassword = generateTemporaryPassword();
+        admin.passwordHash = await bcrypt.hash(temporaryPassword, 12);
+        admin.mustChangePassword = true;
+        await admin.save();
+        await revokeAdminSessions(admin._id, 'password_reset');
+        record(req, 'team_password_reset', { details: { username: admin.username, cli: true } });
+
+        return { user: toPublicAdmin(admin), temporaryPassword };
+    },
+};
+
+const adminsResetTwoFactor = {
+    async run({ positionals, req }) {
+        const admin = await requireAdmin(positionals[0]);
+
+        await disableTwoFactor(admin);
+        await revokeAdminSessions(admin._id, 'two_factor_reset');
+        record(req, 'two_factor_reset', { details: { username: admin.username, cli: true } });
+
+        return { user: toPublicAdmin(admin) };
+    },
+};
+
+const adminsDelete = {
+    async run({ positionals, req }) {
+        const admin = await requireAdmin(positionals[0]);
+        if (await isLastActiveOwner(admin)) {
+            throw new CliError('The last active owner cannot be deleted.');
+        }
+
+        await Admin.findByIdAndDelete(admin._id);
+        await AdminSession.deleteMany({ admin: admin._id });
+        record(req, 'team_delete', { details: { username: admin.username, cli: true } });
+
+        return { deleted: admin.username };
+    },
+};
+
+const COMMANDS = {
+    'links:create': linksCreate,
+    'links:list': linksList,
+    'links:search': linksSearch,
+    'links:show': linksShow,
+    'links:password': linksPassword,
+    'links:delete': linksDelete,
+    'admins:list': adminsList,
+    'admins:create': adminsCreate,
+    'admins:update': adminsUpdate,
+    'admins:reset-password': adminsResetPassword,
+    'admins:reset-2fa': adminsResetTwoFactor,
+    'admins:delete': adminsDelete,
+};
+
+// ─── Main ────────────────────────────────────────────────────────────
+
+const print = (result) => process.stdout.write(`${JSON.stringify(result, null, 2)}\n`);
+
+const main = async () => {
+    const [name, ...args] = process.argv.slice(2);
+    const command = COMMANDS[name];
+    if (!command) {
+        print({
+            success: false,
+            error: name ? `Unknown command "${name}".` : 'No command given.',
+            commands: Object.keys(COMMANDS),
+        });
+        process.exit(1);
+    }
+
+    let parsed;
+    try {
+        parsed = parseArgs({
+            args,
+            options: { ...COMMON_OPTIONS, ...command.options },
+            allowPositionals: true,
+        });
+    } catch (err) {
+        print({ success: false, error: err.message });
+        process.exit(1);
+    }
+
+    const { MONGO_URI } = process.env;
+    if (!MONGO_URI) {
+        print({ success: false, error: 'Missing required environment variable: MONGO_URI' });
+        process.exit(1);
+    }
+
+    let exitCode = 0;
+    try {
+        // Same startup checks as the server; files are stored encrypted and scanned
+        loadKeyring();
+        getStorage();
+        loadScannerConfig();
+
+        await mongoose.connect(MONGO_URI);
+        const baseUrl = (parsed.values['base-url'] || process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '') || null;
+        const req = await cliActor(parsed.values.as);
+
+        const result = await command.run({ values: parsed.values, positionals: parsed.positionals, req, baseUrl });
+        await Promise.all(pending);
+        print({ success: true, ...result });
+    } catch (err) {
+        if (!(err instanceof CliError)) console.error(err);
+        print({ success: false, error: err.message });
+        exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        process.exit(exitCode);
+    }
+};
+
+main();
@@ -0,0 +1,80 @@
+/**
+ * Fake clamd
+ * A stand-in for a local ClamAV daemon, for trying out FILE_SCANNER=clamav
+ * without installing ClamAV. Speaks just enough of the clamd protocol
+ * (PING and INSTREAM) and reports the EICAR test string as infected; every
+ * other file is clean.
+ *
+ * Usage: node scripts/fakeClamd.js [--port 3310] [--socket /tmp/clamd.sock]
+ *   --port    TCP port to listen on (default: 3310)
+ *   --socket  Listen on this Unix socket instead (set CLAMAV_SOCKET to match)
+ *
+ * Upload a file containing the EICAR string to see it quarantined.
+ */
+
+const fs = require('fs');
+const net = require('net');
+
+const EICAR = 'X5O!P%@AP[4\\PZX54(P^)7CC)7}$EICAR-STANDARD-ANTIVIRUS-TEST-FILE!H+H*';
+const EICAR_SIGNATURE = 'Eicar-Test-Signature';
+
+const argValue = (flag, fallback) => {
+    const i = process.argv.indexOf(flag);
+    return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+};
+
+const port = parseInt(argValue('--port', '3310'), 10);
+const socketPath = argValue('--socket', null);
+
+// One connection: a command ("zINSTREAM\0", "nPING\n", ...), then for
+// INSTREAM length-prefixed chunks up to a zero-length one
+const handleConnection = (socket) => {
+    let buffered = Buffer.alloc(0);
+    let command = null;
+    let terminator = '\0';
+    let tail = ''; // End of the previous chunk, so EICAR can span chunks
+    let infected = false;
+    let bytes = 0;
+
+    const reply = (text) => socket.end(`${text}${terminator}`);
+
+    socket.on('data', (data) => {
+        buffered = Buffer.concat([buffered, data]);
+
+        if (command === null) {
+            const end = buffered.findIndex(b => b === 0 || b === 0x0A);
+            if (end === -1) return;
+            terminator = buffered[end] === 0 ? '\0' : '\n';
+            command = buffered.toString('latin1', 0, end).replace(/^[zn]/, '');
+            buffered = buffered.subarray(end + 1);
+
+            if (command === 'PING') return reply('PONG');
+            if (command !== 'INSTREAM') return reply(`${command}: Unknown command. ERROR`);
+        }
+
+        while (buffered.length >= 4) {
+            const length = buffered.readUInt32BE(0);
+            if (length === 0) {
+                console.log(`🔍 Scanned ${bytes} byte(s): ${infected ? `${EICAR_SIGNATURE} FOUND` : 'OK'}`);
+                return reply(infected ? `stream: ${EICAR_SIGNATURE} FOUND` : 'stream: OK');
+            }
+            if (buffered.length < 4 + length) return;
+
+            const text = tail + buffered.toString('latin1', 4, 4 + length);
+            infected = infected || text.includes(EICAR);
+            tail = text.slice(-(EICAR.length - 1));
+            bytes += length;
+            buffered = buffered.subarray(4 + length);
+        }
+    });
+    socket.on('error', err => console.error('Connection error:', err.message));
+};
+
+const server = net.createServer(handleConnection);
+
+if (socketPath) {
+    if (fs.existsSync(socketPath)) fs.unlinkSync(socketPath);
+    server.listen(socketPath, () => console.log(`🦠 Fake clamd listening on ${socketPath}`));
+} else {
+    server.listen(port, () => console.log(`🦠 Fake clamd listening on localhost:${port}`));
+}
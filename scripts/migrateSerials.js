@@ -0,0 +1,54 @@
+/**
+ * Serial Number Migration Script
+ * Gives links created before formatted serials their `serial`, drops the
+ * old unique index on serialNumber and seeds the serial counters above the
+ * numbers already in use. The server does the same at startup; run this
+ * after restoring data or changing SERIAL_* settings on a stopped server.
+ *
+ * Usage: node scripts/migrateSerials.js [--dry-run]
+ *   --dry-run  Report how many links would be backfilled without changing anything
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const { loadSerialConfig, migrateSerials } = require('../services/serialNumbers');
+
+const migrate = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const { MONGO_URI } = process.env;
+
+    if (!MONGO_URI) {
+        console.error('❌ Missing required environment variable: MONGO_URI');
+        process.exit(1);
+    }
+
+    try {
+        loadSerialConfig();
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    let exitCode = 0;
+
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB');
+
+        const backfilled = await migrateSerials({ dryRun });
+        if (dryRun) {
+            console.log(`🔢 ${backfilled} link(s) would be given a formatted serial (dry run)`);
+        } else {
+            console.log(`✅ Backfilled ${backfilled} link(s) and seeded the serial counters.`);
+        }
+    } catch (err) {
+        console.error('❌ Migration error:', err.message);
+        exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        process.exit(exitCode);
+    }
+};
+
+migrate();
@@ -0,0 +1,122 @@
+/**
+ * Storage Migration Script
+ * Moves every attachment into the storage backend selected by
+ * STORAGE_DRIVER and rewrites each attachment's storageKey to the plain
+ * storage key.
+ * Also normalises absolute paths left by links created before the
+ * storage abstraction.
+ *
+ * Usage: node scripts/migrateStorage.js [--from local|s3] [--keep] [--dry-run]
+ *   --from     Backend the files currently live in (default: local)
+ *   --keep     Leave the source copy in place after copying
+ *   --dry-run  Report what would happen without changing anything
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const path = require('path');
+const mongoose = require('mongoose');
+const Url = require('../models/Url');
+const { createStorage, getStorage } = require('../services/storage');
+const { migrateLegacyAttachments } = require('../services/attachments');
+
+const argValue = (flag, fallback) => {
+    const i = process.argv.indexOf(flag);
+    return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+};
+
+const migrate = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const keep = process.argv.includes('--keep');
+    const { MONGO_URI } = process.env;
+
+    if (!MONGO_URI) {
+        console.error('❌ Missing required environment variable: MONGO_URI');
+        process.exit(1);
+    }
+
+    let source;
+    let target;
+    try {
+        source = createStorage(argValue('--from', 'local'));
+        target = getStorage();
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    const sameBackend = source.name === target.name;
+    let exitCode = 0;
+
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB');
+        console.log(`📦 Migrating attachments: ${source.name} → ${target.name}${dryRun ? ' (dry run)' : ''}`);
+
+        if (!dryRun) {
+            await migrateLegacyAttachments();
+        }
+
+        const docs = await Url.find({ 'attachments.0': { $exists: true } }).select('shortId attachments');
+        const files = docs.flatMap(urlDoc => urlDoc.attachments.map(attachment => ({
+            _id: urlDoc._id,
+            attachmentId: attachment._id,
+            shortId: urlDoc.shortId,
+            filePath: attachment.storageKey,
+        })));
+        const counts = { moved: 0, rewritten: 0, missing: 0, failed: 0 };
+
+        for (const file of files) {
+            const key = path.basename(file.filePath);
+
+            try {
+                if (!sameBackend) {
+                    const stat = await source.stat(file.filePath);
+                    if (!stat) {
+                        counts.missing += 1;
+                        console.warn(`⚠️  ${file.shortId}: source file ${file.filePath} not found`);
+                        continue;
+                    }
+
+                    if (!dryRun) {
+                        await target.put(key, source.getStream(file.filePath));
+                        const copied = await target.stat(key);
+                        if (!copied || copied.size !== stat.size) {
+                            throw new Error('copy size mismatch');
+                        }
+                    }
+                    counts.moved += 1;
+                }
+
+                if (file.filePath !== key) {
+                    if (!dryRun) {
+                        await Url.updateOne(
+                            { _id: file._id },
+                            { $set: { 'attachments.$[file].storageKey': key } },
+                            { arrayFilters: [{ 'file._id': file.attachmentId }] }
+                        );
+                    }
+                    counts.rewritten += 1;
+                }
+
+                if (!sameBackend && !keep && !dryRun) {
+                    await source.delete(file.filePath);
+                }
+            } catch (err) {
+                counts.failed += 1;
+                console.error(`❌ ${file.shortId}: ${err.message}`);
+            }
+        }
+
+        console.log(`✅ Copied ${counts.moved}, rewrote ${counts.rewritten} path(s), ${counts.missing} missing, ${counts.failed} failed.`);
+        if (counts.failed > 0) exitCode = 1;
+    } catch (err) {
+        console.error('❌ Migration error:', err.message);
+        exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        process.exit(exitCode);
+    }
+};
+
+migrate();
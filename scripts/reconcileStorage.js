@@ -0,0 +1,96 @@
+/**
+ * Storage Reconciliation Script
+ * Compares the storage backend with the database (see
+ * services/storageReconciliation.js): removes orphaned files, flags links
+ * whose files are missing and reports the storage used by each link.
+ *
+ * Usage: node scripts/reconcileStorage.js [--dry-run] [--grace-minutes 60] [--top 20]
+ *   --dry-run        Report what would happen without changing anything
+ *   --grace-minutes  Spare orphans younger than this (default: ORPHAN_GRACE_MINUTES or 60)
+ *   --top            Number of links to list by storage used (default: 20)
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const { getStorage } = require('../services/storage');
+const { reconcileStorage } = require('../services/storageReconciliation');
+
+const argValue = (flag, fallback) => {
+    const i = process.argv.indexOf(flag);
+    return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+};
+
+const formatBytes = (bytes) => {
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+const reconcile = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const graceMinutes = argValue('--grace-minutes', null);
+    const top = parseInt(argValue('--top', '20'), 10);
+    const { MONGO_URI } = process.env;
+
+    if (!MONGO_URI) {
+        console.error('❌ Missing required environment variable: MONGO_URI');
+        process.exit(1);
+    }
+    if (graceMinutes !== null && !(parseInt(graceMinutes, 10) >= 0)) {
+        console.error('❌ --grace-minutes must be a whole number of minutes.');
+        process.exit(1);
+    }
+
+    let storage;
+    try {
+        storage = getStorage();
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    let exitCode = 0;
+
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB');
+        console.log(`🗄  Reconciling ${storage.name} storage${dryRun ? ' (dry run)' : ''}`);
+
+        const report = await reconcileStorage({
+            dryRun,
+            ...(graceMinutes !== null && { graceMs: parseInt(graceMinutes, 10) * 60 * 1000 }),
+        });
+
+        console.log(`📦 ${report.objects} stored object(s), ${formatBytes(report.bytes)}`);
+
+        for (const orphan of report.orphans) {
+            console.log(`   orphan ${orphan.key} (${formatBytes(orphan.size)}, ${new Date(orphan.modifiedAt).toISOString()})`);
+        }
+        console.log(dryRun
+            ? `🧹 ${report.orphans.length} orphaned file(s), ${formatBytes(report.orphanBytes)}, would be removed`
+            : `🧹 Removed ${report.removed} of ${report.orphans.length} orphaned file(s), ${formatBytes(report.orphanBytes)}`);
+        if (report.removed < report.orphans.length && !dryRun) exitCode = 1;
+
+        for (const missing of report.missing) {
+            console.warn(`⚠️  ${missing.shortId} (${missing.serial}): file ${missing.storageKey} is missing`);
+        }
+        console.log(`🔗 ${report.missing.length} missing file(s)${dryRun || report.missing.length === 0 ? '' : ', flagged in the dashboard'}`);
+
+        const largest = report.usage.slice(0, top);
+        if (largest.length > 0) {
+            console.log(`📊 Storage by link (top ${largest.length} of ${report.usage.length}):`);
+            for (const link of largest) {
+                const label = link.label ? ` ${link.label}` : '';
+                console.log(`   ${formatBytes(link.bytes).padStart(10)}  ${link.files} file(s)  ${link.shortId} (${link.serial})${label}`);
+            }
+        }
+    } catch (err) {
+        console.error('❌ Reconciliation error:', err.message);
+        exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        process.exit(exitCode);
+    }
+};
+
+reconcile();
@@ -0,0 +1,97 @@
+/**
+ * Restore Script
+ * Restores links, admins and their files from an archive written by
+ * scripts/backup.js or POST /api/admin/backup. Files are stored in the
+ * backend selected by STORAGE_DRIVER, encrypted under this FILE_MASTER_KEY.
+ * Encrypted archives are opened with BACKUP_PASSPHRASE.
+ *
+ * Usage: node scripts/restoreBackup.js <archive> [--mode skip|overwrite|renumber] [--dry-run]
+ *   --mode     What to do with links whose id, shortId or serial is taken:
+ *              skip them (default), overwrite the existing links, or give
+ *              them a new shortId and serial. Existing admins are only
+ *              replaced by overwrite.
+ *   --dry-run  Check the archive and report conflicts without changing anything
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const fs = require('fs');
+const mongoose = require('mongoose');
+const { loadKeyring } = require('../services/fileCrypto');
+const { getStorage } = require('../services/storage');
+const { restoreBackup, RESTORE_MODES } = require('../services/backup');
+
+const argValue = (flag, fallback) => {
+    const i = process.argv.indexOf(flag);
+    return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+};
+
+const restore = async () => {
+    const archive = process.argv[2];
+    const mode = argValue('--mode', 'skip');
+    const dryRun = process.argv.includes('--dry-run');
+    const { MONGO_URI, BACKUP_PASSPHRASE } = process.env;
+
+    if (!MONGO_URI) {
+        console.error('❌ Missing required environment variable: MONGO_URI');
+        process.exit(1);
+    }
+    if (!archive || archive.startsWith('--') || !fs.existsSync(archive)) {
+        console.error('❌ Usage: node scripts/restoreBackup.js <archive> [--mode skip|overwrite|renumber] [--dry-run]');
+        process.exit(1);
+    }
+    if (!RESTORE_MODES.includes(mode)) {
+        console.error(`❌ --mode must be one of: ${RESTORE_MODES.join(', ')}`);
+        process.exit(1);
+    }
+
+    try {
+        loadKeyring();
+        getStorage();
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    let exitCode = 0;
+
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB');
+        console.log(`💾 Restoring ${archive} (mode: ${mode})${dryRun ? ' (dry run)' : ''}`);
+
+        const report = await restoreBackup(fs.createReadStream(archive), {
+            passphrase: BACKUP_PASSPHRASE || null,
+            mode,
+            dryRun,
+        });
+
+        console.log(`🗓  Backup taken ${new Date(report.createdAt).toISOString()}`);
+        for (const conflict of report.conflicts) {
+            const renamed = conflict.newShortId ? ` → ${conflict.newShortId} (${conflict.newSerial})` : '';
+            console.log(`   ${conflict.action} ${conflict.shortId} (${conflict.serial}), conflicts with ${conflict.conflictsWith.join(', ')}${renamed}`);
+        }
+        for (const error of report.errors) {
+            console.error(`❌ ${error.shortId} (${error.serial}): ${error.error}`);
+        }
+
+        const { links, admins, files } = report;
+        const verb = dryRun ? 'Would restore' : 'Restored';
+        const restoredLinks = links.restored + links.overwritten + links.renumbered;
+        console.log(`🔗 ${verb} ${restoredLinks} of ${links.total} link(s) (${links.overwritten} overwritten, ${links.renumbered} renumbered), ${links.skipped} skipped, ${links.failed} failed`);
+        console.log(`👥 ${verb} ${admins.restored + admins.overwritten} of ${admins.total} admin(s): ${admins.overwritten} overwritten, ${admins.skipped} skipped`);
+        if (!dryRun) console.log(`📦 ${files.restored} file(s) stored`);
+        if (files.missing > 0) {
+            console.warn(`⚠️  ${files.missing} file(s) were missing when the backup was taken; their links show as broken`);
+        }
+        if (links.failed > 0) exitCode = 1;
+    } catch (err) {
+        console.error('❌ Restore error:', err.message);
+        exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        process.exit(exitCode);
+    }
+};
+
+restore();
@@ -0,0 +1,102 @@
+/**
+ * File Key Rotation Script
+ * Re-wraps the per-file data keys of every attachment with the current
+ * master key. File contents are not touched — only the wrapped keys change.
+ *
+ * To rotate:
+ *   1. Generate a new key:  node -e "console.log(require('crypto').randomBytes(32).toString('base64'))"
+ *   2. Set FILE_MASTER_KEY to the new key and FILE_MASTER_KEY_PREVIOUS to the old one
+ *   3. Run this script, then restart the server
+ *   4. Once it reports nothing left to re-wrap, remove FILE_MASTER_KEY_PREVIOUS
+ *
+ * Usage: node scripts/rotateFileKeys.js [--dry-run]
+ */
+
+require('dotenv').config({ path: require('path').join(__dirname, '..', '.env') });
+
+const mongoose = require('mongoose');
+const Url = require('../models/Url');
+const { loadKeyring, wrapDataKey, unwrapDataKey } = require('../services/fileCrypto');
+const { migrateLegacyAttachments } = require('../services/attachments');
+
+const rotate = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    const { MONGO_URI } = process.env;
+
+    if (!MONGO_URI) {
+        console.error('❌ Missing required environment variable: MONGO_URI');
+        process.exit(1);
+    }
+
+    let keyring;
+    try {
+        keyring = loadKeyring();
+    } catch (err) {
+        console.error(`❌ ${err.message}`);
+        process.exit(1);
+    }
+
+    let exitCode = 0;
+    try {
+        await mongoose.connect(MONGO_URI);
+        console.log('✅ Connected to MongoDB');
+
+        if (!dryRun) {
+            await migrateLegacyAttachments();
+        }
+
+        const docs = await Url.find({
+            attachments: {
+                $elemMatch: { fileEncryption: { $ne: null }, 'fileEncryption.keyId': { $ne: keyring.currentId } },
+            },
+        }).select('+attachments.fileEncryption shortId');
+        const stale = docs.flatMap(urlDoc => urlDoc.attachments
+            .filter(a => a.fileEncryption && a.fileEncryption.keyId !== keyring.currentId)
+            .map(attachment => ({ urlDoc, attachment })));
+
+        console.log(`🔑 Current master key: ${keyring.currentId}`);
+        console.log(`📦 ${stale.length} file key(s) wrapped by an older master key`);
+
+        let rotated = 0;
+        let failed = 0;
+        for (const { urlDoc, attachment } of stale) {
+            try {
+                const dataKey = unwrapDataKey(attachment.fileEncryption, keyring);
+                const wrapped = wrapDataKey(dataKey, keyring);
+
+                if (!dryRun) {
+                    await Url.updateOne(
+                        { _id: urlDoc._id },
+                        {
+                            $set: {
+                                'attachments.$[file].fileEncryption.keyId': wrapped.keyId,
+                                'attachments.$[file].fileEncryption.wrappedKey': wrapped.wrappedKey,
+                            },
+                        },
+                        {
+                            arrayFilters: [{
+                                'file._id': attachment._id,
+                                'file.fileEncryption.keyId': attachment.fileEncryption.keyId,
+                            }],
+                        }
+                    );
+                }
+                rotated += 1;
+            } catch (err) {
+                failed += 1;
+                console.error(`❌ ${urlDoc.shortId}/${attachment._id}: ${err.message}`);
+            }
+        }
+
+        console.log(`✅ ${dryRun ? 'Would re-wrap' : 'Re-wrapped'} ${rotated} key(s), ${failed} failure(s).`);
+        if (failed > 0) exitCode = 1;
+    } catch (err) {
+        console.error('❌ Rotation error:', err.message);
+        exitCode = 1;
+    } finally {
+        await mongoose.disconnect();
+        process.exit(exitCode);
+    }
+};
+
+rotate();
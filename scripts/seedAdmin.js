@@ -1,7 +1,9 @@
 /**
  * Admin Seed Script
- * Creates or updates the admin user in the database.
+ * Creates or updates the admin user in the database as an active owner.
  * Reads credentials from ADMIN_USERNAME and ADMIN_PASSWORD in .env.
+ * Further admins are invited from the Team section of the dashboard or
+ * with the command-line tool (scripts/cli.js).
  *
  * Usage: node scripts/seedAdmin.js
  */
@@ -29,7 +31,7 @@ const seed = async () => {
         // Upsert: create if not exists, update if exists
         await Admin.findOneAndUpdate(
             { username: ADMIN_USERNAME },
-            { username: ADMIN_USERNAME, passwordHash },
+            { username: ADMIN_USERNAME, passwordHash, role: 'owner', disabled: false },
             { upsert: true, new: true }
         );
 
@@ -0,0 +1,67 @@
+/**
+ * Webhook Receiver
+ * A local HTTP endpoint for trying out webhooks. Prints every delivery and
+ * checks its signature the way a real receiver should.
+ *
+ * Usage: node scripts/webhookReceiver.js [--port 4000] [--secret whsec_...] [--fail 500]
+ *   --port    Port to listen on (default: 4000)
+ *   --secret  Signing secret of the webhook; without it signatures are not checked
+ *   --fail    Answer every delivery with this status, to watch the retries
+ *
+ * Point a webhook at http://localhost:4000/ from the dashboard.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const { signPayload } = require('../services/webhooks');
+
+const MAX_SKEW_SECONDS = 5 * 60;
+
+const argValue = (flag, fallback) => {
+    const i = process.argv.indexOf(flag);
+    return i !== -1 && process.argv[i + 1] ? process.argv[i + 1] : fallback;
+};
+
+const port = parseInt(argValue('--port', '4000'), 10);
+const secret = argValue('--secret', null);
+const failStatus = parseInt(argValue('--fail', '0'), 10) || null;
+
+// Constant-time comparison of the received and expected signatures
+const signatureValid = (headers, body) => {
+    const timestamp = headers['x-webhook-timestamp'];
+    const received = Buffer.from(String(headers['x-webhook-signature'] || ''));
+    const expected = Buffer.from(signPayload(secret, timestamp, body));
+    const fresh = Math.abs(Date.now() / 1000 - Number(timestamp)) <= MAX_SKEW_SECONDS;
+    return fresh && received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+const server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => {
+        const body = Buffer.concat(chunks).toString('utf8');
+        const event = req.headers['x-webhook-event'] || '(no event header)';
+        const delivery = req.headers['x-webhook-delivery'] || '';
+
+        let verdict = 'signature not checked';
+        if (secret) {
+            verdict = signatureValid(req.headers, body) ? '✅ signature valid' : '❌ signature INVALID';
+        }
+
+        console.log(`\n📨 ${new Date().toISOString()} ${event} ${delivery} — ${verdict}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch (err) {
+            console.log(body);
+        }
+
+        const status = secret && verdict.startsWith('❌') ? 401 : failStatus || 204;
+        res.writeHead(status);
+        res.end();
+    });
+});
+
+server.listen(port, () => {
+    console.log(`👂 Listening for webhooks on http://localhost:${port}/`);
+    if (failStatus) console.log(`   Answering every delivery with HTTP ${failStatus}`);
+});
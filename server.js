@@ -4,9 +4,27 @@ const express = require('express');
 const path = require('path');
 const cors = require('cors');
 const connectDB = require('./config/db');
+const { generalLimiter, authenticatedLimiter } = require('./middleware/rateLimiter');
+const { identifyAdmin } = require('./middleware/auth');
+const { startLinkSweeper } = require('./services/linkSweeper');
+const { startWebhookWorker } = require('./services/webhooks');
+const { startStorageReconciler } = require('./services/storageReconciliation');
+const { loadKeyring } = require('./services/fileCrypto');
+const { getStorage } = require('./services/storage');
+const { migrateLegacyAttachments } = require('./services/attachments');
+const { loadSerialConfig, migrateSerials } = require('./services/serialNumbers');
+const { backfillDailyStats } = require('./services/analytics');
+const { loadScannerConfig } = require('./services/fileScanner');
+const { MAX_FILE_SIZE, MAX_ATTACHMENTS } = require('./middleware/validate');
 
 const app = express();
 
+// Behind a reverse proxy / load balancer, trust X-Forwarded-For so the rate
+// limiters see client IPs (TRUST_PROXY = number of proxy hops)
+if (process.env.TRUST_PROXY) {
+    app.set('trust proxy', parseInt(process.env.TRUST_PROXY, 10) || 1);
+}
+
 // ─── Global Middleware ───────────────────────────────────────────────
 app.use(cors());                                  // Enable CORS for all origins
 app.use(express.json());                          // Parse JSON request bodies
@@ -17,17 +35,48 @@ app.use(express.urlencoded({ extended: true }));  // Parse URL-encoded form data
 // Serve frontend files from the /public directory
 app.use(express.static(path.join(__dirname, 'public')));
 
+// ─── Rate Limiting ───────────────────────────────────────────────────
+// Callers are identified first: anonymous API calls share the general
+// per-IP budget, admin sessions and API keys get a per-caller budget
+// instead. Login, shorten, search and verify each add their own limiter in
+// their routers. Resumable upload chunks use their own uploadLimiter, and
+// the REST API's link routes are limited per API key (see routes/apiV1.js).
+app.use('/api', identifyAdmin, generalLimiter, authenticatedLimiter);
+
 // ─── Routes ──────────────────────────────────────────────────────────
 // Admin routes must be mounted BEFORE URL routes to prevent /:shortId
 // from matching /admin.html or /api/admin/* paths
 app.use('/', require('./routes/admin'));
+app.use('/', require('./routes/adminUsers'));
+app.use('/', require('./routes/adminSessions'));
+app.use('/', require('./routes/adminSettings'));
+app.use('/', require('./routes/adminBulk'));
+app.use('/', require('./routes/adminRecipients'));
+app.use('/', require('./routes/adminWebhooks'));
+app.use('/', require('./routes/adminBackup'));
+app.use('/', require('./routes/adminApiKeys'));
+app.use('/', require('./routes/adminAnalytics'));
+app.use('/', require('./routes/apiV1'));
+app.use('/', require('./routes/uploads'));
 app.use('/', require('./routes/url'));
 
 // ─── Multer Error Handler ────────────────────────────────────────────
 // Catches file upload errors (size limit, file type) and returns clean messages
 app.use((err, req, res, next) => {
     if (err.code === 'LIMIT_FILE_SIZE') {
-        return res.status(400).json({ error: 'File size exceeds the 10 MB limit.' });
+        return res.status(400).json({
+            error: `File size exceeds the ${MAX_FILE_SIZE / 1024 / 1024} MB limit. Use a resumable upload for larger files.`,
+        });
+    }
+    if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+        return res.status(400).json({ error: `At most ${MAX_ATTACHMENTS} files can be attached to a link.` });
+    }
+    if (err.type === 'entity.too.large') {
+        return res.status(413).json({ error: 'Request body is too large.' });
+    }
+    // Content sniffing or archive checks refused an upload
+    if (err.code === 'INVALID_FILE_CONTENT') {
+        return res.status(400).json({ error: err.message });
     }
     if (err.message && err.message.includes('File type')) {
         return res.status(400).json({ error: err.message });
@@ -39,7 +88,57 @@ app.use((err, req, res, next) => {
 // ─── Start Server ────────────────────────────────────────────────────
 const PORT = process.env.PORT || 3000;
 
-connectDB().then(() => {
+// Refuse to start if uploads could not be encrypted at rest or stored
+try {
+    loadKeyring();
+    console.log(`📦 Storage driver: ${getStorage().name}`);
+} catch (err) {
+    console.error(`❌ Storage configuration error: ${err.message}`);
+    process.exit(1);
+}
+
+try {
+    loadSerialConfig();
+} catch (err) {
+    console.error(`❌ Serial number configuration error: ${err.message}`);
+    process.exit(1);
+}
+
+try {
+    console.log(`🦠 File scanner: ${loadScannerConfig()}`);
+} catch (err) {
+    console.error(`❌ File scanner configuration error: ${err.message}`);
+    process.exit(1);
+}
+
+connectDB().then(async () => {
+    try {
+        const migrated = await migrateLegacyAttachments();
+        if (migrated > 0) {
+            console.log(`📎 Moved ${migrated} single-file link(s) to attachments`);
+        }
+    } catch (err) {
+        console.error('Attachment migration error:', err);
+    }
+    try {
+        const backfilled = await migrateSerials();
+        if (backfilled > 0) {
+            console.log(`🔢 Gave ${backfilled} link(s) a formatted serial`);
+        }
+    } catch (err) {
+        console.error('Serial number migration error:', err);
+    }
+    try {
+        const counted = await backfillDailyStats();
+        if (counted > 0) {
+            console.log(`📈 Built ${counted} daily usage counter(s) from the audit log`);
+        }
+    } catch (err) {
+        console.error('Analytics backfill error:', err);
+    }
+    startLinkSweeper();
+    startWebhookWorker();
+    startStorageReconciler();
     app.listen(PORT, () => {
         console.log(`🚀 Server running on http://localhost:${PORT}`);
     });
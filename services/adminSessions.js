@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const AdminSession = require('../models/AdminSession');
+
+/**
+ * Server-side admin sessions.
+ *
+ * Signing in creates an AdminSession and returns a pair of tokens:
+ *  - a short-lived access JWT (ACCESS_TOKEN_TTL, default 15m) carrying the
+ *    session id as `sid`; authenticateAdmin rejects it once the session is
+ *    revoked, so revocation takes effect immediately
+ *  - an opaque refresh token (`<sessionId>.<secret>`) valid for
+ *    REFRESH_TOKEN_TTL_DAYS (default 7) since its last use, exchanged for a
+ *    new pair at POST /api/admin/token/refresh. Each refresh token works
+ *    once; replaying a rotated one revokes the whole session.
+ */
+
+const DEFAULT_ACCESS_TTL = '15m';
+const DEFAULT_REFRESH_DAYS = 7;
+
+const hashToken = (secret) => crypto.createHash('sha256').update(secret).digest('hex');
+
+const refreshWindowMs = () =>
+    (parseInt(process.env.REFRESH_TOKEN_TTL_DAYS, 10) || DEFAULT_REFRESH_DAYS) * 24 * 60 * 60 * 1000;
+
+const signAccessToken = (admin, session) =>
+    jwt.sign(
+        { id: admin._id, username: admin.username, role: admin.role, sid: session._id },
+        process.env.JWT_SECRET,
+        { expiresIn: process.env.ACCESS_TOKEN_TTL || DEFAULT_ACCESS_TTL }
+    );
+
+const tokenPair = (admin, session, secret) => {
+    const token = signAccessToken(admin, session);
+    return {
+        token,
+        refreshToken: `${session._id}.${secret}`,
+        expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+    };
+};
+
+/**
+ * Start a session for a fully authenticated admin.
+ * Returns { token, refreshToken, expiresIn }.
+ */
+const createSession = async (admin, req) => {
+    const secret = crypto.randomBytes(32).toString('base64url');
+    const session = await AdminSession.create({
+        admin: admin._id,
+        refreshTokenHash: hashToken(secret),
+        ip: req.ip || '',
+        userAgent: (req.get('user-agent') || '').slice(0, 512),
+        expiresAt: new Date(Date.now() + refreshWindowMs()),
+    });
+    return tokenPair(admin, session, secret);
+};
+
+/**
+ * Exchange a refresh token for a new token pair.
+ * `loadAdmin(id)` returns the admin if they may still sign in, else null.
+ * Returns { tokens, admin } or { error, reuse } when the token is unusable.
+ */
+const rotateSession = async (refreshToken, loadAdmin) => {
+    const [sessionId, secret] = typeof refreshToken === 'string' ? refreshToken.split('.') : [];
+    if (!sessionId || !secret || !/^[0-9a-f]{24}$/.test(sessionId)) {
+        return { error: 'Invalid refresh token.' };
+    }
+
+    const now = new Date();
+    const presentedHash = hashToken(secret);
+    const nextSecret = crypto.randomBytes(32).toString('base64url');
+
+    const session = await AdminSession.findOneAndUpdate(
+        { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                refreshTokenHash: hashToken(nextSecret),
+                previousTokenHash: presentedHash,
+                lastUsedAt: now,
+                expiresAt: new Date(now.getTime() + refreshWindowMs()),
+            },
+        },
+        { new: true }
+    );
+
+    if (!session) {
+        // A rotated-out token coming back means someone else holds a copy
+        const reused = await AdminSession.findOneAndUpdate(
+            { _id: sessionId, previousTokenHash: presentedHash, revokedAt: null },
+            { $set: { revokedAt: now, revokedReason: 'refresh_token_reuse' } }
+        );
+        return { error: 'Invalid refresh token.', reuse: Boolean(reused) };
+    }
+
+    const admin = await loadAdmin(session.admin);
+    if (!admin) {
+        await revokeSession(session._id, 'admin_unavailable');
+        return { error: 'Invalid refresh token.' };
+    }
+
+    return { tokens: tokenPair(admin, session, nextSecret), admin };
+};
+
+/**
+ * Load a live session by id (null if revoked, expired or missing).
+ */
+const findActiveSession = async (sessionId) => {
+    const session = await AdminSession.findById(sessionId).select('admin revokedAt expiresAt');
+    return session && session.isActive() ? session : null;
+};
+
+/**
+ * End one session. Returns true if a live session was revoked.
+ */
+const revokeSession = async (sessionId, reason) => {
+    const result = await AdminSession.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount > 0;
+};
+
+/**
+ * End every live session of an admin, optionally keeping one
+ * (e.g. the session that just changed its own password).
+ * Returns the number of sessions revoked.
+ */
+const revokeAdminSessions = async (adminId, reason, { except = null } = {}) => {
+    const filter = { admin: adminId, revokedAt: null };
+    if (except) filter._id = { $ne: except };
+
+    const result = await AdminSession.updateMany(filter, {
+        $set: { revokedAt: new Date(), revokedReason: reason },
+    });
+    return result.modifiedCount;
+};
+
+module.exports = {
+    createSession,
+    rotateSession,
+    findActiveSession,
+    revokeSession,
+    revokeAdminSessions,
+};
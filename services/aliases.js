@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+
+const Url = require('../models/Url');
+
+/**
+ * Custom short link aliases.
+ *
+ * An alias simply becomes the link's shortId, so everything keyed by shortId
+ * (the /:shortId page, /api/:shortId/*, download tokens) works unchanged.
+ * Aliases share the top-level path space with the static files and routers,
+ * so those names are reserved. When an admin renames a link, the old alias
+ * can be kept as a redirect for a grace period (see previousAliases on Url).
+ */
+
+const ALIAS_PATTERN = /^[A-Za-z0-9][A-Za-z0-9_-]{2,31}$/;
+// Generated shortIds: nanoid(8), whose alphabet adds a leading "-" or "_"
+const GENERATED_PATTERN = /^[A-Za-z0-9_-]{8}$/;
+const DEFAULT_REDIRECT_DAYS = 30;
+const MAX_REDIRECT_DAYS = 365;
+
+// Paths owned by the routers, plus everything express.static serves from
+// public/ (by base name — aliases cannot contain dots)
+const RESERVED_ALIASES = new Set([
+    'api', 'admin', 'css', 'js', 'public', 'static', 'assets',
+    'index', 'view', 'login', 'logout', 'health', 'favicon', 'robots',
+    ...fs.readdirSync(path.join(__dirname, '..', 'public')).map(name => path.parse(name).name),
+].map(name => name.toLowerCase()));
+
+/**
+ * Check the format of a requested alias.
+ * Returns an error message, or null when the alias is acceptable.
+ */
+const aliasError = (alias) => {
+    if (typeof alias !== 'string' || !ALIAS_PATTERN.test(alias)) {
+        return 'Alias must be 3–32 characters: letters, digits, "-" or "_", starting with a letter or digit.';
+    }
+    if (RESERVED_ALIASES.has(alias.toLowerCase())) {
+        return 'That alias is reserved.';
+    }
+    return null;
+};
+
+/**
+ * Check a shortId that did not come through aliasError, e.g. one read back
+ * from a backup: it must be a valid alias or a generated id, and not reserved.
+ * Returns an error message, or null when the shortId is acceptable.
+ */
+const shortIdError = (shortId) => {
+    if (typeof shortId !== 'string' || !(ALIAS_PATTERN.test(shortId) || GENERATED_PATTERN.test(shortId))) {
+        return 'Short IDs are 3–32 characters: letters, digits, "-" or "_".';
+    }
+    if (RESERVED_ALIASES.has(shortId.toLowerCase())) {
+        return `'${shortId}' is a reserved path.`;
+    }
+    return null;
+};
+
+/**
+ * Whether an alias is in use by another link, either as its shortId or as a
+ * redirect that has not lapsed yet. `exceptId` excludes the link being renamed.
+ */
+const isAliasTaken = (alias, exceptId = null) => {
+    const filter = {
+        $or: [
+            { shortId: alias },
+            { previousAliases: { $elemMatch: { shortId: alias, expiresAt: { $gt: new Date() } } } },
+        ],
+    };
+    if (exceptId) filter._id = { $ne: exceptId };
+    return Url.exists(filter);
+};
+
+/**
+ * Find the link an old alias still redirects to (null once the grace period is over).
+ */
+const findRedirect = (alias) =>
+    Url.findOne({ previousAliases: { $elemMatch: { shortId: alias, expiresAt: { $gt: new Date() } } } })
+        .select('shortId');
+
+/**
+ * Grace period for a redirect, in days: `raw` when given, otherwise
+ * ALIAS_REDIRECT_DAYS (default 30). Returns null if `raw` is out of range.
+ */
+const redirectDays = (raw) => {
+    if (raw === undefined || raw === '') {
+        return parseInt(process.env.ALIAS_REDIRECT_DAYS, 10) || DEFAULT_REDIRECT_DAYS;
+    }
+    const days = Number(raw);
+    return Number.isInteger(days) && days >= 1 && days <= MAX_REDIRECT_DAYS ? days : null;
+};
+
+/**
+ * Rename a link's shortId in memory (the caller saves). With `keepDays`
+ * the old alias keeps redirecting for that many days. Lapsed redirects are
+ * dropped, as is the new alias if it was one of the link's own old ones.
+ */
+const renameAlias = (urlDoc, alias, keepDays = null) => {
+    const now = new Date();
+    const previous = urlDoc.previousAliases.filter(a => a.expiresAt > now && a.shortId !== alias);
+    if (keepDays) {
+        previous.push({ shortId: urlDoc.shortId, expiresAt: new Date(now.getTime() + keepDays * 24 * 60 * 60 * 1000) });
+    }
+    urlDoc.previousAliases = previous;
+    urlDoc.shortId = alias;
+};
+
+module.exports = {
+    MAX_REDIRECT_DAYS,
+    aliasError,
+    shortIdError,
+    isAliasTaken,
+    findRedirect,
+    redirectDays,
+    renameAlias,
+};
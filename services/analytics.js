@@ -0,0 +1,290 @@
+const AccessEvent = require('../models/AccessEvent');
+const DailyStat = require('../models/DailyStat');
+const Url = require('../models/Url');
+
+const { METRICS } = DailyStat;
+
+/**
+ * Usage analytics for the dashboard's charts (GET /api/admin/analytics).
+ *
+ * Every audit event that says something about how a link is used also
+ * bumps a per-link, per-day counter (see countUsage, called by recordEvent),
+ * so charts read a few hundred small documents instead of scanning the
+ * audit log. Days are UTC days.
+ */
+
+// Audit event types → the counter they bump
+const EVENT_METRICS = {
+    link_create: 'created',
+    admin_create: 'created',
+    page_view: 'views',
+    verify_success: 'unlocks',
+    verify_failure: 'failedUnlocks',
+    download: 'downloads',
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const DEFAULT_TOP = 10;
+const MAX_TOP = 50;
+// Per-label charts show the busiest labels; the rest are summed as "other"
+const MAX_LABEL_SERIES = 8;
+// A day has a failed-unlock spike when it has at least SPIKE_MIN_FAILURES
+// and SPIKE_FACTOR times the daily average of the SPIKE_BASELINE_DAYS before it
+const SPIKE_MIN_FAILURES = 10;
+const SPIKE_FACTOR = 3;
+const SPIKE_BASELINE_DAYS = 7;
+const BACKFILL_BATCH_SIZE = 500;
+
+const startOfDay = (date) => new Date(Math.floor(date.getTime() / DAY_MS) * DAY_MS);
+
+const dayKey = (date) => date.toISOString().slice(0, 10);
+
+// Accesses are what shows a link is being used: opens, unlocks and downloads
+const accessesOf = (counts) => counts.views + counts.unlocks + counts.downloads;
+
+const zeroCounts = () => Object.fromEntries(METRICS.map(metric => [metric, 0]));
+
+// $group accumulators summing every counter
+const SUMS = Object.fromEntries(METRICS.map(metric => [metric, { $sum: `$counts.${metric}` }]));
+
+/**
+ * Count one audit event towards its link's daily counters. Events that are
+ * not about link usage are ignored.
+ * Fire-and-forget like recordEvent: the returned promise never rejects.
+ *
+ * @param {string} type  One of AccessEvent.EVENT_TYPES
+ * @param {object} url   Url document (or { _id, shortId, serial, label })
+ */
+const countUsage = (type, url) => {
+    const metric = EVENT_METRICS[type];
+    if (!metric || !url || !url._id) return Promise.resolve();
+
+    const snapshot = { shortId: url.shortId, serial: url.serial };
+    if (typeof url.label === 'string') snapshot.label = url.label;
+
+    return DailyStat.updateOne(
+        { day: startOfDay(new Date()), url: url._id },
+        { $inc: { [`counts.${metric}`]: 1 }, $set: snapshot },
+        { upsert: true }
+    ).catch((err) => {
+        console.error(`Error counting ${type} for analytics:`, err);
+    });
+};
+
+// 'YYYY-MM-DD' (or any date) → midnight UTC of that day; null if invalid
+const parseDay = (raw) => {
+    const date = new Date(String(raw));
+    return isNaN(date.getTime()) ? null : startOfDay(date);
+};
+
+/**
+ * Parse the analytics query: from / to (days, inclusive; default the last
+ * 30 days), groupBy (day, or label for one series per label), label (only
+ * links with this label; empty for unlabeled ones) and top (how many links
+ * to rank).
+ * Returns { error } on invalid input, otherwise { from, to, groupBy, label, top }.
+ */
+const parseAnalyticsQuery = (query) => {
+    const to = query.to ? parseDay(query.to) : startOfDay(new Date());
+    if (!to) return { error: "'to' must be a valid date." };
+
+    const from = query.from ? parseDay(query.from) : new Date(to.getTime() - (DEFAULT_RANGE_DAYS - 1) * DAY_MS);
+    if (!from) return { error: "'from' must be a valid date." };
+    if (from > to) return { error: "'from' must not be after 'to'." };
+    if ((to - from) / DAY_MS + 1 > MAX_RANGE_DAYS) {
+        return { error: `The range can span at most ${MAX_RANGE_DAYS} days.` };
+    }
+
+    const groupBy = query.groupBy || 'day';
+    if (!['day', 'label'].includes(groupBy)) {
+        return { error: "'groupBy' must be day or label." };
+    }
+
+    const label = query.label === undefined ? null : String(query.label).trim();
+
+    const top = query.top === undefined ? DEFAULT_TOP : parseInt(query.top, 10);
+    if (!Number.isInteger(top) || top < 0 || top > MAX_TOP) {
+        return { error: `'top' must be a whole number between 0 and ${MAX_TOP}.` };
+    }
+
+    return { from, to, groupBy, label, top };
+};
+
+// Days with unusually many failed unlocks, from the all-links daily totals
+const findFailedUnlockSpikes = (points) => points.filter((point, i) => {
+    if (point.failedUnlocks < SPIKE_MIN_FAILURES) return false;
+    const baseline = points.slice(Math.max(0, i - SPIKE_BASELINE_DAYS), i);
+    const average = baseline.reduce((sum, p) => sum + p.failedUnlocks, 0) / Math.max(baseline.length, 1);
+    return point.failedUnlocks >= SPIKE_FACTOR * Math.max(average, 1);
+}).map(point => ({ date: point.date, failedUnlocks: point.failedUnlocks }));
+
+// Ranked links, flagged when the link itself is gone
+const rankLinks = async (rows) => {
+    const existing = new Set((await Url.find({ _id: { $in: rows.map(r => r._id) } }).select('_id'))
+        .map(u => String(u._id)));
+
+    return rows.map(row => ({
+        url: row._id,
+        shortId: row.shortId,
+        serial: row.serial,
+        label: row.label,
+        deleted: !existing.has(String(row._id)),
+        ...Object.fromEntries(METRICS.map(metric => [metric, row[metric]])),
+        accesses: accessesOf(row),
+    }));
+};
+
+/**
+ * Aggregate the counters for a query from parseAnalyticsQuery().
+ * Returns:
+ *  - totals:  every counter summed over the range
+ *  - series:  [{ label, points: [{ date, ...counters }] }] with one point per
+ *             day; a single series (label null) for groupBy=day, otherwise
+ *             one per label, the rest merged into one with other: true
+ *  - failedUnlockSpikes: [{ date, failedUnlocks }]
+ *  - top / topFailedUnlocks: the `top` links with the most accesses
+ *             (views + unlocks + downloads) and the most failed unlocks
+ */
+const getAnalytics = async ({ from, to, groupBy, label, top }) => {
+    const match = { day: { $gte: from, $lte: to } };
+    if (label !== null) match.label = label;
+
+    // Per-label series: pick the busiest labels first
+    let labels = null;
+    let hasOther = false;
+    if (groupBy === 'label') {
+        const byLabel = await DailyStat.aggregate([{ $match: match }, { $group: { _id: '$label', ...SUMS } }]);
+        byLabel.sort((a, b) => accessesOf(b) - accessesOf(a) || b.created - a.created || String(a._id).localeCompare(String(b._id)));
+        labels = byLabel.slice(0, MAX_LABEL_SERIES).map(row => row._id);
+        hasOther = byLabel.length > MAX_LABEL_SERIES;
+    }
+
+    const groupKey = labels
+        ? { day: '$day', label: { $cond: [{ $in: ['$label', labels] }, '$label', null] } }
+        : { day: '$day' };
+
+    const [daily, [ranked]] = await Promise.all([
+        DailyStat.aggregate([{ $match: match }, { $group: { _id: groupKey, ...SUMS } }]),
+        top > 0
+            ? DailyStat.aggregate([
+                { $match: match },
+                { $sort: { day: 1 } },
+                {
+                    $group: {
+                        _id: '$url',
+                        shortId: { $last: '$shortId' },
+                        serial: { $last: '$serial' },
+                        label: { $last: '$label' },
+                        ...SUMS,
+                    },
+                },
+                { $addFields: { accesses: { $add: ['$views', '$unlocks', '$downloads'] } } },
+                {
+                    $facet: {
+                        top: [{ $match: { accesses: { $gt: 0 } } }, { $sort: { accesses: -1, _id: 1 } }, { $limit: top }],
+                        failed: [{ $match: { failedUnlocks: { $gt: 0 } } }, { $sort: { failedUnlocks: -1, _id: 1 } }, { $limit: top }],
+                    },
+                },
+            ])
+            : [{ top: [], failed: [] }],
+    ]);
+
+    // One point per day and series, zero-filled so charts stay continuous
+    const days = [];
+    for (let t = from.getTime(); t <= to.getTime(); t += DAY_MS) days.push(dayKey(new Date(t)));
+
+    const seriesLabels = labels ? [...labels, ...(hasOther ? [null] : [])] : [null];
+    const byKey = new Map();
+    for (const row of daily) {
+        byKey.set(`${dayKey(row._id.day)}|${labels ? row._id.label : null}`, row);
+    }
+
+    const totals = zeroCounts();
+    const overall = days.map(date => ({ date, ...zeroCounts() }));
+    const series = seriesLabels.map((seriesLabel) => {
+        const points = days.map((date, i) => {
+            const row = byKey.get(`${date}|${seriesLabel}`);
+            const point = { date, ...zeroCounts() };
+            for (const metric of METRICS) {
+                point[metric] = row ? row[metric] : 0;
+                totals[metric] += point[metric];
+                overall[i][metric] += point[metric];
+            }
+            return point;
+        });
+        return labels && seriesLabel === null ? { label: null, other: true, points } : { label: seriesLabel, points };
+    });
+
+    return {
+        totals,
+        series,
+        failedUnlockSpikes: findFailedUnlockSpikes(overall),
+        top: await rankLinks(ranked.top),
+        topFailedUnlocks: await rankLinks(ranked.failed),
+    };
+};
+
+/**
+ * Build the daily counters from the audit log, which holds every usage
+ * event since the first release. Runs at startup and does nothing once
+ * any counter exists, so it only fills them in on the first start with
+ * analytics. Links deleted since get an empty label.
+ * Returns the number of counters written.
+ */
+const backfillDailyStats = async () => {
+    if (await DailyStat.estimatedDocumentCount() > 0) return 0;
+
+    const metricSums = {};
+    for (const metric of METRICS) {
+        const types = Object.keys(EVENT_METRICS).filter(type => EVENT_METRICS[type] === metric);
+        metricSums[metric] = { $sum: { $cond: [{ $in: ['$type', types] }, 1, 0] } };
+    }
+
+    const cursor = AccessEvent.aggregate([
+        { $match: { type: { $in: Object.keys(EVENT_METRICS) }, url: { $ne: null } } },
+        { $sort: { createdAt: 1 } },
+        {
+            $group: {
+                _id: { day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, url: '$url' },
+                shortId: { $last: '$shortId' },
+                serial: { $last: '$serial' },
+                ...metricSums,
+            },
+        },
+    ]).allowDiskUse(true).cursor();
+
+    let written = 0;
+    let batch = [];
+    const flush = async () => {
+        const labels = new Map((await Url.find({ _id: { $in: batch.map(row => row._id.url) } }).select('label'))
+            .map(u => [String(u._id), u.label]));
+        await DailyStat.insertMany(batch.map(row => ({
+            day: new Date(`${row._id.day}T00:00:00Z`),
+            url: row._id.url,
+            shortId: row.shortId,
+            serial: row.serial,
+            label: labels.get(String(row._id.url)) || '',
+            counts: Object.fromEntries(METRICS.map(metric => [metric, row[metric]])),
+        })), { ordered: false });
+        written += batch.length;
+        batch = [];
+    };
+
+    for await (const row of cursor) {
+        batch.push(row);
+        if (batch.length >= BACKFILL_BATCH_SIZE) await flush();
+    }
+    if (batch.length > 0) await flush();
+
+    return written;
+};
+
+module.exports = {
+    countUsage,
+    parseAnalyticsQuery,
+    getAnalytics,
+    backfillDailyStats,
+    METRICS,
+};
@@ -0,0 +1,77 @@
+const crypto = require('crypto');
+
+const ApiKey = require('../models/ApiKey');
+
+/**
+ * API keys for the public REST API (routes/apiV1.js).
+ *
+ * Keys are "slk_" followed by 32 random bytes (base64url), so they are
+ * easy to tell apart from admin access tokens in an Authorization header.
+ * Only their SHA-256 is stored: the key has enough entropy that a slow
+ * hash like bcrypt would add nothing but latency to every request.
+ */
+
+const KEY_PREFIX = 'slk_';
+const DEFAULT_RATE_LIMIT = 60; // Requests per minute
+const MAX_RATE_LIMIT = 10000;
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const hashApiKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+/**
+ * Whether a bearer token has the shape of an API key (rather than a JWT).
+ */
+const isApiKey = (token) => typeof token === 'string' && token.startsWith(KEY_PREFIX);
+
+/**
+ * New random key with its hash and display prefix.
+ * The key itself is handed to the owner once and never stored.
+ */
+const generateApiKey = () => {
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    return { key, keyHash: hashApiKey(key), prefix: key.slice(0, KEY_PREFIX.length + 6) };
+};
+
+/**
+ * Requests per minute for new keys: API_KEY_RATE_LIMIT (default 60).
+ */
+const defaultRateLimit = () => {
+    const limit = parseInt(process.env.API_KEY_RATE_LIMIT, 10);
+    return limit > 0 ? Math.min(limit, MAX_RATE_LIMIT) : DEFAULT_RATE_LIMIT;
+};
+
+/**
+ * Look up the active key a bearer token stands for (null if unknown or
+ * revoked) and note that it was used.
+ * Returns { id, name, prefix, scopes, rateLimit }.
+ */
+const resolveApiKey = async (token) => {
+    if (!isApiKey(token)) return null;
+
+    const apiKey = await ApiKey.findOne({ keyHash: hashApiKey(token), revokedAt: null });
+    if (!apiKey) return null;
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_RESOLUTION_MS) {
+        ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now } })
+            .catch(err => console.error('Error recording API key use:', err));
+    }
+
+    return {
+        id: apiKey._id,
+        name: apiKey.name,
+        prefix: apiKey.prefix,
+        scopes: apiKey.scopes,
+        rateLimit: apiKey.rateLimit,
+        allows: scope => apiKey.allows(scope),
+    };
+};
+
+module.exports = {
+    isApiKey,
+    generateApiKey,
+    defaultRateLimit,
+    resolveApiKey,
+    MAX_RATE_LIMIT,
+};
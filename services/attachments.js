@@ -0,0 +1,137 @@
+const mongoose = require('mongoose');
+
+const Url = require('../models/Url');
+const { getStorage } = require('./storage');
+const { mimeTypeFor } = require('../middleware/validate');
+const { recordEvent } = require('./audit');
+
+/**
+ * Build an attachment subdocument from a file stored by middleware/upload.js.
+ * `encryptedName` replaces the original name on end-to-end encrypted links.
+ */
+const attachmentFromUpload = (file, encryptedName = null) => ({
+    fileName: encryptedName || file.originalname,
+    storageKey: file.key,
+    size: file.size,
+    mimeType: encryptedName ? 'application/octet-stream' : mimeTypeFor(file.originalname),
+    detectedMimeType: file.detectedMimeType || null,
+    scan: file.scan || null,
+    fileEncryption: file.encryption,
+});
+
+/**
+ * Whether the malware scanner quarantined an attachment.
+ */
+const isQuarantined = (attachment) => Boolean(attachment.scan && attachment.scan.status === 'infected');
+
+/**
+ * Record a file_quarantined event when any of the files just uploaded to
+ * `urlDoc` (multer-style, see attachmentFromUpload) was found infected.
+ */
+const recordQuarantine = (req, urlDoc, files) => {
+    const infected = files.filter(isQuarantined);
+    if (infected.length === 0) return;
+
+    recordEvent(req, 'file_quarantined', {
+        url: urlDoc,
+        details: { files: infected.map(f => ({ fileName: f.originalname, signature: f.scan.signature })) },
+    });
+};
+
+/**
+ * Remove the stored objects of the given attachments. Call it once they are
+ * gone from the database: a file that cannot be deleted is logged and left
+ * for the storage reconciliation to collect, instead of failing a request
+ * whose link is already updated.
+ * Returns the storage keys that were already missing.
+ */
+const deleteAttachmentFiles = async (attachments) => {
+    const storage = getStorage();
+    const missing = [];
+    for (const attachment of attachments) {
+        try {
+            if (await storage.exists(attachment.storageKey)) {
+                await storage.delete(attachment.storageKey);
+            } else {
+                missing.push(attachment.storageKey);
+            }
+        } catch (err) {
+            console.error(`Error deleting stored file ${attachment.storageKey}:`, err);
+        }
+    }
+    if (missing.length > 0) {
+        console.warn(`⚠️  ${missing.length} attachment file(s) were already missing: ${missing.join(', ')}`);
+    }
+    return missing;
+};
+
+/**
+ * Public view of an attachment (no storage key or encryption metadata).
+ */
+const toPublicAttachment = (attachment) => ({
+    _id: attachment._id,
+    fileName: attachment.fileName,
+    size: attachment.size,
+    mimeType: attachment.mimeType,
+    detectedMimeType: attachment.detectedMimeType || null,
+    scan: attachment.scan || null,
+    quarantined: isQuarantined(attachment),
+    missing: Boolean(attachment.missingAt),
+    downloadCount: attachment.downloadCount,
+    createdAt: attachment.createdAt,
+});
+
+/**
+ * Move links from the single fileName/filePath/fileEncryption fields used
+ * before multiple attachments into the attachments array. Idempotent; runs
+ * at startup. Returns the number of links migrated.
+ */
+const migrateLegacyAttachments = async () => {
+    const legacy = await Url.collection
+        .find({ filePath: { $type: 'string' } })
+        .project({ fileName: 1, filePath: 1, fileEncryption: 1, downloadCount: 1, encryption: 1, createdAt: 1 })
+        .toArray();
+
+    let migrated = 0;
+    for (const doc of legacy) {
+        const encryptedName = doc.encryption && doc.encryption.fileName;
+        const stat = await getStorage().stat(doc.filePath).catch(() => null);
+
+        const attachment = {
+            _id: new mongoose.Types.ObjectId(),
+            fileName: encryptedName || doc.fileName || 'attachment',
+            storageKey: doc.filePath,
+            size: stat ? stat.size : null,
+            mimeType: encryptedName ? 'application/octet-stream' : mimeTypeFor(doc.fileName),
+            downloadCount: doc.downloadCount || 0,
+            fileEncryption: doc.fileEncryption || null,
+            createdAt: doc.createdAt || new Date(),
+        };
+
+        const result = await Url.collection.updateOne(
+            { _id: doc._id, filePath: doc.filePath },
+            {
+                $push: { attachments: attachment },
+                $unset: { fileName: '', filePath: '', fileEncryption: '', 'encryption.fileName': '' },
+            }
+        );
+        migrated += result.modifiedCount;
+    }
+
+    // Text-only links created before attachments existed
+    await Url.collection.updateMany(
+        { attachments: { $exists: false } },
+        { $set: { attachments: [] }, $unset: { fileName: '', filePath: '', fileEncryption: '' } }
+    );
+
+    return migrated;
+};
+
+module.exports = {
+    attachmentFromUpload,
+    deleteAttachmentFiles,
+    isQuarantined,
+    recordQuarantine,
+    toPublicAttachment,
+    migrateLegacyAttachments,
+};
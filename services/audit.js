@@ -0,0 +1,43 @@
+const AccessEvent = require('../models/AccessEvent');
+const { countUsage } = require('./analytics');
+
+/**
+ * Record an access/audit event for the current request, and count it
+ * towards the link's usage analytics (see services/analytics.js).
+ * Fire-and-forget: failures are logged and never break the request. The
+ * returned promise never rejects; scripts await it before exiting.
+ *
+ * @param {object} req      Express request (source of IP, user agent, admin or API key)
+ * @param {string} type     One of AccessEvent.EVENT_TYPES
+ * @param {object} [opts]
+ * @param {object} [opts.url]      Url document (or { _id, shortId, serial, serialNumber })
+ * @param {object} [opts.details]  Event-specific extras
+ */
+const recordEvent = (req, type, { url = null, details } = {}) => {
+    const event = {
+        type,
+        url: url ? url._id : null,
+        shortId: url ? url.shortId : null,
+        serial: url ? url.serial : null,
+        serialNumber: url ? url.serialNumber : null,
+        ip: req.ip || '',
+        userAgent: (req.get('user-agent') || '').slice(0, 512),
+        details,
+    };
+
+    if (req.admin) {
+        event.admin = { id: req.admin.id, username: req.admin.username };
+    }
+    if (req.apiKey) {
+        event.apiKey = { id: req.apiKey.id, name: req.apiKey.name };
+    }
+
+    return Promise.all([
+        AccessEvent.create(event).catch((err) => {
+            console.error(`Error recording ${type} event:`, err);
+        }),
+        countUsage(type, url),
+    ]);
+};
+
+module.exports = { recordEvent };
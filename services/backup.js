@@ -0,0 +1,602 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const { promisify } = require('util');
+const mongoose = require('mongoose');
+const tar = require('tar-stream');
+const { nanoid } = require('nanoid');
+
+const Url = require('../models/Url');
+const Admin = require('../models/Admin');
+const AdminSession = require('../models/AdminSession');
+const { getStorage } = require('./storage');
+const { createFileEncryptor, createFileDecryptor } = require('./fileCrypto');
+const { deleteAttachmentFiles } = require('./attachments');
+const { createWithSerial, resyncCounters } = require('./serialNumbers');
+const { shortIdError } = require('./aliases');
+
+/**
+ * Backup and restore of links together with their files.
+ *
+ * A backup is one gzipped tar archive:
+ *   manifest.json               { format, version, createdAt, storage }
+ *   admins/<id>.json            Admin documents (MongoDB Extended JSON)
+ *   links/<id>.json             Url documents
+ *   links/<id>/<attachmentId>   The attachment's file, decrypted
+ *   index.json                  Counts, plus the size and SHA-256 of every
+ *                               file and the files missing from storage
+ * Files leave decrypted because the target usually has a FILE_MASTER_KEY
+ * of its own; restore encrypts them again under it.
+ *
+ * With a passphrase the whole archive is encrypted (AES-256-GCM under a
+ * key derived with scrypt) behind a short header: ENCRYPTED_MAGIC, salt and
+ * IV, with the GCM tag at the very end. Without one, the archive holds the
+ * admins' password hashes and 2FA secrets in the clear.
+ *
+ * Restore unpacks and checks the whole archive before it changes anything.
+ * Links colliding with existing ones on id, shortId or serial are skipped,
+ * replace the existing links (overwrite), or get a new shortId and serial
+ * as needed (renumber). Admins are matched on id and username; only
+ * overwrite replaces an existing admin.
+ */
+
+const BACKUP_FORMAT = 'short-url-backup';
+const BACKUP_VERSION = 1;
+const RESTORE_MODES = ['skip', 'overwrite', 'renumber'];
+
+const ENCRYPTED_MAGIC = Buffer.from('SUBACKUP');
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = ENCRYPTED_MAGIC.length + SALT_BYTES + IV_BYTES;
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+const MIN_PASSPHRASE_LENGTH = 12;
+const MAX_PASSPHRASE_LENGTH = 1024;
+
+// Documents are at most 16 MB as BSON; their JSON is somewhat larger
+const MAX_JSON_ENTRY_BYTES = 64 * 1024 * 1024;
+
+const FILE_ENTRY = /^links\/([0-9a-f]{24})\/([0-9a-f]{24})$/;
+const LINK_ENTRY = /^links\/([0-9a-f]{24})\.json$/;
+const ADMIN_ENTRY = /^admins\/([0-9a-f]{24})\.json$/;
+
+const { EJSON } = mongoose.mongo.BSON;
+const scrypt = promisify(crypto.scrypt);
+
+/**
+ * Error for an archive that cannot be restored; answered with 400.
+ */
+const backupError = (message) => Object.assign(new Error(message), { code: 'INVALID_BACKUP' });
+
+/**
+ * Check a backup passphrase.
+ * Returns an error message, or null when the passphrase is acceptable.
+ */
+const passphraseError = (passphrase) => {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+        return `Passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters.`;
+    }
+    if (passphrase.length > MAX_PASSPHRASE_LENGTH) {
+        return `Passphrase must not exceed ${MAX_PASSPHRASE_LENGTH} characters.`;
+    }
+    return null;
+};
+
+// ─── Archive encryption ──────────────────────────────────────────────
+
+const deriveKey = (passphrase, salt) => scrypt(passphrase, salt, 32, SCRYPT_OPTIONS);
+
+const createArchiveEncryptor = async (passphrase) => {
+    const salt = crypto.randomBytes(SALT_BYTES);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+    const header = Buffer.concat([ENCRYPTED_MAGIC, salt, iv]);
+    let started = false;
+
+    const start = (stream) => {
+        if (!started) stream.push(header);
+        started = true;
+    };
+
+    return new Transform({
+        transform(chunk, enc, cb) {
+            start(this);
+            cb(null, cipher.update(chunk));
+        },
+        flush(cb) {
+            start(this);
+            cb(null, Buffer.concat([cipher.final(), cipher.getAuthTag()]));
+        },
+    });
+};
+
+// Passes plain archives through and decrypts encrypted ones. The last
+// TAG_BYTES seen are held back: once the input ends they are the GCM tag.
+// `encrypted` tells which kind it turned out to be.
+const createArchiveDecoder = (passphrase) => {
+    let head = Buffer.alloc(0);
+    let decipher = null;
+    let plain = false;
+    let tail = Buffer.alloc(0);
+
+    const decrypt = (chunk) => {
+        const data = Buffer.concat([tail, chunk]);
+        tail = data.subarray(Math.max(0, data.length - TAG_BYTES));
+        return decipher.update(data.subarray(0, data.length - tail.length));
+    };
+
+    const decoder = new Transform({
+        transform(chunk, enc, cb) {
+            if (plain) return cb(null, chunk);
+            if (decipher) return cb(null, decrypt(chunk));
+
+            head = Buffer.concat([head, chunk]);
+            if (head.length < ENCRYPTED_MAGIC.length) return cb();
+            if (!head.subarray(0, ENCRYPTED_MAGIC.length).equals(ENCRYPTED_MAGIC)) {
+                plain = true;
+                return cb(null, head);
+            }
+
+            decoder.encrypted = true;
+            if (!passphrase) return cb(backupError('This backup is encrypted. Give its passphrase.'));
+            if (head.length < HEADER_BYTES) return cb();
+
+            const salt = head.subarray(ENCRYPTED_MAGIC.length, ENCRYPTED_MAGIC.length + SALT_BYTES);
+            const iv = head.subarray(ENCRYPTED_MAGIC.length + SALT_BYTES, HEADER_BYTES);
+            deriveKey(passphrase, salt).then((key) => {
+                decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+                cb(null, decrypt(head.subarray(HEADER_BYTES)));
+            }, cb);
+        },
+        flush(cb) {
+            if (plain) return cb();
+            if (!decipher) return cb(backupError('This is not a backup archive.'));
+            try {
+                decipher.setAuthTag(tail);
+                cb(null, decipher.final());
+            } catch (err) {
+                cb(backupError('Wrong passphrase, or the backup is damaged.'));
+            }
+        },
+    });
+    decoder.encrypted = false;
+    return decoder;
+};
+
+// Copies everything passing through into `hash`
+const hashing = (hash) => new Transform({
+    transform(chunk, enc, cb) {
+        hash.update(chunk);
+        cb(null, chunk);
+    },
+});
+
+// ─── Backup ──────────────────────────────────────────────────────────
+
+const addEntry = (pack, name, content) => new Promise((resolve, reject) => {
+    pack.entry({ name }, content, err => (err ? reject(err) : resolve()));
+});
+
+// One attachment's file, decrypted. Returns its index entry, or null when
+// the file is missing from storage.
+const addFile = async (pack, link, attachment) => {
+    const storage = getStorage();
+    const stat = await storage.stat(attachment.storageKey);
+    if (!stat) return null;
+
+    const name = `links/${link._id}/${attachment._id}`;
+    const hash = crypto.createHash('sha256');
+    const source = storage.getStream(attachment.storageKey);
+    const plaintext = attachment.fileEncryption ? [source, createFileDecryptor(attachment.fileEncryption)] : [source];
+
+    // The GCM ciphertext is exactly as long as the file it encrypts
+    await new Promise((resolve, reject) => {
+        const entry = pack.entry({ name, size: stat.size }, err => (err ? reject(err) : resolve()));
+        pipeline(...plaintext, hashing(hash), entry).catch(reject);
+    });
+    return { name, size: stat.size, sha256: hash.digest('hex') };
+};
+
+/**
+ * Write a backup of every link and admin, with the links' files, to the
+ * writable stream `output`, which is ended once the archive is complete.
+ * A passphrase encrypts the archive.
+ * Resolves with { links, admins, files, bytes, missing, encrypted };
+ * `missing` lists { linkId, shortId, attachmentId, storageKey } for files
+ * that were not in storage and so are not in the archive.
+ */
+const createBackup = async (output, { passphrase = null } = {}) => {
+    const pack = tar.pack();
+    const layers = [pack, zlib.createGzip()];
+    if (passphrase) layers.push(await createArchiveEncryptor(passphrase));
+    const written = pipeline(...layers, output);
+
+    // Stop adding entries as soon as the output fails (e.g. the client left)
+    const failed = written.then(() => new Promise(() => {}));
+    failed.catch(() => {});
+    const step = (promise) => Promise.race([promise, failed]);
+
+    const summary = { links: 0, admins: 0, files: 0, bytes: 0, missing: [], encrypted: Boolean(passphrase) };
+    const files = [];
+    try {
+        await step(addEntry(pack, 'manifest.json', JSON.stringify({
+            format: BACKUP_FORMAT,
+            version: BACKUP_VERSION,
+            createdAt: new Date(),
+            storage: getStorage().name,
+        })));
+
+        for await (const admin of Admin.collection.find()) {
+            await step(addEntry(pack, `admins/${admin._id}.json`, EJSON.stringify(admin)));
+            summary.admins++;
+        }
+
+        for await (const link of Url.collection.find()) {
+            await step(addEntry(pack, `links/${link._id}.json`, EJSON.stringify(link)));
+            summary.links++;
+
+            for (const attachment of link.attachments || []) {
+                const file = await step(addFile(pack, link, attachment));
+                if (file) {
+                    files.push(file);
+                    summary.files++;
+                    summary.bytes += file.size;
+                } else {
+                    summary.missing.push({
+                        linkId: link._id,
+                        shortId: link.shortId,
+                        attachmentId: attachment._id,
+                        storageKey: attachment.storageKey,
+                    });
+                }
+            }
+        }
+
+        await step(addEntry(pack, 'index.json', JSON.stringify({
+            links: summary.links,
+            admins: summary.admins,
+            files,
+            missing: summary.missing.map(m => `links/${m.linkId}/${m.attachmentId}`),
+        })));
+        pack.finalize();
+    } catch (err) {
+        pack.destroy(err);
+        await written.catch(() => {});
+        throw err;
+    }
+
+    await written;
+    return summary;
+};
+
+// ─── Restore: unpacking ──────────────────────────────────────────────
+
+const readJsonEntry = async (entry) => {
+    if (entry.header.size > MAX_JSON_ENTRY_BYTES) {
+        throw backupError(`${entry.header.name} is too large.`);
+    }
+    const chunks = [];
+    for await (const chunk of entry) chunks.push(chunk);
+    return Buffer.concat(chunks).toString('utf8');
+};
+
+// I/O errors are reported as they are; any other error while reading
+// means the archive itself is at fault
+const isIoError = (err) => Boolean(err.syscall) || ['ECONNRESET', 'ERR_STREAM_PREMATURE_CLOSE'].includes(err.code);
+
+// Unpack an archive into `dir`. Each file is encrypted under the current
+// master key as it is written, so no plaintext touches the disk.
+const readBackup = async (source, { passphrase, dir }) => {
+    const decoder = createArchiveDecoder(passphrase);
+    const extract = tar.extract();
+    const unpacked = pipeline(source, decoder, zlib.createGunzip(), extract);
+    unpacked.catch(() => {});
+
+    const backup = { manifest: null, index: null, admins: [], links: new Map() };
+    try {
+        for await (const entry of extract) {
+            const { name } = entry.header;
+            let match;
+
+            if (!backup.manifest) {
+                if (name !== 'manifest.json') throw backupError('This is not a backup archive.');
+                backup.manifest = JSON.parse(await readJsonEntry(entry));
+                checkManifest(backup.manifest);
+            } else if (backup.index) {
+                throw backupError('The backup has entries after its index.');
+            } else if (name === 'index.json') {
+                backup.index = JSON.parse(await readJsonEntry(entry));
+            } else if ((match = ADMIN_ENTRY.exec(name))) {
+                backup.admins.push(EJSON.parse(await readJsonEntry(entry)));
+            } else if ((match = LINK_ENTRY.exec(name))) {
+                backup.links.set(match[1], { doc: EJSON.parse(await readJsonEntry(entry)), files: new Map() });
+            } else if ((match = FILE_ENTRY.exec(name))) {
+                const link = backup.links.get(match[1]);
+                if (!link) throw backupError(`${name} comes before its link.`);
+
+                const filePath = path.join(dir, nanoid(16));
+                const hash = crypto.createHash('sha256');
+                const encryptor = createFileEncryptor();
+                await pipeline(entry, hashing(hash), encryptor.cipher, fs.createWriteStream(filePath));
+                link.files.set(match[2], {
+                    path: filePath,
+                    size: entry.header.size,
+                    sha256: hash.digest('hex'),
+                    encryption: encryptor.finish(),
+                });
+            } else {
+                throw backupError(`Unexpected entry ${name} in the backup.`);
+            }
+        }
+        await unpacked;
+    } catch (err) {
+        if (err.code === 'INVALID_BACKUP' || isIoError(err)) throw err;
+        throw backupError(decoder.encrypted
+            ? 'Wrong passphrase, or the backup is damaged.'
+            : 'The backup is damaged or is not a backup archive.');
+    }
+
+    if (!backup.manifest) throw backupError('This is not a backup archive.');
+    return backup;
+};
+
+const checkManifest = (manifest) => {
+    if (!manifest || manifest.format !== BACKUP_FORMAT || !Number.isInteger(manifest.version)) {
+        throw backupError('This is not a backup archive.');
+    }
+    if (manifest.version > BACKUP_VERSION) {
+        throw backupError(`This backup has format version ${manifest.version}; this server reads up to ${BACKUP_VERSION}.`);
+    }
+};
+
+// Compare the unpacked archive with its index and validate every document
+const checkBackup = (backup) => {
+    const { index } = backup;
+    if (!index || !Array.isArray(index.files) || !Array.isArray(index.missing)) {
+        throw backupError('The backup is incomplete: its index is missing.');
+    }
+    if (index.links !== backup.links.size || index.admins !== backup.admins.length) {
+        throw backupError('The backup is incomplete: it holds fewer documents than its index lists.');
+    }
+
+    const listed = new Set(index.missing);
+    for (const file of index.files) {
+        const match = FILE_ENTRY.exec(file.name) || [];
+        const link = backup.links.get(match[1]);
+        const unpacked = link && link.files.get(match[2]);
+        if (!unpacked) throw backupError(`The backup is incomplete: ${file.name} is missing.`);
+        if (unpacked.size !== file.size || unpacked.sha256 !== file.sha256) {
+            throw backupError(`${file.name} is damaged: its checksum does not match.`);
+        }
+        listed.add(file.name);
+    }
+
+    for (const [id, { doc, files }] of backup.links) {
+        const invalid = String(doc._id) === id && new Url(doc).validateSync();
+        if (String(doc._id) !== id || invalid) {
+            throw backupError(`Link ${doc.shortId || id} in the backup is invalid${invalid ? `: ${invalid.message}` : '.'}`);
+        }
+        // The schema does not constrain shortIds; new links get them from services/aliases.js
+        const badShortId = [doc.shortId, ...(doc.previousAliases || []).map(a => a && a.shortId)]
+            .map(shortIdError).find(Boolean);
+        if (badShortId) {
+            throw backupError(`Link ${id} in the backup has an invalid short ID: ${badShortId}`);
+        }
+        for (const attachment of doc.attachments || []) {
+            if (!listed.has(`links/${id}/${attachment._id}`)) {
+                throw backupError(`The backup is incomplete: a file of link ${doc.shortId} is missing.`);
+            }
+        }
+    }
+    const unpackedFiles = [...backup.links.values()].reduce((sum, link) => sum + link.files.size, 0);
+    if (unpackedFiles !== index.files.length) {
+        throw backupError('The backup holds files its index does not list.');
+    }
+
+    for (const doc of backup.admins) {
+        const invalid = new Admin(doc).validateSync();
+        if (invalid) throw backupError(`Admin ${doc.username} in the backup is invalid: ${invalid.message}`);
+    }
+};
+
+// ─── Restore: applying ───────────────────────────────────────────────
+
+// Existing links a restored link collides with: same id, shortId or serial
+const findConflicts = (doc) => {
+    const clauses = [{ _id: doc._id }, { shortId: doc.shortId }];
+    if (typeof doc.serial === 'string') clauses.push({ serial: doc.serial });
+    if (typeof doc.serialNumber === 'number') {
+        clauses.push({ serialSequence: doc.serialSequence || 'default', serialNumber: doc.serialNumber });
+    }
+    return Url.find({ $or: clauses }).select('shortId serial serialSequence serialNumber attachments.storageKey');
+};
+
+// Copy a link's unpacked files into storage under new keys and point its
+// attachments at them. Files missing from the backup stay flagged missing.
+// Returns the new keys.
+const storeFiles = async (link) => {
+    const storage = getStorage();
+    const stored = [];
+    try {
+        for (const attachment of link.doc.attachments || []) {
+            const file = link.files.get(String(attachment._id));
+            if (!file) {
+                attachment.missingAt = attachment.missingAt || new Date();
+                continue;
+            }
+            const key = `${nanoid(16)}${path.extname(attachment.storageKey).toLowerCase()}`;
+            await storage.put(key, fs.createReadStream(file.path));
+            stored.push(key);
+            Object.assign(attachment, {
+                storageKey: key,
+                size: file.size,
+                fileEncryption: file.encryption,
+                missingAt: null,
+            });
+        }
+        return stored;
+    } catch (err) {
+        await deleteAttachmentFiles(stored.map(key => ({ storageKey: key })));
+        throw err;
+    }
+};
+
+// Save a restored link with a new id, shortId and serial where they clash
+const saveRenumbered = (doc, conflicts) => {
+    const sequence = doc.serialSequence || 'default';
+    const fields = { ...doc };
+    if (conflicts.some(c => c._id.equals(doc._id))) fields._id = new mongoose.Types.ObjectId();
+    if (conflicts.some(c => c.shortId === doc.shortId)) fields.shortId = nanoid(8);
+
+    const serialTaken = conflicts.some(c =>
+        c.serial === doc.serial || (c.serialSequence === sequence && c.serialNumber === doc.serialNumber));
+    if (!serialTaken) {
+        return new Url(fields).save({ timestamps: false });
+    }
+    return createWithSerial(doc.label, serialFields => new Url({ ...fields, ...serialFields }), { timestamps: false });
+};
+
+// Replace the conflicting links with the restored one. Unique indexes leave
+// no way to swap the documents atomically, so the removed documents are kept
+// (raw, with every field) and put back if the restored link cannot be saved.
+const replaceLinks = async (conflicts, doc) => {
+    const ids = conflicts.map(c => c._id);
+    const removed = await Url.collection.find({ _id: { $in: ids } }).toArray();
+    await Url.deleteMany({ _id: { $in: ids } });
+    try {
+        await new Url(doc).save({ timestamps: false });
+    } catch (err) {
+        if (removed.length > 0) {
+            await Url.collection.insertMany(removed).catch((reinsertErr) => {
+                console.error('Error putting back links replaced by a failed restore:', reinsertErr);
+            });
+        }
+        throw err;
+    }
+};
+
+const restoreLink = async (link, { mode, dryRun }, report) => {
+    const { doc } = link;
+    const conflicts = await findConflicts(doc);
+    const outcome = conflicts.length === 0 ? 'restored' : { skip: 'skipped', overwrite: 'overwritten', renumber: 'renumbered' }[mode];
+    const conflict = conflicts.length > 0 && {
+        shortId: doc.shortId,
+        serial: doc.serial,
+        action: outcome,
+        conflictsWith: conflicts.map(c => c.shortId),
+    };
+
+    if (outcome === 'skipped' || dryRun) {
+        report.links[outcome]++;
+        if (conflict) report.conflicts.push(conflict);
+        return;
+    }
+
+    const stored = await storeFiles(link);
+    try {
+        if (outcome === 'renumbered') {
+            const urlDoc = await saveRenumbered(doc, conflicts);
+            Object.assign(conflict, { newShortId: urlDoc.shortId, newSerial: urlDoc.serial });
+        } else if (outcome === 'overwritten') {
+            await replaceLinks(conflicts, doc);
+            await deleteAttachmentFiles(conflicts.flatMap(c => c.attachments));
+        } else {
+            await new Url(doc).save({ timestamps: false });
+        }
+    } catch (err) {
+        await deleteAttachmentFiles(stored.map(key => ({ storageKey: key })));
+        throw err;
+    }
+
+    report.links[outcome]++;
+    report.files.restored += stored.length;
+    if (conflict) report.conflicts.push(conflict);
+};
+
+const restoreAdmin = async (doc, { mode, dryRun }, report) => {
+    const existing = await Admin.find({ $or: [{ _id: doc._id }, { username: doc.username }] }).select('_id');
+    if (existing.length > 0 && mode !== 'overwrite') {
+        report.admins.skipped++;
+        return;
+    }
+    if (!dryRun) {
+        if (existing.length > 0) {
+            const ids = existing.map(a => a._id);
+            await Admin.deleteMany({ _id: { $in: ids } });
+            await AdminSession.deleteMany({ admin: { $in: ids } });
+        }
+        await new Admin(doc).save({ timestamps: false });
+    }
+    report.admins[existing.length > 0 ? 'overwritten' : 'restored']++;
+};
+
+const applyBackup = async (backup, { mode, dryRun }) => {
+    const report = {
+        dryRun,
+        mode,
+        createdAt: backup.manifest.createdAt,
+        links: { total: backup.links.size, restored: 0, overwritten: 0, renumbered: 0, skipped: 0, failed: 0 },
+        admins: { total: backup.admins.length, restored: 0, overwritten: 0, skipped: 0 },
+        files: { restored: 0, missing: backup.index.missing.length },
+        conflicts: [],
+        errors: [],
+    };
+
+    for (const doc of backup.admins) {
+        await restoreAdmin(doc, { mode, dryRun }, report);
+    }
+
+    for (const link of backup.links.values()) {
+        try {
+            await restoreLink(link, { mode, dryRun }, report);
+        } catch (err) {
+            console.error(`Error restoring link ${link.doc.shortId}:`, err);
+            report.links.failed++;
+            report.errors.push({ shortId: link.doc.shortId, serial: link.doc.serial, error: err.message });
+        }
+    }
+
+    if (!dryRun) await resyncCounters();
+    return report;
+};
+
+/**
+ * Restore links, admins and files from a backup read from `source`.
+ * The whole archive is unpacked and checked first; an archive that cannot
+ * be restored rejects with an INVALID_BACKUP error before anything changes.
+ *
+ * @param {stream.Readable} source
+ * @param {object}  [opts]
+ * @param {string}  [opts.passphrase]  Passphrase of an encrypted backup
+ * @param {string}  [opts.mode]        On conflicts: skip (default), overwrite or renumber
+ * @param {boolean} [opts.dryRun]      Check the archive and report conflicts only
+ * @returns {Promise<object>} Report: { dryRun, mode, createdAt, links,
+ *   admins, files, conflicts, errors }. `links` and `admins` count each
+ *   outcome; `conflicts` lists { shortId, serial, action, conflictsWith,
+ *   newShortId, newSerial }; `errors` lists links that failed to restore.
+ */
+const restoreBackup = async (source, { passphrase = null, mode = 'skip', dryRun = false } = {}) => {
+    if (!RESTORE_MODES.includes(mode)) {
+        throw backupError(`Mode must be one of: ${RESTORE_MODES.join(', ')}.`);
+    }
+
+    const dir = await fs.promises.mkdtemp(path.join(os.tmpdir(), 'restore-'));
+    try {
+        const backup = await readBackup(source, { passphrase, dir });
+        checkBackup(backup);
+        return await applyBackup(backup, { mode, dryRun });
+    } finally {
+        await fs.promises.rm(dir, { recursive: true, force: true });
+    }
+};
+
+module.exports = {
+    createBackup,
+    restoreBackup,
+    passphraseError,
+    RESTORE_MODES,
+};
@@ -0,0 +1,109 @@
+const Url = require('../models/Url');
+
+/**
+ * Per-link brute-force protection for password verification.
+ *
+ * IP rate limits alone do not stop a distributed guesser, so failures are
+ * also counted on the link itself:
+ *  - attempts on one link are serialized (one bcrypt check in flight at a time)
+ *  - after BRUTE_FORCE_FREE_ATTEMPTS failures each further failure doubles
+ *    the wait before the next attempt (capped at one minute)
+ *  - after BRUTE_FORCE_MAX_ATTEMPTS failures the link is locked for
+ *    BRUTE_FORCE_LOCK_MINUTES, until an admin unlocks it or the lock lapses
+ * A successful verification resets everything.
+ */
+
+const FREE_ATTEMPTS = parseInt(process.env.BRUTE_FORCE_FREE_ATTEMPTS, 10) || 3;
+const MAX_ATTEMPTS = parseInt(process.env.BRUTE_FORCE_MAX_ATTEMPTS, 10) || 10;
+const LOCK_MS = (parseInt(process.env.BRUTE_FORCE_LOCK_MINUTES, 10) || 60) * 60 * 1000;
+const MAX_DELAY_MS = 60 * 1000;
+const IN_FLIGHT_MS = 5 * 1000; // Upper bound for one bcrypt check
+
+// Wait imposed after the nth consecutive failure
+const delayAfter = (failures) =>
+    failures <= FREE_ATTEMPTS ? 0 : Math.min(1000 * 2 ** (failures - FREE_ATTEMPTS), MAX_DELAY_MS);
+
+const secondsUntil = (date, now) => Math.max(1, Math.ceil((date - now) / 1000));
+
+/**
+ * Reserve the right to check one password against a link.
+ * Returns { ok: true } or { ok: false, status, error, retryAfter } where
+ * status is 423 while locked and 429 while a delay is pending.
+ */
+const claimAttempt = async (urlDoc) => {
+    const now = new Date();
+
+    const claimed = await Url.findOneAndUpdate(
+        {
+            _id: urlDoc._id,
+            $and: [
+                { $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+                { $or: [{ nextAttemptAt: null }, { nextAttemptAt: { $lte: now } }] },
+            ],
+        },
+        { $set: { nextAttemptAt: new Date(now.getTime() + IN_FLIGHT_MS) } },
+        { new: true }
+    ).select('_id');
+
+    if (claimed) return { ok: true };
+
+    const current = await Url.findById(urlDoc._id).select('lockedUntil nextAttemptAt');
+    if (current && current.lockedUntil && current.lockedUntil > now) {
+        return {
+            ok: false,
+            status: 423,
+            error: 'This link is temporarily locked after too many incorrect passwords.',
+            retryAfter: secondsUntil(current.lockedUntil, now),
+        };
+    }
+
+    return {
+        ok: false,
+        status: 429,
+        error: 'Too many attempts. Please wait before trying again.',
+        retryAfter: current && current.nextAttemptAt ? secondsUntil(current.nextAttemptAt, now) : 1,
+    };
+};
+
+/**
+ * Record a wrong password. Sets the next allowed attempt time and locks the
+ * link once MAX_ATTEMPTS is reached.
+ * Returns { locked, attemptsRemaining, failures, burst } — burst is true for
+ * the failure that first triggers a delay, i.e. when guessing starts.
+ */
+const recordFailure = async (urlDoc) => {
+    const now = new Date();
+
+    const updated = await Url.findByIdAndUpdate(
+        urlDoc._id,
+        { $inc: { failedAttempts: 1 }, $set: { lastFailedAt: now } },
+        { new: true }
+    ).select('failedAttempts');
+
+    const failures = updated ? updated.failedAttempts : 0;
+    const locked = failures >= MAX_ATTEMPTS;
+    const update = { nextAttemptAt: new Date(now.getTime() + delayAfter(failures)) };
+    if (locked) {
+        update.lockedUntil = new Date(now.getTime() + LOCK_MS);
+    }
+
+    await Url.updateOne({ _id: urlDoc._id }, { $set: update });
+
+    return {
+        locked,
+        attemptsRemaining: Math.max(MAX_ATTEMPTS - failures, 0),
+        failures,
+        burst: failures === FREE_ATTEMPTS + 1,
+    };
+};
+
+/**
+ * Clear failure tracking — after a correct password or an admin unlock.
+ */
+const resetAttempts = (id) =>
+    Url.updateOne(
+        { _id: id },
+        { $set: { failedAttempts: 0, nextAttemptAt: null, lockedUntil: null, lastFailedAt: null } }
+    );
+
+module.exports = { claimAttempt, recordFailure, resetAttempts };
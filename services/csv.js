@@ -0,0 +1,66 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing for link import/export.
+ * Fields may be quoted; quoted fields may contain commas, doubled quotes
+ * and line breaks. Rows end with LF or CRLF.
+ */
+
+/**
+ * Parse CSV text into an array of rows (arrays of strings).
+ * Blank lines are skipped. Throws on an unterminated quoted field.
+ */
+const parseCsv = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    const source = text.replace(/^\uFEFF/, ''); // Spreadsheet apps often add a BOM
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+
+        if (inQuotes) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+            continue;
+        }
+
+        if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            if (row.length > 1 || row[0] !== '') rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (inQuotes) throw new Error('Unterminated quoted field');
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    return rows;
+};
+
+/**
+ * Format one CSV line (with trailing CRLF).
+ * Values starting with = + - @ are prefixed with a quote so spreadsheet
+ * apps do not evaluate them as formulas.
+ */
+const toCsvLine = (values) => values.map((value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}).join(',') + '\r\n';
+
+module.exports = { parseCsv, toCsvLine };
@@ -0,0 +1,66 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+const DownloadClaim = require('../models/DownloadClaim');
+
+const DEFAULT_TTL = '15m';
+
+/**
+ * Signing key for download tokens.
+ * Derived from JWT_SECRET so a download token can never be replayed as an
+ * admin JWT (and vice versa), without introducing another secret to manage.
+ */
+const signingKey = () =>
+    crypto.createHmac('sha256', process.env.JWT_SECRET).update('download-token').digest();
+
+/**
+ * Issue a time-boxed download token bound to one shortId.
+ * Lifetime comes from DOWNLOAD_TOKEN_TTL (jsonwebtoken duration, default 15m)
+ * and is long enough for interrupted downloads to resume with Range requests.
+ * Each token has its own id (jti), which download claims are recorded under.
+ */
+const issueDownloadToken = (shortId) =>
+    jwt.sign({ purpose: 'download' }, signingKey(), {
+        subject: shortId,
+        jwtid: crypto.randomUUID(),
+        expiresIn: process.env.DOWNLOAD_TOKEN_TTL || DEFAULT_TTL,
+    });
+
+/**
+ * Check a download token against the shortId it is being used for.
+ * Returns { id, expiresAt } for an unexpired token issued for that exact
+ * link, otherwise null. Tokens issued before tokens had ids get id null.
+ */
+const verifyDownloadToken = (token, shortId) => {
+    try {
+        const decoded = jwt.verify(token, signingKey(), { subject: shortId });
+        if (decoded.purpose !== 'download') return null;
+        return { id: decoded.jti || null, expiresAt: new Date(decoded.exp * 1000) };
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * Remember that `attachmentId` was downloaded (and counted) with this token,
+ * so the transfer may be resumed with it until the token expires.
+ */
+const recordDownloadClaim = async (downloadToken, attachmentId) => {
+    if (!downloadToken.id) return;
+    await DownloadClaim.updateOne(
+        { tokenId: downloadToken.id, attachment: attachmentId },
+        { $setOnInsert: { expiresAt: downloadToken.expiresAt } },
+        { upsert: true }
+    );
+};
+
+/**
+ * Whether this token already made a counted download of `attachmentId`,
+ * i.e. whether a Range request with it resumes a claimed download.
+ */
+const hasDownloadClaim = async (downloadToken, attachmentId) => {
+    if (!downloadToken.id) return false;
+    return Boolean(await DownloadClaim.exists({ tokenId: downloadToken.id, attachment: attachmentId }));
+};
+
+module.exports = { issueDownloadToken, verifyDownloadToken, recordDownloadClaim, hasDownloadClaim };
@@ -0,0 +1,191 @@
+const crypto = require('crypto');
+const { Transform } = require('stream');
+
+/**
+ * Encryption at rest for uploaded files.
+ *
+ * Every file gets its own random 256-bit data key (DEK). The file is
+ * encrypted with AES-256-GCM under the DEK, and the DEK is wrapped
+ * (AES-256-GCM again) by the server master key from FILE_MASTER_KEY.
+ * Only the wrapped DEK, IV and auth tag are stored, on the Url document.
+ *
+ * GCM is CTR mode underneath, so a byte range can be decrypted on its own
+ * with AES-256-CTR — this is what keeps HTTP Range downloads working.
+ */
+
+const IV_BYTES = 12;
+const KEY_BYTES = 32;
+
+// ─── Master keys ─────────────────────────────────────────────────────
+function parseMasterKey(encoded, name) {
+    const key = Buffer.from(encoded, 'base64');
+    if (key.length !== KEY_BYTES) {
+        throw new Error(`${name} must be ${KEY_BYTES} bytes, base64-encoded.`);
+    }
+    return key;
+}
+
+// Short, non-secret identifier stored next to each wrapped key
+function keyIdFor(masterKey) {
+    return crypto.createHash('sha256').update(masterKey).digest('hex').slice(0, 16);
+}
+
+/**
+ * Master keys the server can unwrap with: the current FILE_MASTER_KEY plus
+ * an optional FILE_MASTER_KEY_PREVIOUS kept around during a rotation.
+ */
+function loadKeyring() {
+    if (!process.env.FILE_MASTER_KEY) {
+        throw new Error('FILE_MASTER_KEY is not set.');
+    }
+
+    const current = parseMasterKey(process.env.FILE_MASTER_KEY, 'FILE_MASTER_KEY');
+    const keyring = { currentId: keyIdFor(current), keys: { [keyIdFor(current)]: current } };
+
+    if (process.env.FILE_MASTER_KEY_PREVIOUS) {
+        const previous = parseMasterKey(process.env.FILE_MASTER_KEY_PREVIOUS, 'FILE_MASTER_KEY_PREVIOUS');
+        keyring.keys[keyIdFor(previous)] = previous;
+    }
+
+    return keyring;
+}
+
+// ─── Key wrapping ────────────────────────────────────────────────────
+/**
+ * Wrap a data key with the current master key.
+ * Returns { keyId, wrappedKey } where wrappedKey is base64(iv || tag || ciphertext).
+ */
+function wrapDataKey(dataKey, keyring = loadKeyring()) {
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', keyring.keys[keyring.currentId], iv);
+    const ciphertext = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+    return {
+        keyId: keyring.currentId,
+        wrappedKey: Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64'),
+    };
+}
+
+/**
+ * Recover a data key from its wrapped form.
+ * Throws if the master key that wrapped it is not in the keyring.
+ */
+function unwrapDataKey({ keyId, wrappedKey }, keyring = loadKeyring()) {
+    const masterKey = keyring.keys[keyId];
+    if (!masterKey) {
+        throw new Error(`Master key ${keyId} is not available.`);
+    }
+
+    const raw = Buffer.from(wrappedKey, 'base64');
+    const decipher = crypto.createDecipheriv('aes-256-gcm', masterKey, raw.subarray(0, IV_BYTES));
+    decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + 16));
+    return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + 16)), decipher.final()]);
+}
+
+// ─── File streams ────────────────────────────────────────────────────
+/**
+ * Start encrypting a new file.
+ * Returns the cipher stream plus finish(), which must be called after the
+ * stream has ended to obtain the metadata to store on the Url document.
+ */
+function createFileEncryptor() {
+    const dataKey = crypto.randomBytes(KEY_BYTES);
+    const iv = crypto.randomBytes(IV_BYTES);
+    const cipher = crypto.createCipheriv('aes-256-gcm', dataKey, iv);
+
+    const finish = () => ({
+        ...wrapDataKey(dataKey),
+        iv: iv.toString('base64'),
+        authTag: cipher.getAuthTag().toString('base64'),
+    });
+
+    return { cipher, finish };
+}
+
+/**
+ * Decrypting transform for a stored file.
+ * Without a range the whole file is decrypted and its GCM tag verified at
+ * the end (the stream errors on tampering). With { start } the returned
+ * stream expects ciphertext beginning at blockStart(start) and emits
+ * plaintext from `start`; partial ranges cannot be authenticated.
+ */
+function createFileDecryptor(meta, range) {
+    const dataKey = unwrapDataKey(meta);
+    const iv = Buffer.from(meta.iv, 'base64');
+
+    if (!range) {
+        const decipher = crypto.createDecipheriv('aes-256-gcm', dataKey, iv);
+        decipher.setAuthTag(Buffer.from(meta.authTag, 'base64'));
+        return decipher;
+    }
+
+    // GCM's first keystream block uses counter 2 (counter 1 encrypts the tag)
+    const block = Math.floor(range.start / 16);
+    const counter = Buffer.alloc(16);
+    iv.copy(counter, 0);
+    counter.writeUInt32BE((2 + block) >>> 0, 12);
+
+    const decipher = crypto.createDecipheriv('aes-256-ctr', dataKey, counter);
+
+    // Drop the bytes between the block boundary and the requested start
+    let skip = range.start % 16;
+    return new Transform({
+        transform(chunk, enc, cb) {
+            let out = decipher.update(chunk);
+            if (skip > 0) {
+                const dropped = Math.min(skip, out.length);
+                out = out.subarray(dropped);
+                skip -= dropped;
+            }
+            cb(null, out);
+        },
+        flush(cb) {
+            cb(null, decipher.final());
+        },
+    });
+}
+
+// ─── Upload staging ──────────────────────────────────────────────────
+/**
+ * New key for the chunks of a resumable upload while they are staged
+ * (see services/uploads.js). Returns { keyId, wrappedKey, iv } to store on
+ * the Upload document.
+ */
+function createStagingKey() {
+    return {
+        ...wrapDataKey(crypto.randomBytes(KEY_BYTES)),
+        iv: crypto.randomBytes(IV_BYTES).toString('base64'),
+    };
+}
+
+/**
+ * AES-256-CTR transform for the staged bytes of an upload starting at
+ * `offset`. CTR is its own inverse, so the same call encrypts a chunk as it
+ * arrives and decrypts it again when the upload is assembled. The 32-bit
+ * block counter covers uploads of up to 64 GB.
+ */
+function createStagingCipher(meta, offset) {
+    const counter = Buffer.alloc(16);
+    Buffer.from(meta.iv, 'base64').copy(counter, 0);
+    counter.writeUInt32BE(Math.floor(offset / 16) >>> 0, 12);
+
+    const cipher = crypto.createCipheriv('aes-256-ctr', unwrapDataKey(meta), counter);
+    // Use up the keystream before `offset` within its block
+    cipher.update(Buffer.alloc(offset % 16));
+    return cipher;
+}
+
+// First ciphertext byte to read when decrypting from `start`
+const blockStart = (start) => start - (start % 16);
+
+module.exports = {
+    loadKeyring,
+    keyIdFor,
+    wrapDataKey,
+    unwrapDataKey,
+    createFileEncryptor,
+    createFileDecryptor,
+    blockStart,
+    createStagingKey,
+    createStagingCipher,
+};
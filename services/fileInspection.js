@@ -0,0 +1,223 @@
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+
+const { getStorage } = require('./storage');
+const { createFileEncryptor, createFileDecryptor, blockStart } = require('./fileCrypto');
+const { createMetadataStripper } = require('./imageMetadata');
+const { inspectZip, ZipRejection } = require('./zipInspection');
+const { scanFile } = require('./fileScanner');
+
+/**
+ * Content checks for uploaded files, shared by multipart uploads
+ * (middleware/upload.js) and resumable uploads (services/uploads.js).
+ *
+ * On the way into storage the first bytes are sniffed and must match the
+ * file's extension, so a renamed executable is refused, and JPEG / PNG
+ * metadata is stripped (services/imageMetadata.js). Once stored, zip-based
+ * files are checked for archive bombs (services/zipInspection.js) and the
+ * configured malware scanner runs (services/fileScanner.js). An infected
+ * file is kept but quarantined: it cannot be downloaded and its link is
+ * flagged in the dashboard.
+ *
+ * End-to-end encrypted uploads are ciphertext and skip all of this.
+ */
+
+const SNIFF_BYTES = 4096;
+const PDF_HEADER_WINDOW = 1024; // Readers accept junk before %PDF-
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]);
+const DOCX_TYPE = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+const XLSX_TYPE = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+// What sniffing must find for each of ALLOWED_EXTENSIONS
+const EXPECTED_TYPES = {
+    '.pdf': 'application/pdf',
+    '.png': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.gif': 'image/gif',
+    '.zip': 'application/zip',
+    '.docx': 'application/zip',
+    '.xlsx': 'application/zip',
+    '.txt': 'text/plain',
+    '.csv': 'text/plain',
+};
+
+const STRIPPED_FORMATS = { '.jpg': 'jpeg', '.jpeg': 'jpeg', '.png': 'png' };
+const ZIP_EXTENSIONS = ['.zip', '.docx', '.xlsx'];
+
+/**
+ * Error for an upload whose content is refused; answered with 400.
+ */
+const invalidFileError = (message) => Object.assign(new Error(message), { code: 'INVALID_FILE_CONTENT' });
+
+// Text has no NUL bytes, unless it is UTF-16 with a byte order mark
+const looksLikeText = (head) =>
+    (head[0] === 0xFF && head[1] === 0xFE) || (head[0] === 0xFE && head[1] === 0xFF) || !head.includes(0);
+
+/**
+ * MIME type of a file judged by its first bytes.
+ */
+const sniffType = (head) => {
+    if (head.subarray(0, 8).equals(PNG_SIGNATURE)) return 'image/png';
+    if (head[0] === 0xFF && head[1] === 0xD8 && head[2] === 0xFF) return 'image/jpeg';
+    if (/^GIF8[79]a/.test(head.toString('latin1', 0, 6))) return 'image/gif';
+    if (/^PK(\x03\x04|\x05\x06)/.test(head.toString('latin1', 0, 4))) return 'application/zip';
+    if (head.subarray(0, PDF_HEADER_WINDOW).includes('%PDF-')) return 'application/pdf';
+    if (looksLikeText(head)) return 'text/plain';
+    return 'application/octet-stream';
+};
+
+/**
+ * Transform that checks a file's first bytes against its extension and
+ * strips image metadata. After the stream ends, `detectedMimeType` holds
+ * the sniffed type.
+ */
+const createInspector = (fileName) => {
+    const ext = path.extname(fileName).toLowerCase();
+    let head = [];
+    let headBytes = 0;
+    let stripper = null;
+
+    const emit = (inspector, buf) => {
+        for (const out of stripper ? stripper.feed(buf) : [buf]) {
+            inspector.push(out);
+        }
+    };
+
+    // Sniff once enough bytes (or the whole file) have arrived
+    const check = (inspector) => {
+        const buf = Buffer.concat(head);
+        head = null;
+        inspector.detectedMimeType = sniffType(buf);
+        if (inspector.detectedMimeType !== EXPECTED_TYPES[ext]) {
+            throw invalidFileError(`File type '${ext}' does not match the content of ${path.basename(fileName)}.`);
+        }
+        if (STRIPPED_FORMATS[ext]) {
+            stripper = createMetadataStripper(STRIPPED_FORMATS[ext]);
+        }
+        emit(inspector, buf);
+    };
+
+    const inspector = new Transform({
+        transform(chunk, enc, cb) {
+            try {
+                if (head) {
+                    head.push(chunk);
+                    headBytes += chunk.length;
+                    if (headBytes >= SNIFF_BYTES) check(this);
+                } else {
+                    emit(this, chunk);
+                }
+                cb();
+            } catch (err) {
+                cb(err);
+            }
+        },
+        flush(cb) {
+            try {
+                if (head) check(this);
+                if (stripper) stripper.end().forEach(buf => this.push(buf));
+                cb();
+            } catch (err) {
+                cb(err);
+            }
+        },
+    });
+    inspector.detectedMimeType = null;
+    return inspector;
+};
+
+// Decrypted bytes start..end (inclusive) of a stored file
+const readStoredRange = (key, encryption) => async (start, end) => {
+    const stream = encryption
+        ? pipeline(
+            getStorage().getStream(key, { start: blockStart(start), end }),
+            createFileDecryptor(encryption, { start }),
+            () => {}
+        )
+        : getStorage().getStream(key, { start, end });
+
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+// Office documents are zip archives with a known layout
+const officeTypeOf = (names) => {
+    if (!names.includes('[Content_Types].xml')) return null;
+    if (names.includes('word/document.xml')) return DOCX_TYPE;
+    if (names.includes('xl/workbook.xml')) return XLSX_TYPE;
+    return null;
+};
+
+// Checks that need the whole stored file: archive bombs, then malware
+const inspectStoredFile = async ({ key, encryption, size, fileName, detectedMimeType }) => {
+    const ext = path.extname(fileName).toLowerCase();
+    let type = detectedMimeType;
+
+    if (ZIP_EXTENSIONS.includes(ext)) {
+        let archive;
+        try {
+            archive = await inspectZip(readStoredRange(key, encryption), size);
+        } catch (err) {
+            if (err instanceof ZipRejection) {
+                throw invalidFileError(`Archive ${path.basename(fileName)} was rejected: ${err.message}.`);
+            }
+            throw err;
+        }
+
+        type = officeTypeOf(archive.names) || type;
+        if ((ext === '.docx' && type !== DOCX_TYPE) || (ext === '.xlsx' && type !== XLSX_TYPE)) {
+            throw invalidFileError(`File type '${ext}' does not match the content of ${path.basename(fileName)}.`);
+        }
+    }
+
+    const scan = await scanFile(() => (encryption
+        ? pipeline(getStorage().getStream(key), createFileDecryptor(encryption), () => {})
+        : getStorage().getStream(key)));
+
+    return { detectedMimeType: type, scan };
+};
+
+/**
+ * Encrypt `source` into storage under `key`, inspecting it on the way in
+ * and once stored. End-to-end encrypted uploads (`encrypted`) are stored
+ * without inspection.
+ * Resolves with { size, encryption, detectedMimeType, scan }. Rejects with
+ * an INVALID_FILE_CONTENT error for refused content; nothing is left in
+ * storage when it rejects.
+ */
+const storeInspectedFile = async (key, source, { fileName, encrypted }) => {
+    const storage = getStorage();
+    const encryptor = createFileEncryptor();
+    const inspector = encrypted ? null : createInspector(fileName);
+    const plaintext = inspector ? pipeline(source, inspector, () => {}) : source;
+
+    let size = 0;
+    plaintext.on('data', (chunk) => { size += chunk.length; });
+
+    try {
+        await storage.put(key, pipeline(plaintext, encryptor.cipher, () => {}));
+        const stored = { size, encryption: encryptor.finish(), detectedMimeType: null, scan: null };
+        if (inspector) {
+            Object.assign(stored, await inspectStoredFile({
+                key,
+                encryption: stored.encryption,
+                size,
+                fileName,
+                detectedMimeType: inspector.detectedMimeType,
+            }));
+        }
+        return stored;
+    } catch (err) {
+        await storage.delete(key).catch(() => {});
+        throw err;
+    }
+};
+
+module.exports = {
+    sniffType,
+    createInspector,
+    storeInspectedFile,
+};
@@ -0,0 +1,124 @@
+const net = require('net');
+const { once } = require('events');
+
+/**
+ * Pluggable malware scanning of uploaded files.
+ *
+ * FILE_SCANNER chooses the scanner (default: none). Built in:
+ *  - clamav: clamd's INSTREAM command, over the Unix socket in
+ *    CLAMAV_SOCKET or TCP to CLAMAV_HOST:CLAMAV_PORT (default
+ *    localhost:3310). scripts/fakeClamd.js stands in for a local daemon.
+ *
+ * More can be added with registerScanner(). A scanner is an async function
+ * taking a readable stream of the plaintext file and resolving with
+ * { infected, signature }; throwing means the file could not be scanned.
+ */
+
+const DEFAULT_CLAMAV_PORT = 3310;
+const DEFAULT_TIMEOUT_MS = 60 * 1000;
+
+// ─── ClamAV ──────────────────────────────────────────────────────────
+const connectClamd = () =>
+    (process.env.CLAMAV_SOCKET
+        ? net.createConnection(process.env.CLAMAV_SOCKET)
+        : net.createConnection(
+            parseInt(process.env.CLAMAV_PORT, 10) || DEFAULT_CLAMAV_PORT,
+            process.env.CLAMAV_HOST || 'localhost'
+        ));
+
+// Stream the file as length-prefixed chunks, then a zero-length chunk
+async function sendInstream(socket, stream) {
+    socket.write('zINSTREAM\0');
+    for await (const chunk of stream) {
+        const header = Buffer.alloc(4);
+        header.writeUInt32BE(chunk.length);
+        socket.write(header);
+        if (!socket.write(chunk)) {
+            await once(socket, 'drain');
+        }
+    }
+    socket.end(Buffer.alloc(4));
+}
+
+const clamavScan = (stream) => new Promise((resolve, reject) => {
+    const socket = connectClamd();
+    const timeoutMs = parseInt(process.env.CLAMAV_TIMEOUT_MS, 10) || DEFAULT_TIMEOUT_MS;
+    let reply = '';
+
+    socket.setTimeout(timeoutMs, () => socket.destroy(new Error('clamd timed out')));
+    socket.on('data', (data) => { reply += data.toString('utf8'); });
+    socket.on('error', reject);
+    stream.on('error', err => socket.destroy(err));
+
+    socket.on('connect', () => {
+        sendInstream(socket, stream).catch(err => socket.destroy(err));
+    });
+
+    // Replies look like "stream: OK" or "stream: Eicar-Signature FOUND"
+    socket.on('close', () => {
+        stream.destroy();
+        const text = reply.replace(/\0/g, '').trim();
+        const found = /^stream: (.+) FOUND$/.exec(text);
+        if (found) {
+            resolve({ infected: true, signature: found[1] });
+        } else if (text === 'stream: OK') {
+            resolve({ infected: false, signature: null });
+        } else {
+            reject(new Error(`Unexpected clamd reply: ${text || '(none)'}`));
+        }
+    });
+});
+
+// ─── Registry ────────────────────────────────────────────────────────
+const scanners = {
+    clamav: clamavScan,
+};
+
+/**
+ * Make a scanner available under FILE_SCANNER=<name>.
+ */
+const registerScanner = (name, scan) => {
+    scanners[name] = scan;
+};
+
+const scannerName = () => process.env.FILE_SCANNER || 'none';
+
+/**
+ * Check FILE_SCANNER at startup. Throws on an unknown scanner.
+ */
+const loadScannerConfig = () => {
+    const name = scannerName();
+    if (name !== 'none' && !scanners[name]) {
+        throw new Error(`Unknown FILE_SCANNER '${name}'. Use ${['none', ...Object.keys(scanners)].join(', ')}.`);
+    }
+    return name;
+};
+
+/**
+ * Scan one file with the configured scanner. `openStream` is called at most
+ * once, for a fresh stream of the plaintext.
+ * Resolves with { status: 'clean' | 'infected' | 'error', signature,
+ * scannedAt }, or null when scanning is off. Scanner failures are logged and
+ * reported as 'error' rather than thrown, so uploads keep working while the
+ * scanner is down.
+ */
+const scanFile = async (openStream) => {
+    const name = scannerName();
+    if (name === 'none') return null;
+
+    const stream = openStream();
+    try {
+        const result = await scanners[name](stream);
+        return {
+            status: result.infected ? 'infected' : 'clean',
+            signature: result.infected ? String(result.signature || 'unknown').slice(0, 200) : null,
+            scannedAt: new Date(),
+        };
+    } catch (err) {
+        stream.destroy();
+        console.error(`File scanner (${name}) error:`, err);
+        return { status: 'error', signature: null, scannedAt: new Date() };
+    }
+};
+
+module.exports = { registerScanner, loadScannerConfig, scanFile };
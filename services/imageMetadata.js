@@ -0,0 +1,111 @@
+/**
+ * Streaming removal of identifying metadata from JPEG and PNG files.
+ *
+ * Both formats are a sequence of length-prefixed blocks, so the stripper
+ * only buffers a block header at a time and never the image itself:
+ *  - JPEG: APP1 (EXIF, including GPS, and XMP), APP13 (IPTC) and COM
+ *    segments before the image data are dropped. Note that this also drops
+ *    the EXIF orientation tag.
+ *  - PNG: eXIf, tEXt, zTXt, iTXt (XMP) and tIME chunks are dropped.
+ * Everything else, including colour profiles, passes through unchanged.
+ * Malformed input is passed through from the point where parsing stops.
+ */
+
+const JPEG_DROPPED_MARKERS = new Set([0xE1, 0xED, 0xFE]);
+const JPEG_START_OF_SCAN = 0xDA;
+// Markers without a length field: TEM, RST0–7, SOI, EOI
+const JPEG_STANDALONE_MARKERS = new Set([0x01, 0xD0, 0xD1, 0xD2, 0xD3, 0xD4, 0xD5, 0xD6, 0xD7, 0xD8, 0xD9]);
+
+const PNG_SIGNATURE_BYTES = 8;
+const PNG_DROPPED_CHUNKS = new Set(['eXIf', 'tEXt', 'zTXt', 'iTXt', 'tIME']);
+
+const EMPTY = Buffer.alloc(0);
+
+// Next block of a JPEG: { keep: n } or { drop: n }; null when more bytes
+// are needed; { rest: true } once the image data starts
+function nextJpegBlock(buf, atStart) {
+    if (atStart) return buf.length >= 2 ? { keep: 2 } : null;
+    if (buf.length < 2) return null;
+    if (buf[0] !== 0xFF) return { rest: true };
+    if (buf[1] === 0xFF) return { keep: 1 }; // Fill byte
+
+    const marker = buf[1];
+    if (marker === JPEG_START_OF_SCAN) return { rest: true };
+    if (JPEG_STANDALONE_MARKERS.has(marker)) return { keep: 2 };
+    if (buf.length < 4) return null;
+
+    const length = buf.readUInt16BE(2);
+    if (length < 2) return { rest: true };
+    return JPEG_DROPPED_MARKERS.has(marker) ? { drop: length + 2 } : { keep: length + 2 };
+}
+
+// Next block of a PNG, same contract as nextJpegBlock
+function nextPngBlock(buf, atStart) {
+    if (atStart) return buf.length >= PNG_SIGNATURE_BYTES ? { keep: PNG_SIGNATURE_BYTES } : null;
+    if (buf.length < 8) return null;
+
+    const total = buf.readUInt32BE(0) + 12; // length, type, data, CRC
+    const type = buf.toString('latin1', 4, 8);
+    if (type === 'IEND') return { rest: true };
+    return PNG_DROPPED_CHUNKS.has(type) ? { drop: total } : { keep: total };
+}
+
+/**
+ * Stripper for one file. feed() takes the next piece of the file and
+ * returns the buffers to pass on; end() returns whatever is still held.
+ *
+ * @param {'jpeg'|'png'} format
+ */
+function createMetadataStripper(format) {
+    const nextBlock = format === 'png' ? nextPngBlock : nextJpegBlock;
+    let pending = EMPTY;
+    let atStart = true;
+    let passAll = false;
+    let keep = 0;
+    let drop = 0;
+
+    return {
+        feed(chunk) {
+            if (passAll) return [chunk];
+
+            let buf = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+            const out = [];
+            while (buf.length > 0) {
+                if (keep > 0 || drop > 0) {
+                    const n = Math.min(keep || drop, buf.length);
+                    if (keep > 0) {
+                        out.push(buf.subarray(0, n));
+                        keep -= n;
+                    } else {
+                        drop -= n;
+                    }
+                    buf = buf.subarray(n);
+                    continue;
+                }
+
+                const block = nextBlock(buf, atStart);
+                if (!block) break;
+                atStart = false;
+                if (block.rest) {
+                    passAll = true;
+                    out.push(buf);
+                    buf = EMPTY;
+                } else if (block.keep) {
+                    keep = block.keep;
+                } else {
+                    drop = block.drop;
+                }
+            }
+            pending = buf;
+            return out;
+        },
+
+        end() {
+            const rest = pending;
+            pending = EMPTY;
+            return rest.length > 0 ? [rest] : [];
+        },
+    };
+}
+
+module.exports = { createMetadataStripper };
@@ -0,0 +1,74 @@
+const { normalizeSerial } = require('./serialNumbers');
+
+/**
+ * Query building for the admin link list and everything that works on the
+ * same filtered set (stats, export).
+ */
+
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+const SORT_FIELDS = ['createdAt', 'serialNumber', 'label', 'downloadCount'];
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Build a Url query from the dashboard's list filters.
+ * Supports q (label text, or an exact serial), serialFrom /
+ * serialTo, hasFile (true/false; quarantined for links with a file the
+ * malware scanner flagged; missing for links whose stored file is gone),
+ * createdFrom / createdTo (dates), sort
+ * (one of SORT_FIELDS), order (asc/desc), page and limit.
+ * Returns { error } on invalid input, otherwise { filter, sort, page, limit }.
+ */
+const buildUrlQuery = (query) => {
+    const filter = {};
+
+    const text = query.q ? String(query.q).trim() : '';
+    if (text) {
+        filter.$or = [
+            { label: { $regex: escapeRegex(text), $options: 'i' } },
+            { serial: normalizeSerial(text) },
+        ];
+    }
+
+    for (const [param, op] of [['serialFrom', '$gte'], ['serialTo', '$lte']]) {
+        if (!query[param]) continue;
+        const serial = parseInt(query[param], 10);
+        if (isNaN(serial)) return { error: `'${param}' must be a number.` };
+        filter.serialNumber = { ...filter.serialNumber, [op]: serial };
+    }
+
+    if (query.hasFile === 'true' || query.hasFile === 'false') {
+        filter['attachments.0'] = { $exists: query.hasFile === 'true' };
+    } else if (query.hasFile === 'quarantined') {
+        filter['attachments.scan.status'] = 'infected';
+    } else if (query.hasFile === 'missing') {
+        filter['attachments.missingAt'] = { $ne: null };
+    } else if (query.hasFile) {
+        return { error: "'hasFile' must be true, false, quarantined or missing." };
+    }
+
+    for (const [param, op] of [['createdFrom', '$gte'], ['createdTo', '$lte']]) {
+        if (!query[param]) continue;
+        const date = new Date(query[param]);
+        if (isNaN(date.getTime())) return { error: `'${param}' must be a valid date.` };
+        filter.createdAt = { ...filter.createdAt, [op]: date };
+    }
+
+    const field = query.sort || 'createdAt';
+    if (!SORT_FIELDS.includes(field)) {
+        return { error: `'sort' must be one of: ${SORT_FIELDS.join(', ')}.` };
+    }
+    if (query.order && !['asc', 'desc'].includes(query.order)) {
+        return { error: "'order' must be asc or desc." };
+    }
+    const direction = query.order === 'asc' ? 1 : -1;
+    // _id breaks ties so pages never overlap or skip links
+    const sort = { [field]: direction, _id: direction };
+
+    const page = Math.max(parseInt(query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    return { filter, sort, page, limit };
+};
+
+module.exports = { buildUrlQuery, SORT_FIELDS, DEFAULT_LIMIT, MAX_LIMIT };
@@ -0,0 +1,53 @@
+const Url = require('../models/Url');
+const { deleteAttachmentFiles } = require('./attachments');
+const { sweepExpiredUploads } = require('./uploads');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000; // 1 minute
+
+/**
+ * Purge every spent link (expired, or out of views with nothing left to
+ * download) together with its uploaded files.
+ * Returns the number of links removed.
+ */
+const sweepSpentLinks = async () => {
+    const spent = await Url.find(Url.spentFilter()).select('_id attachments.storageKey');
+
+    for (const urlDoc of spent) {
+        await Url.findByIdAndDelete(urlDoc._id);
+        await deleteAttachmentFiles(urlDoc.attachments);
+    }
+
+    return spent.length;
+};
+
+/**
+ * Run sweepSpentLinks, and sweepExpiredUploads for abandoned resumable
+ * uploads, on a fixed interval.
+ * Interval comes from SWEEP_INTERVAL_MS (defaults to one minute).
+ * Returns the timer so callers can stop it.
+ */
+const startLinkSweeper = () => {
+    const intervalMs = parseInt(process.env.SWEEP_INTERVAL_MS, 10) || DEFAULT_INTERVAL_MS;
+
+    const run = async () => {
+        try {
+            const removed = await sweepSpentLinks();
+            if (removed > 0) {
+                console.log(`🧹 Swept ${removed} expired/exhausted link(s)`);
+            }
+            const abandoned = await sweepExpiredUploads();
+            if (abandoned > 0) {
+                console.log(`🧹 Swept ${abandoned} abandoned upload(s)`);
+            }
+        } catch (err) {
+            console.error('Link sweeper error:', err);
+        }
+    };
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    run();
+    return timer;
+};
+
+module.exports = { sweepSpentLinks, startLinkSweeper };
@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const { nanoid } = require('nanoid');
+
+const Url = require('../models/Url');
+const { parseLifetimeInput, parseContentTypeInput, MAX_ATTACHMENTS } = require('../middleware/validate');
+const { attachmentFromUpload, deleteAttachmentFiles, recordQuarantine } = require('./attachments');
+const { createWithSerial } = require('./serialNumbers');
+const { aliasError, isAliasTaken, redirectDays, renameAlias, MAX_REDIRECT_DAYS } = require('./aliases');
+const { recordEvent } = require('./audit');
+const { emitWebhook } = require('./webhooks');
+
+/**
+ * Link creation, editing and deletion shared by the dashboard routes, the
+ * public shorten route and the REST API (routes/apiV1.js), so all of them
+ * validate, audit and notify webhooks the same way.
+ *
+ * Rejected input throws an Error with code INVALID_LINK_INPUT (400) or
+ * ALIAS_TAKEN (409).
+ */
+
+const inputError = (message, code = 'INVALID_LINK_INPUT') => Object.assign(new Error(message), { code });
+
+// Lost a race for the same alias
+const isAliasRace = (err) => err.code === 11000 && err.keyPattern && err.keyPattern.shortId;
+
+// Form fields arrive as strings, JSON bodies as booleans
+const isTrue = (value) => value === true || value === 'true';
+
+// Parse the attachment ids to remove from an edit.
+// Accepts an array, a JSON array or a comma-separated list. Returns null if malformed.
+const parseAttachmentIds = (raw) => {
+    if (raw === undefined || raw === '') return [];
+
+    let ids = raw;
+    if (typeof raw === 'string') {
+        ids = raw.trim().startsWith('[') ? safeJsonParse(raw) : raw.split(',');
+    }
+    if (!Array.isArray(ids)) return null;
+
+    ids = ids.map(id => String(id).trim()).filter(Boolean);
+    return ids.every(id => mongoose.isValidObjectId(id)) ? ids : null;
+};
+
+const safeJsonParse = (raw) => {
+    try {
+        return JSON.parse(raw);
+    } catch (err) {
+        return null;
+    }
+};
+
+/**
+ * A link as returned to API clients and the dashboard: without the
+ * password hash or file encryption metadata.
+ */
+const toPublicLink = (urlDoc) => {
+    const result = urlDoc.toObject();
+    delete result.passwordHash;
+    result.attachments.forEach(a => delete a.fileEncryption);
+    return result;
+};
+
+/**
+ * Create a link from a request that passed validateShortenInput, with the
+ * uploaded files in req.files. Records link_create (admin_create for a
+ * dashboard session) and emits link.created.
+ *
+ * @param {object} req  Express request
+ * @returns {Promise<object>} The saved Url document
+ */
+const createLink = async (req) => {
+    const {
+        password, textContent, contentType, codeLanguage, label, alias,
+        expiresAt, maxViews, maxDownloads, encryption, encryptedFileNames,
+    } = req.body;
+
+    if (alias && await isAliasTaken(alias)) {
+        throw inputError('That alias is already taken.', 'ALIAS_TAKEN');
+    }
+
+    const passwordHash = await bcrypt.hash(password, 12);
+    const shortId = alias || nanoid(8);
+
+    let urlDoc;
+    try {
+        urlDoc = await createWithSerial(label, serialFields => new Url({
+            ...serialFields,
+            shortId,
+            passwordHash,
+            textContent,
+            contentType,
+            codeLanguage,
+            label: label || '',
+            attachments: req.files.map((file, i) =>
+                attachmentFromUpload(file, encryption ? encryptedFileNames[i] : null)),
+            expiresAt,
+            maxViews,
+            maxDownloads,
+            encryption: encryption || null,
+        }));
+    } catch (err) {
+        if (isAliasRace(err)) throw inputError('That alias is already taken.', 'ALIAS_TAKEN');
+        throw err;
+    }
+
+    recordEvent(req, req.admin ? 'admin_create' : 'link_create', { url: urlDoc });
+    emitWebhook(req, 'link.created', { url: urlDoc });
+    recordQuarantine(req, urlDoc, req.files);
+    return urlDoc;
+};
+
+/**
+ * Apply an edit to a link loaded with +attachments.fileEncryption.
+ * Body fields: label, textContent, contentType / codeLanguage, lifetime
+ * limits, alias (with keepOldAlias and redirectDays), removeAttachments
+ * and deleteFile; new files come from req.files. Records admin_update and
+ * emits link.updated.
+ *
+ * @param {object} req     Express request
+ * @param {object} urlDoc  The link to edit
+ * @returns {Promise<object>} The saved Url document
+ */
+const updateLink = async (req, urlDoc) => {
+    const body = req.body || {};
+    const { label, textContent } = body;
+    const files = req.files || [];
+
+    // Update label
+    if (label !== undefined) {
+        if (typeof label !== 'string' || label.length > 100) {
+            throw inputError('Label must be a string of 100 characters or fewer.');
+        }
+        urlDoc.label = label.trim();
+    }
+
+    // Rename the alias
+    const previousShortId = urlDoc.shortId;
+    const { alias } = body;
+    if (alias !== undefined && alias !== urlDoc.shortId) {
+        const problem = aliasError(alias);
+        if (problem) {
+            throw inputError(problem);
+        }
+        if (await isAliasTaken(alias, urlDoc._id)) {
+            throw inputError('That alias is already taken.', 'ALIAS_TAKEN');
+        }
+
+        let keepDays = null;
+        if (isTrue(body.keepOldAlias)) {
+            keepDays = redirectDays(body.redirectDays);
+            if (keepDays === null) {
+                throw inputError(`Redirect period must be 1–${MAX_REDIRECT_DAYS} days.`);
+            }
+        }
+        renameAlias(urlDoc, alias, keepDays);
+    }
+
+    // End-to-end encrypted content can only be produced by someone holding
+    // the password, so the server must not overwrite it with plaintext
+    if (urlDoc.encryption) {
+        if (textContent !== undefined && textContent !== urlDoc.textContent) {
+            throw inputError('Text content of an end-to-end encrypted link cannot be edited.');
+        }
+        if (files.length > 0) {
+            throw inputError('Attachments on an end-to-end encrypted link can only be removed, not added.');
+        }
+    }
+
+    // Update text content
+    if (textContent !== undefined && !urlDoc.encryption) {
+        if (typeof textContent !== 'string' || textContent.trim().length === 0 || textContent.length > 10000) {
+            throw inputError('Text content must be 1–10,000 characters.');
+        }
+        urlDoc.textContent = textContent.trim();
+    }
+
+    // Update how the text is rendered (metadata, so allowed on encrypted links too)
+    const rendering = parseContentTypeInput(body);
+    if (rendering.error) {
+        throw inputError(rendering.error);
+    }
+    Object.assign(urlDoc, rendering.values);
+
+    // Update expiry / view / download limits (empty string clears a limit)
+    const lifetime = parseLifetimeInput(body);
+    if (lifetime.error) {
+        throw inputError(lifetime.error);
+    }
+    Object.assign(urlDoc, lifetime.values);
+
+    // Work out which attachments go away
+    const removeIds = isTrue(body.deleteFile)
+        ? urlDoc.attachments.map(a => String(a._id))
+        : parseAttachmentIds(body.removeAttachments);
+    if (removeIds === null) {
+        throw inputError('removeAttachments must list attachment ids.');
+    }
+    const removed = urlDoc.attachments.filter(a => removeIds.includes(String(a._id)));
+    if (removed.length !== new Set(removeIds).size) {
+        throw inputError('One or more attachments to remove do not belong to this link.');
+    }
+
+    if (urlDoc.attachments.length - removed.length + files.length > MAX_ATTACHMENTS) {
+        throw inputError(`At most ${MAX_ATTACHMENTS} files can be attached to a link.`);
+    }
+
+    urlDoc.attachments = urlDoc.attachments
+        .filter(a => !removeIds.includes(String(a._id)))
+        .concat(files.map(file => attachmentFromUpload(file)));
+
+    const changed = urlDoc.modifiedPaths()
+        .filter(p => !p.includes('.') && !['attachments', 'encryption', 'previousAliases'].includes(p));
+    try {
+        await urlDoc.save();
+    } catch (err) {
+        if (isAliasRace(err)) throw inputError('That alias is already taken.', 'ALIAS_TAKEN');
+        throw err;
+    }
+
+    const missing = await deleteAttachmentFiles(removed);
+    recordEvent(req, 'admin_update', {
+        url: urlDoc,
+        details: {
+            changed,
+            ...(urlDoc.shortId !== previousShortId && { previousShortId }),
+            filesAdded: files.map(f => f.originalname),
+            filesRemoved: removed.map(a => (urlDoc.encryption ? '(encrypted name)' : a.fileName)),
+            ...(missing.length > 0 && { filesMissing: missing.length }),
+        },
+    });
+    emitWebhook(req, 'link.updated', {
+        url: urlDoc,
+        details: {
+            changed,
+            ...(urlDoc.shortId !== previousShortId && { previousShortId }),
+            filesAdded: files.length,
+            filesRemoved: removed.length,
+        },
+    });
+    recordQuarantine(req, urlDoc, files);
+    return urlDoc;
+};
+
+/**
+ * Delete a link and its stored files. Records admin_delete and emits
+ * link.deleted.
+ *
+ * @param {object} req     Express request
+ * @param {object} urlDoc  The link to delete
+ * @returns {Promise<number>} How many of its files were already missing
+ */
+const deleteLink = async (req, urlDoc) => {
+    await Url.findByIdAndDelete(urlDoc._id);
+    const missing = await deleteAttachmentFiles(urlDoc.attachments);
+    recordEvent(req, 'admin_delete', {
+        url: urlDoc,
+        details: { label: urlDoc.label, ...(missing.length > 0 && { filesMissing: missing.length }) },
+    });
+    emitWebhook(req, 'link.deleted', { url: urlDoc });
+    return missing.length;
+};
+
+module.exports = { createLink, updateLink, deleteLink, toPublicLink };
@@ -0,0 +1,289 @@
+const { version } = require('../package.json');
+const { CONTENT_TYPES, CODE_LANGUAGES } = require('../models/Url');
+const { SCOPES } = require('../models/ApiKey');
+const { SORT_FIELDS, DEFAULT_LIMIT, MAX_LIMIT } = require('./linkQuery');
+const { MAX_ATTACHMENTS } = require('../middleware/validate');
+const { MAX_REDIRECT_DAYS } = require('./aliases');
+
+/**
+ * OpenAPI 3.0 description of the REST API in routes/apiV1.js, served at
+ * GET /api/v1/openapi.json. Keep it in step with the routes: it is what
+ * client generators and API consoles read.
+ */
+
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+
+const errorResponse = (description) => ({ description, content: jsonContent(ref('Error')) });
+
+const linkResponse = (description) => ({
+    description,
+    content: jsonContent({
+        type: 'object',
+        properties: { success: { type: 'boolean' }, link: ref('Link') },
+    }),
+});
+
+// Responses every authenticated operation can give
+const AUTH_RESPONSES = {
+    401: errorResponse('Missing, invalid or revoked API key.'),
+    403: errorResponse('The API key lacks the scope this operation needs.'),
+    429: errorResponse("Rate limit exceeded: the key's per-minute budget, or too many failed authentications from this IP."),
+};
+
+const LINK_ID_PARAMETER = {
+    name: 'id',
+    in: 'path',
+    required: true,
+    description: 'The link id or its shortId.',
+    schema: { type: 'string' },
+};
+
+const LIST_PARAMETERS = [
+    ['q', 'string', 'Label text, or an exact serial.'],
+    ['serialFrom', 'integer', 'Lowest serial number.'],
+    ['serialTo', 'integer', 'Highest serial number.'],
+    ['createdFrom', 'string', 'Created at or after this date (ISO 8601).'],
+    ['createdTo', 'string', 'Created at or before this date (ISO 8601).'],
+].map(([name, type, description]) => ({ name, in: 'query', description, schema: { type } })).concat([
+    {
+        name: 'hasFile',
+        in: 'query',
+        description: 'true/false for links with or without files; quarantined or missing for links with a file the malware scanner flagged or that is gone from storage.',
+        schema: { type: 'string', enum: ['true', 'false', 'quarantined', 'missing'] },
+    },
+    { name: 'sort', in: 'query', schema: { type: 'string', enum: SORT_FIELDS, default: 'createdAt' } },
+    { name: 'order', in: 'query', schema: { type: 'string', enum: ['asc', 'desc'], default: 'desc' } },
+    { name: 'page', in: 'query', schema: { type: 'integer', minimum: 1, default: 1 } },
+    { name: 'limit', in: 'query', schema: { type: 'integer', minimum: 1, maximum: MAX_LIMIT, default: DEFAULT_LIMIT } },
+]);
+
+// Fields shared by create and update
+const LINK_FIELDS = {
+    label: { type: 'string', maxLength: 100 },
+    contentType: { type: 'string', enum: CONTENT_TYPES, default: 'plain' },
+    codeLanguage: { type: 'string', enum: CODE_LANGUAGES, nullable: true, description: 'Only kept when contentType is code.' },
+    expiresAt: { type: 'string', format: 'date-time', nullable: true, description: 'Must be in the future. null or "" clears it.' },
+    maxViews: { type: 'integer', minimum: 1, maximum: 1000000, nullable: true },
+    maxDownloads: { type: 'integer', minimum: 1, maximum: 1000000, nullable: true },
+    uploadIds: {
+        type: 'string',
+        description: 'Comma-separated ids of finished resumable uploads (tus, POST /api/uploads) to attach.',
+    },
+};
+
+const SCHEMAS = {
+    Error: {
+        type: 'object',
+        properties: { error: { type: 'string' } },
+        required: ['error'],
+    },
+    Attachment: {
+        type: 'object',
+        properties: {
+            id: { type: 'string' },
+            fileName: { type: 'string', description: 'Ciphertext for end-to-end encrypted links.' },
+            size: { type: 'integer' },
+            mimeType: { type: 'string' },
+            downloadCount: { type: 'integer' },
+            quarantined: { type: 'boolean', description: 'The malware scanner flagged the file; it cannot be downloaded.' },
+            missing: { type: 'boolean', description: 'The stored file is gone.' },
+        },
+    },
+    Link: {
+        type: 'object',
+        description: 'Link metadata. The protected text and files are only served through the link, after its password.',
+        properties: {
+            id: { type: 'string' },
+            shortId: { type: 'string' },
+            shortUrl: { type: 'string', format: 'uri' },
+            serial: { type: 'string' },
+            serialNumber: { type: 'integer' },
+            label: { type: 'string' },
+            contentType: { type: 'string', enum: CONTENT_TYPES },
+            codeLanguage: { type: 'string', nullable: true },
+            encrypted: { type: 'boolean', description: 'End-to-end encrypted in the browser.' },
+            attachments: { type: 'array', items: ref('Attachment') },
+            expiresAt: { type: 'string', format: 'date-time', nullable: true },
+            maxViews: { type: 'integer', nullable: true },
+            viewCount: { type: 'integer' },
+            maxDownloads: { type: 'integer', nullable: true },
+            downloadCount: { type: 'integer' },
+            locked: { type: 'boolean', description: 'Locked after repeated wrong passwords.' },
+            expired: { type: 'boolean' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+        },
+    },
+    CreateLink: {
+        type: 'object',
+        required: ['password', 'textContent'],
+        properties: {
+            password: { type: 'string', minLength: 4, maxLength: 128 },
+            textContent: { type: 'string', maxLength: 10000 },
+            alias: {
+                type: 'string',
+                pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{2,31}$',
+                description: 'Custom shortId instead of a generated one.',
+            },
+            ...LINK_FIELDS,
+        },
+    },
+    UpdateLink: {
+        type: 'object',
+        description: 'Absent fields keep their value.',
+        properties: {
+            textContent: { type: 'string', maxLength: 10000, description: 'Cannot be changed on end-to-end encrypted links.' },
+            alias: { type: 'string', pattern: '^[A-Za-z0-9][A-Za-z0-9_-]{2,31}$', description: 'Renames the shortId.' },
+            keepOldAlias: { type: 'boolean', description: 'Keep redirecting the old shortId.' },
+            redirectDays: { type: 'integer', minimum: 1, maximum: MAX_REDIRECT_DAYS, description: 'How long the old shortId redirects.' },
+            removeAttachments: { type: 'array', items: { type: 'string' }, description: 'Attachment ids to remove.' },
+            deleteFile: { type: 'boolean', description: 'Remove every attachment.' },
+            ...LINK_FIELDS,
+        },
+    },
+};
+
+// Multipart variant of a JSON body, with files in `files`
+const withFiles = (schema) => ({
+    allOf: [
+        ref(schema),
+        {
+            type: 'object',
+            properties: {
+                files: { type: 'array', maxItems: MAX_ATTACHMENTS, items: { type: 'string', format: 'binary' } },
+            },
+        },
+    ],
+});
+
+const PATHS = {
+    '/api/v1/links': {
+        post: {
+            operationId: 'createLink',
+            summary: 'Create a password-protected link',
+            description: 'Scope: create.',
+            tags: ['Links'],
+            requestBody: {
+                required: true,
+                content: {
+                    ...jsonContent(ref('CreateLink')),
+                    'multipart/form-data': { schema: withFiles('CreateLink') },
+                },
+            },
+            responses: {
+                201: linkResponse('The new link.'),
+                400: errorResponse('Invalid input.'),
+                409: errorResponse('The alias is already taken.'),
+                ...AUTH_RESPONSES,
+            },
+        },
+        get: {
+            operationId: 'listLinks',
+            summary: 'List links',
+            description: 'Scope: read.',
+            tags: ['Links'],
+            parameters: LIST_PARAMETERS,
+            responses: {
+                200: {
+                    description: 'One page of links.',
+                    content: jsonContent({
+                        type: 'object',
+                        properties: {
+                            success: { type: 'boolean' },
+                            links: { type: 'array', items: ref('Link') },
+                            page: { type: 'integer' },
+                            limit: { type: 'integer' },
+                            total: { type: 'integer' },
+                            totalPages: { type: 'integer' },
+                        },
+                    }),
+                },
+                400: errorResponse('Invalid filter.'),
+                ...AUTH_RESPONSES,
+            },
+        },
+    },
+    '/api/v1/links/{id}': {
+        parameters: [LINK_ID_PARAMETER],
+        get: {
+            operationId: 'getLink',
+            summary: 'Fetch the metadata of a link',
+            description: 'Scope: read.',
+            tags: ['Links'],
+            responses: {
+                200: linkResponse('The link.'),
+                404: errorResponse('No such link.'),
+                ...AUTH_RESPONSES,
+            },
+        },
+        patch: {
+            operationId: 'updateLink',
+            summary: 'Edit a link',
+            description: 'Scope: manage.',
+            tags: ['Links'],
+            requestBody: {
+                required: true,
+                content: {
+                    ...jsonContent(ref('UpdateLink')),
+                    'multipart/form-data': { schema: withFiles('UpdateLink') },
+                },
+            },
+            responses: {
+                200: linkResponse('The edited link.'),
+                400: errorResponse('Invalid input.'),
+                404: errorResponse('No such link.'),
+                409: errorResponse('The alias is already taken.'),
+                ...AUTH_RESPONSES,
+            },
+        },
+        delete: {
+            operationId: 'deleteLink',
+            summary: 'Delete a link and its files',
+            description: 'Scope: manage.',
+            tags: ['Links'],
+            responses: {
+                200: {
+                    description: 'Deleted.',
+                    content: jsonContent({
+                        type: 'object',
+                        properties: {
+                            success: { type: 'boolean' },
+                            filesMissing: { type: 'integer', description: 'Files that were already gone from storage.' },
+                        },
+                    }),
+                },
+                404: errorResponse('No such link.'),
+                ...AUTH_RESPONSES,
+            },
+        },
+    },
+};
+
+/**
+ * The OpenAPI document, with `baseUrl` (e.g. "https://links.example.com")
+ * as its server.
+ */
+const buildOpenApiDocument = (baseUrl) => ({
+    openapi: '3.0.3',
+    info: {
+        title: 'Short URL API',
+        version,
+        description: 'Create and manage password-protected links. Authenticate with an API key issued in the '
+            + `dashboard, sent as "Authorization: Bearer <key>". Keys carry scopes (${SCOPES.join(', ')}; `
+            + 'manage includes the others) and a per-minute rate limit, reported in the RateLimit headers.',
+    },
+    servers: [{ url: baseUrl }],
+    security: [{ apiKey: [] }],
+    tags: [{ name: 'Links' }],
+    paths: PATHS,
+    components: {
+        securitySchemes: {
+            apiKey: { type: 'http', scheme: 'bearer', description: 'An API key ("slk_…").' },
+        },
+        schemas: SCHEMAS,
+    },
+});
+
+module.exports = { buildOpenApiDocument };
@@ -0,0 +1,106 @@
+const crypto = require('crypto');
+const bcrypt = require('bcrypt');
+
+const Url = require('../models/Url');
+
+/**
+ * Per-recipient passwords.
+ *
+ * Besides its own password, a link can carry up to MAX_RECIPIENTS named
+ * passwords (Url.recipients). Each can expire, be capped in views, be
+ * rotated or be revoked without affecting anyone else, and every successful
+ * verification records which one was used.
+ *
+ * End-to-end encrypted links are excluded: their content key is derived
+ * from the one password, so the server cannot add another.
+ */
+
+const MAX_RECIPIENTS = 10; // Every verification compares against all of them
+const BCRYPT_ROUNDS = 12;
+
+// Fields that are select:false on the Url model and needed to verify
+const RECIPIENT_FIELDS = '+recipients.passwordHash';
+
+/**
+ * Random password handed out when the admin does not choose one.
+ */
+const generateRecipientPassword = () => crypto.randomBytes(9).toString('base64url');
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+/**
+ * Check a password against the link's own password and every active
+ * recipient. The link must have been loaded with RECIPIENT_FIELDS.
+ * Returns { ok, recipient } — recipient is null for the link's own password.
+ */
+const matchPassword = async (urlDoc, password) => {
+    if (await bcrypt.compare(password, urlDoc.passwordHash)) {
+        return { ok: true, recipient: null };
+    }
+
+    const now = new Date();
+    for (const recipient of urlDoc.recipients) {
+        if (!recipient.isActive(now)) continue;
+        if (await bcrypt.compare(password, recipient.passwordHash)) {
+            return { ok: true, recipient };
+        }
+    }
+    return { ok: false, recipient: null };
+};
+
+/**
+ * Count one view against a recipient and the link, atomically: both only
+ * while the recipient is still active and the link has views left, so a
+ * refused request never uses up either allowance.
+ * Returns the updated link, or null if the recipient was revoked, expired
+ * or used up meanwhile, or the link's view limit was reached.
+ */
+const claimRecipientView = async (urlDoc, recipient) => {
+    const now = new Date();
+    const match = {
+        _id: recipient._id,
+        revokedAt: null,
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+    };
+    if (recipient.maxViews != null) {
+        match.viewCount = { $lt: recipient.maxViews };
+    }
+
+    return Url.findOneAndUpdate(
+        {
+            _id: urlDoc._id,
+            recipients: { $elemMatch: match },
+            $or: [{ maxViews: null }, { $expr: { $lt: ['$viewCount', '$maxViews'] } }],
+        },
+        {
+            $inc: { viewCount: 1, 'recipients.$.viewCount': 1 },
+            $set: { 'recipients.$.lastUsedAt': now },
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Public view of a recipient (no password hash).
+ */
+const toPublicRecipient = (recipient, now = new Date()) => ({
+    _id: recipient._id,
+    name: recipient.name,
+    expiresAt: recipient.expiresAt,
+    maxViews: recipient.maxViews,
+    viewCount: recipient.viewCount,
+    lastUsedAt: recipient.lastUsedAt,
+    revokedAt: recipient.revokedAt,
+    createdAt: recipient.createdAt,
+    active: recipient.isActive(now),
+});
+
+module.exports = {
+    MAX_RECIPIENTS,
+    RECIPIENT_FIELDS,
+    generateRecipientPassword,
+    hashPassword,
+    matchPassword,
+    claimRecipientView,
+    toPublicRecipient,
+};
@@ -0,0 +1,234 @@
+const Url = require('../models/Url');
+const Counter = require('../models/Counter');
+
+/**
+ * Link serial numbers.
+ *
+ * Serials come from atomic counters (models/Counter.js), so concurrent
+ * creations never receive the same number. The printed serial is
+ *   <prefix><number>[<check digit>]
+ * and is stored on the link as `serial`; `serialNumber` keeps the bare
+ * number and `serialSequence` the sequence it came from.
+ *
+ * Configuration (environment):
+ *  - SERIAL_START:           first number of the default sequence (1001)
+ *  - SERIAL_PREFIX:          prefix of the default sequence, e.g. "INV-"
+ *  - SERIAL_CHECK_DIGIT:     "true" appends a Luhn check digit, so most
+ *                            mistyped serials can be rejected outright
+ *  - SERIAL_LABEL_SEQUENCES: JSON object giving labels their own sequence,
+ *                            e.g. {"Invoices": {"prefix": "INV-", "start": 1}}
+ *
+ * Changing the scheme only affects links created afterwards; existing
+ * serials never change.
+ */
+
+const DEFAULT_SEQUENCE = 'default';
+const COUNTER_KEY = 'urlSerial';
+const DEFAULT_START = 1001;
+const MAX_ATTEMPTS = 5;
+// Prefixes end in a non-digit so the number that follows stays unambiguous
+const PREFIX_PATTERN = /^([A-Z0-9-]{0,15}[A-Z-])?$/;
+
+let config = null;
+
+const parseStart = (raw, name) => {
+    if (raw === undefined || raw === '') return DEFAULT_START;
+    const start = Number(raw);
+    if (!Number.isInteger(start) || start < 1) {
+        throw new Error(`${name} must be a positive whole number`);
+    }
+    return start;
+};
+
+const parsePrefix = (raw, name) => {
+    const prefix = String(raw || '').trim().toUpperCase();
+    if (!PREFIX_PATTERN.test(prefix)) {
+        throw new Error(`${name} must be up to 16 letters, digits or "-", ending in a letter or "-"`);
+    }
+    return prefix;
+};
+
+/**
+ * Parse and validate the serial configuration (cached).
+ * Throws on invalid settings so the server refuses to start.
+ */
+const loadSerialConfig = () => {
+    if (config) return config;
+
+    const sequences = {};
+    let labelSequences = {};
+    if (process.env.SERIAL_LABEL_SEQUENCES) {
+        try {
+            labelSequences = JSON.parse(process.env.SERIAL_LABEL_SEQUENCES);
+        } catch (err) {
+            throw new Error('SERIAL_LABEL_SEQUENCES must be valid JSON');
+        }
+    }
+
+    const defaultPrefix = parsePrefix(process.env.SERIAL_PREFIX, 'SERIAL_PREFIX');
+    const prefixes = new Set([defaultPrefix]);
+    for (const [label, options] of Object.entries(labelSequences)) {
+        const name = `SERIAL_LABEL_SEQUENCES["${label}"]`;
+        const prefix = parsePrefix(options && options.prefix, `${name}.prefix`);
+        // Distinct prefixes keep serials from different sequences apart
+        if (!prefix || prefixes.has(prefix)) {
+            throw new Error(`${name}.prefix must be set and differ from every other prefix`);
+        }
+        prefixes.add(prefix);
+        sequences[label.trim().toLowerCase()] = { prefix, start: parseStart(options.start, `${name}.start`) };
+    }
+
+    config = {
+        checkDigit: process.env.SERIAL_CHECK_DIGIT === 'true',
+        defaultSequence: { prefix: defaultPrefix, start: parseStart(process.env.SERIAL_START, 'SERIAL_START') },
+        sequences,
+    };
+    return config;
+};
+
+/**
+ * Luhn check digit of a string of digits.
+ */
+const luhnDigit = (digits) => {
+    let sum = 0;
+    for (let i = 0; i < digits.length; i++) {
+        let d = Number(digits[digits.length - 1 - i]);
+        if (i % 2 === 0) {
+            d *= 2;
+            if (d > 9) d -= 9;
+        }
+        sum += d;
+    }
+    return String((10 - (sum % 10)) % 10);
+};
+
+/**
+ * Sequence a new link with this label draws from.
+ * Returns { name, counterKey, prefix, start }.
+ */
+const sequenceFor = (label) => {
+    const { sequences, defaultSequence } = loadSerialConfig();
+    const name = (label || '').trim().toLowerCase();
+    if (name && sequences[name]) {
+        return { name, counterKey: `${COUNTER_KEY}:${name}`, ...sequences[name] };
+    }
+    return { name: DEFAULT_SEQUENCE, counterKey: COUNTER_KEY, ...defaultSequence };
+};
+
+/**
+ * Allocate the next serial for a new link with this label.
+ * Returns { serial, serialNumber, serialSequence }.
+ */
+const allocateSerial = async (label) => {
+    const sequence = sequenceFor(label);
+    const serialNumber = await Counter.next(sequence.counterKey, sequence.start);
+    const digits = String(serialNumber);
+    const checkDigit = loadSerialConfig().checkDigit ? luhnDigit(digits) : '';
+
+    return {
+        serial: `${sequence.prefix}${digits}${checkDigit}`,
+        serialNumber,
+        serialSequence: sequence.name,
+    };
+};
+
+/**
+ * Canonical form of a serial typed by a user (trimmed, upper case, no spaces).
+ */
+const normalizeSerial = (input) => String(input || '').replace(/\s+/g, '').toUpperCase();
+
+/**
+ * Whether a (normalized) serial fails its check digit. Always false when
+ * check digits are disabled or the serial has no trailing number.
+ */
+const failsCheckDigit = (serial) => {
+    if (!loadSerialConfig().checkDigit) return false;
+    const match = /(\d{2,})$/.exec(serial);
+    if (!match) return false;
+    const digits = match[1];
+    return luhnDigit(digits.slice(0, -1)) !== digits.slice(-1);
+};
+
+// Raise a sequence's counter above the highest number already in use
+const resyncSequence = async (sequence) => {
+    const last = await Url.findOne({ serialSequence: sequence.name })
+        .sort({ serialNumber: -1 })
+        .select('serialNumber');
+    await Counter.ensureAtLeast(sequence.counterKey, Math.max(last ? last.serialNumber : 0, sequence.start - 1));
+};
+
+const isSerialConflict = (err) =>
+    err && err.code === 11000 && err.keyPattern && ('serial' in err.keyPattern || 'serialNumber' in err.keyPattern);
+
+/**
+ * Save a new link with a freshly allocated serial.
+ * `build(serialFields)` returns the unsaved Url document. If the serial is
+ * already taken (e.g. data restored behind the counter), the counter is
+ * resynced and another serial allocated, up to MAX_ATTEMPTS times.
+ * `saveOptions` are passed to save().
+ */
+const createWithSerial = async (label, build, saveOptions = {}) => {
+    for (let attempt = 1; ; attempt++) {
+        const urlDoc = build(await allocateSerial(label));
+        try {
+            await urlDoc.save(saveOptions);
+            return urlDoc;
+        } catch (err) {
+            if (!isSerialConflict(err) || attempt >= MAX_ATTEMPTS) throw err;
+            await resyncSequence(sequenceFor(label));
+        }
+    }
+};
+
+/**
+ * Bring links and counters from the read-max-plus-one era up to date.
+ * Idempotent; runs at startup and from scripts/migrateSerials.js.
+ *  - links without `serial` keep their number as their serial
+ *  - the old unique index on serialNumber alone is dropped (per-label
+ *    sequences reuse numbers)
+ *  - every configured counter is seeded above the numbers in use
+ * Returns the number of links backfilled.
+ */
+const migrateSerials = async ({ dryRun = false } = {}) => {
+    const legacy = { serial: { $exists: false }, serialNumber: { $type: 'number' } };
+    const backfilled = await Url.collection.countDocuments(legacy);
+
+    if (dryRun) return backfilled;
+
+    if (backfilled > 0) {
+        await Url.collection.updateMany(legacy, [
+            { $set: { serial: { $toString: '$serialNumber' }, serialSequence: DEFAULT_SEQUENCE } },
+        ]);
+    }
+
+    const indexes = await Url.collection.indexes().catch(() => []);
+    const oldIndex = indexes.find(i => i.unique && Object.keys(i.key).join() === 'serialNumber');
+    if (oldIndex) {
+        await Url.collection.dropIndex(oldIndex.name);
+    }
+
+    await resyncCounters();
+
+    return backfilled;
+};
+
+/**
+ * Raise every configured counter above the numbers in use, e.g. after
+ * links were restored from a backup.
+ */
+const resyncCounters = async () => {
+    const { sequences } = loadSerialConfig();
+    for (const label of [null, ...Object.keys(sequences)]) {
+        await resyncSequence(sequenceFor(label));
+    }
+};
+
+module.exports = {
+    loadSerialConfig,
+    allocateSerial,
+    createWithSerial,
+    normalizeSerial,
+    failsCheckDigit,
+    migrateSerials,
+    resyncCounters,
+};
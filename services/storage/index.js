@@ -0,0 +1,52 @@
+const path = require('path');
+
+const createLocalDriver = require('./localDriver');
+const createS3Driver = require('./s3Driver');
+
+/**
+ * Storage abstraction for uploaded files.
+ *
+ * Every driver implements the same async interface, keyed by the value
+ * stored in each attachment's storageKey:
+ *  - put(key, stream)        Store a stream under key
+ *  - getStream(key, range)   Readable stream of the object (optional { start, end }, inclusive)
+ *  - stat(key)               { size } or null when missing
+ *  - exists(key)             Boolean
+ *  - delete(key)             Remove the object (no error when missing)
+ *  - list()                  Async iterable of every object: { key, size, modifiedAt }
+ *
+ * The driver is chosen with STORAGE_DRIVER (local | s3, default local).
+ */
+
+const UPLOAD_DIR = path.join(__dirname, '..', '..', 'uploads');
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'local') => {
+    switch (driver) {
+        case 'local':
+            return createLocalDriver({ directory: process.env.UPLOAD_DIR || UPLOAD_DIR });
+        case 's3':
+            return createS3Driver({
+                bucket: process.env.S3_BUCKET,
+                region: process.env.S3_REGION,
+                endpoint: process.env.S3_ENDPOINT,
+                accessKeyId: process.env.S3_ACCESS_KEY_ID,
+                secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+                forcePathStyle: process.env.S3_FORCE_PATH_STYLE === 'true',
+                prefix: process.env.S3_PREFIX || '',
+            });
+        default:
+            throw new Error(`Unknown STORAGE_DRIVER '${driver}'. Use 'local' or 's3'.`);
+    }
+};
+
+let storage = null;
+
+// Lazily created, process-wide storage driver
+const getStorage = () => {
+    if (!storage) {
+        storage = createStorage();
+    }
+    return storage;
+};
+
+module.exports = { getStorage, createStorage, UPLOAD_DIR };
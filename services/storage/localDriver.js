@@ -0,0 +1,69 @@
+const fs = require('fs');
+const path = require('path');
+const { pipeline } = require('stream/promises');
+
+/**
+ * Local disk storage driver.
+ * Keys are plain file names inside the upload directory. Only the base name
+ * of a key is used, which rules out path traversal and also resolves the
+ * absolute paths stored by links created before the storage abstraction.
+ */
+const createLocalDriver = ({ directory }) => {
+    const resolve = (key) => path.join(directory, path.basename(key));
+
+    return {
+        name: 'local',
+
+        async put(key, stream) {
+            await fs.promises.mkdir(directory, { recursive: true });
+            const target = resolve(key);
+            try {
+                await pipeline(stream, fs.createWriteStream(target));
+            } catch (err) {
+                await fs.promises.rm(target, { force: true });
+                throw err;
+            }
+        },
+
+        getStream(key, range) {
+            return fs.createReadStream(resolve(key), range ? { start: range.start, end: range.end } : undefined);
+        },
+
+        async stat(key) {
+            try {
+                const stats = await fs.promises.stat(resolve(key));
+                return { size: stats.size };
+            } catch (err) {
+                if (err.code === 'ENOENT') return null;
+                throw err;
+            }
+        },
+
+        async exists(key) {
+            return (await this.stat(key)) !== null;
+        },
+
+        async delete(key) {
+            await fs.promises.rm(resolve(key), { force: true });
+        },
+
+        async *list() {
+            let entries;
+            try {
+                entries = await fs.promises.readdir(directory, { withFileTypes: true });
+            } catch (err) {
+                if (err.code === 'ENOENT') return;
+                throw err;
+            }
+            for (const entry of entries) {
+                if (!entry.isFile()) continue;
+                const stats = await fs.promises.stat(path.join(directory, entry.name)).catch(() => null);
+                if (stats) {
+                    yield { key: entry.name, size: stats.size, modifiedAt: stats.mtime };
+                }
+            }
+        },
+    };
+};
+
+module.exports = createLocalDriver;
@@ -0,0 +1,97 @@
+const {
+    S3Client,
+    GetObjectCommand,
+    HeadObjectCommand,
+    DeleteObjectCommand,
+    ListObjectsV2Command,
+} = require('@aws-sdk/client-s3');
+const { Upload } = require('@aws-sdk/lib-storage');
+const { PassThrough } = require('stream');
+
+/**
+ * S3-compatible storage driver (AWS S3, MinIO, R2, ...).
+ * Objects are stored under `prefix + key` in a single bucket, so several
+ * app containers can share attachments without sharing a volume.
+ */
+const createS3Driver = ({ bucket, region, endpoint, accessKeyId, secretAccessKey, forcePathStyle, prefix = '' }) => {
+    if (!bucket) {
+        throw new Error('S3_BUCKET is required when STORAGE_DRIVER=s3.');
+    }
+
+    const client = new S3Client({
+        region: region || 'us-east-1',
+        endpoint: endpoint || undefined,
+        forcePathStyle: !!forcePathStyle,
+        credentials: accessKeyId ? { accessKeyId, secretAccessKey } : undefined,
+    });
+
+    const objectKey = (key) => `${prefix}${key}`;
+    const isNotFound = (err) =>
+        err.name === 'NotFound' || err.name === 'NoSuchKey' || (err.$metadata && err.$metadata.httpStatusCode === 404);
+
+    return {
+        name: 's3',
+
+        // Multipart upload, so the stream length does not need to be known
+        async put(key, stream) {
+            await new Upload({
+                client,
+                params: { Bucket: bucket, Key: objectKey(key), Body: stream },
+            }).done();
+        },
+
+        // Returned synchronously like fs.createReadStream; S3 errors surface
+        // as stream errors
+        getStream(key, range) {
+            const out = new PassThrough();
+            client
+                .send(new GetObjectCommand({
+                    Bucket: bucket,
+                    Key: objectKey(key),
+                    Range: range ? `bytes=${range.start}-${range.end}` : undefined,
+                }))
+                .then(({ Body }) => {
+                    Body.on('error', (err) => out.destroy(err));
+                    Body.pipe(out);
+                })
+                .catch((err) => out.destroy(err));
+            return out;
+        },
+
+        async stat(key) {
+            try {
+                const head = await client.send(new HeadObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+                return { size: head.ContentLength };
+            } catch (err) {
+                if (isNotFound(err)) return null;
+                throw err;
+            }
+        },
+
+        async exists(key) {
+            return (await this.stat(key)) !== null;
+        },
+
+        async delete(key) {
+            await client.send(new DeleteObjectCommand({ Bucket: bucket, Key: objectKey(key) }));
+        },
+
+        // Every object under the prefix, a page of up to 1000 at a time
+        async *list() {
+            let ContinuationToken;
+            do {
+                const page = await client.send(new ListObjectsV2Command({
+                    Bucket: bucket,
+                    Prefix: prefix || undefined,
+                    ContinuationToken,
+                }));
+                for (const object of page.Contents || []) {
+                    yield { key: object.Key.slice(prefix.length), size: object.Size, modifiedAt: object.LastModified };
+                }
+                ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+            } while (ContinuationToken);
+        },
+    };
+};
+
+module.exports = createS3Driver;
@@ -0,0 +1,206 @@
+const path = require('path');
+
+const Url = require('../models/Url');
+const Upload = require('../models/Upload');
+const { getStorage } = require('./storage');
+
+/**
+ * Reconciliation of the storage backend with the database.
+ *
+ * Compares every stored object with the attachments of all links and the
+ * files held by resumable uploads, then
+ *  - removes orphans: objects nothing refers to, such as files from
+ *    requests that failed or were cut off before their link was saved,
+ *  - flags attachments whose file is missing (attachment.missingAt), which
+ *    the dashboard shows as broken links, and clears the flag should the
+ *    file come back,
+ *  - reports the storage used by each link.
+ *
+ * Only keys in the shapes this app creates are ever considered orphans, so
+ * other objects sharing a bucket are left alone, and objects younger than
+ * ORPHAN_GRACE_MINUTES (default 60) are spared because their link or
+ * upload may not be saved yet.
+ *
+ * Runs on a schedule (startStorageReconciler) and from
+ * scripts/reconcileStorage.js.
+ */
+
+const DEFAULT_INTERVAL_HOURS = 24;
+const DEFAULT_GRACE_MINUTES = 60;
+
+// Attachment files (nanoid(16) + extension) and resumable upload parts
+const OWN_KEY_PATTERNS = [/^[A-Za-z0-9_-]{16}(\.[^./\\]+)?$/, /^part-[A-Za-z0-9_-]{24}-\d+-[A-Za-z0-9_-]{8}$/];
+
+const isOwnKey = (key) => OWN_KEY_PATTERNS.some(pattern => pattern.test(key));
+
+// Links created before the storage abstraction hold a local path
+const normalizeKey = (key) => path.basename(key);
+
+const graceFromEnv = () => {
+    const minutes = parseInt(process.env.ORPHAN_GRACE_MINUTES, 10);
+    return (Number.isNaN(minutes) ? DEFAULT_GRACE_MINUTES : minutes) * 60 * 1000;
+};
+
+/**
+ * Flag attachments of one link as missing from storage, or (missing =
+ * false) clear the flag.
+ */
+const markAttachmentsMissing = (urlId, attachmentIds, missing = true) =>
+    Url.updateOne(
+        { _id: urlId },
+        { $set: { 'attachments.$[file].missingAt': missing ? new Date() : null } },
+        { arrayFilters: [{ 'file._id': { $in: attachmentIds } }] }
+    );
+
+// Every key the database refers to. Uploads are read before links: an
+// upload's document is only removed once its link is saved, so a file
+// moving from one to the other is always seen in at least one of them.
+async function loadReferences() {
+    const uploadKeys = new Set();
+    for await (const upload of Upload.find().select('parts.key storageKey').lean().cursor()) {
+        upload.parts.forEach(part => uploadKeys.add(part.key));
+        if (upload.storageKey) uploadKeys.add(upload.storageKey);
+    }
+
+    const links = [];
+    const linkKeys = new Set();
+    const query = Url.find({ 'attachments.0': { $exists: true } })
+        .select('shortId serial label attachments._id attachments.storageKey attachments.missingAt')
+        .lean();
+    for await (const link of query.cursor()) {
+        link.attachments.forEach(a => linkKeys.add(normalizeKey(a.storageKey)));
+        links.push(link);
+    }
+
+    return { uploadKeys, linkKeys, links };
+}
+
+/**
+ * Reconcile storage with the database once.
+ *
+ * @param {object}  [opts]
+ * @param {boolean} [opts.dryRun]   Only report; delete and flag nothing
+ * @param {number}  [opts.graceMs]  Minimum age of an orphan (default from ORPHAN_GRACE_MINUTES)
+ * @returns {Promise<object>} Report: { dryRun, objects, bytes, orphans,
+ *   orphanBytes, removed, missing, usage }. `orphans` lists { key, size,
+ *   modifiedAt }; `missing` lists { linkId, shortId, serial, attachmentId,
+ *   storageKey }; `usage` lists { linkId, shortId, serial, label, files,
+ *   bytes } per link, largest first.
+ */
+const reconcileStorage = async ({ dryRun = false, graceMs = graceFromEnv() } = {}) => {
+    const storage = getStorage();
+    const { uploadKeys, linkKeys, links } = await loadReferences();
+
+    const stored = new Map();
+    const orphans = [];
+    const cutoff = Date.now() - graceMs;
+    for await (const object of storage.list()) {
+        stored.set(object.key, object);
+        if (!linkKeys.has(object.key) && !uploadKeys.has(object.key) && isOwnKey(object.key)
+            && new Date(object.modifiedAt).getTime() <= cutoff) {
+            orphans.push(object);
+        }
+    }
+
+    const report = {
+        dryRun,
+        objects: stored.size,
+        bytes: [...stored.values()].reduce((sum, o) => sum + o.size, 0),
+        orphans,
+        orphanBytes: orphans.reduce((sum, o) => sum + o.size, 0),
+        removed: 0,
+        missing: [],
+        usage: [],
+    };
+
+    for (const link of links) {
+        const missing = [];
+        const restored = [];
+        let bytes = 0;
+        for (const attachment of link.attachments) {
+            const object = stored.get(normalizeKey(attachment.storageKey));
+            if (object) {
+                bytes += object.size;
+                if (attachment.missingAt) restored.push(attachment._id);
+                continue;
+            }
+            // A listing is no snapshot; check the object itself before flagging
+            if (await storage.exists(attachment.storageKey)) continue;
+            missing.push(attachment._id);
+            report.missing.push({
+                linkId: link._id,
+                shortId: link.shortId,
+                serial: link.serial,
+                attachmentId: attachment._id,
+                storageKey: attachment.storageKey,
+            });
+        }
+
+        report.usage.push({
+            linkId: link._id,
+            shortId: link.shortId,
+            serial: link.serial,
+            label: link.label,
+            files: link.attachments.length,
+            bytes,
+        });
+
+        if (!dryRun) {
+            const newlyMissing = missing.filter(id => !link.attachments.find(a => a._id.equals(id)).missingAt);
+            if (newlyMissing.length > 0) await markAttachmentsMissing(link._id, newlyMissing);
+            if (restored.length > 0) await markAttachmentsMissing(link._id, restored, false);
+        }
+    }
+    report.usage.sort((a, b) => b.bytes - a.bytes);
+
+    if (!dryRun) {
+        for (const orphan of orphans) {
+            try {
+                await storage.delete(orphan.key);
+                report.removed += 1;
+            } catch (err) {
+                console.error(`Error removing orphaned file ${orphan.key}:`, err);
+            }
+        }
+    }
+
+    return report;
+};
+
+/**
+ * Run reconcileStorage every RECONCILE_INTERVAL_HOURS (default 24; 0 turns
+ * the job off). RECONCILE_DRY_RUN=true only logs what would change.
+ * Returns the timer so callers can stop it, or null when off.
+ */
+const startStorageReconciler = () => {
+    const hours = parseFloat(process.env.RECONCILE_INTERVAL_HOURS);
+    const intervalHours = Number.isNaN(hours) ? DEFAULT_INTERVAL_HOURS : hours;
+    if (intervalHours <= 0) return null;
+
+    const dryRun = process.env.RECONCILE_DRY_RUN === 'true';
+
+    const run = async () => {
+        try {
+            const report = await reconcileStorage({ dryRun });
+            if (report.orphans.length > 0) {
+                const mb = (report.orphanBytes / 1024 / 1024).toFixed(1);
+                console.log(dryRun
+                    ? `🗄  Found ${report.orphans.length} orphaned file(s), ${mb} MB (dry run, kept)`
+                    : `🗄  Removed ${report.removed} of ${report.orphans.length} orphaned file(s), ${mb} MB`);
+            }
+            if (report.missing.length > 0) {
+                const shortIds = [...new Set(report.missing.map(m => m.shortId))];
+                console.warn(`⚠️  ${report.missing.length} attachment file(s) missing from storage, on: ${shortIds.join(', ')}`);
+            }
+        } catch (err) {
+            console.error('Storage reconciliation error:', err);
+        }
+    };
+
+    const timer = setInterval(run, intervalHours * 60 * 60 * 1000);
+    timer.unref();
+    run();
+    return timer;
+};
+
+module.exports = { reconcileStorage, markAttachmentsMissing, startStorageReconciler };
@@ -0,0 +1,40 @@
+const crypto = require('crypto');
+
+const Admin = require('../models/Admin');
+
+/**
+ * Helpers for managing admin accounts, shared by the Team API
+ * (routes/adminUsers.js) and the command-line tool (scripts/cli.js).
+ */
+
+/**
+ * Public view of an admin (never the hash).
+ */
+const toPublicAdmin = (admin) => ({
+    _id: admin._id,
+    username: admin.username,
+    role: admin.role,
+    disabled: admin.disabled,
+    mustChangePassword: admin.mustChangePassword,
+    lastLoginAt: admin.lastLoginAt,
+    twoFactorEnabled: admin.twoFactor.enabled,
+    createdBy: admin.createdBy,
+    createdAt: admin.createdAt,
+});
+
+/**
+ * One-time password handed to invited / reset admins.
+ */
+const generateTemporaryPassword = () => crypto.randomBytes(12).toString('base64url');
+
+/**
+ * Would demoting, disabling or deleting this admin leave the team without
+ * an active owner?
+ */
+const isLastActiveOwner = async (admin) => {
+    if (admin.role !== 'owner' || admin.disabled) return false;
+    const others = await Admin.countDocuments({ _id: { $ne: admin._id }, role: 'owner', disabled: false });
+    return others === 0;
+};
+
+module.exports = { toPublicAdmin, generateTemporaryPassword, isLastActiveOwner };
@@ -0,0 +1,236 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+
+/**
+ * TOTP (RFC 6238) second factor for admin logins.
+ * SHA-1, 6 digits, 30-second steps — the defaults every authenticator app
+ * understands. One step of clock drift is tolerated either way.
+ */
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const DRIFT_STEPS = 1;
+const SECRET_BYTES = 20;
+const RECOVERY_CODE_COUNT = 10;
+const MFA_TOKEN_TTL = '5m';
+
+// Fields that are select:false on the Admin model and needed here
+const TWO_FACTOR_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.recoveryCodes +twoFactor.lastUsedStep';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = '';
+    for (const byte of buffer) bits += byte.toString(2).padStart(8, '0');
+
+    let out = '';
+    for (let i = 0; i < bits.length; i += 5) {
+        out += BASE32_ALPHABET[parseInt(bits.slice(i, i + 5).padEnd(5, '0'), 2)];
+    }
+    return out;
+};
+
+const base32Decode = (str) => {
+    let bits = '';
+    for (const char of str.replace(/=+$/, '').toUpperCase()) {
+        const value = BASE32_ALPHABET.indexOf(char);
+        if (value === -1) throw new Error('Invalid base32 secret');
+        bits += value.toString(2).padStart(5, '0');
+    }
+
+    const bytes = [];
+    for (let i = 0; i + 8 <= bits.length; i += 8) {
+        bytes.push(parseInt(bits.slice(i, i + 8), 2));
+    }
+    return Buffer.from(bytes);
+};
+
+// HOTP value for one counter (RFC 4226 dynamic truncation)
+const hotp = (secret, counter) => {
+    const message = Buffer.alloc(8);
+    message.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(message).digest();
+    const offset = hmac[hmac.length - 1] & 0x0f;
+    const binary = hmac.readUInt32BE(offset) & 0x7fffffff;
+    return String(binary % 10 ** DIGITS).padStart(DIGITS, '0');
+};
+
+const currentStep = (now = Date.now()) => Math.floor(now / 1000 / STEP_SECONDS);
+
+/**
+ * Generate a fresh base32 TOTP secret.
+ */
+const generateSecret = () => base32Encode(crypto.randomBytes(SECRET_BYTES));
+
+/**
+ * otpauth:// URI for authenticator apps (rendered as a QR code by the dashboard).
+ * The issuer comes from TOTP_ISSUER.
+ */
+const provisioningUri = (username, secret) => {
+    const issuer = process.env.TOTP_ISSUER || 'Fly Nexus LLP';
+    const label = encodeURIComponent(`${issuer}:${username}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: String(DIGITS),
+        period: String(STEP_SECONDS),
+    });
+    return `otpauth://totp/${label}?${params}`;
+};
+
+/**
+ * Check a code against a secret.
+ * Returns the matching time step, or null. Steps at or before `lastUsedStep`
+ * are rejected so an observed code cannot be replayed.
+ */
+const matchTotp = (secret, code, lastUsedStep = 0) => {
+    if (!secret || typeof code !== 'string' || !/^\d{6}$/.test(code)) return null;
+
+    const step = currentStep();
+    for (let s = step - DRIFT_STEPS; s <= step + DRIFT_STEPS; s++) {
+        if (s <= lastUsedStep) continue;
+        const expected = Buffer.from(hotp(secret, s));
+        if (crypto.timingSafeEqual(expected, Buffer.from(code))) return s;
+    }
+    return null;
+};
+
+const hashRecoveryCode = (code) =>
+    crypto.createHash('sha256').update(code.replace(/[\s-]/g, '').toLowerCase()).digest('hex');
+
+/**
+ * Generate one-time recovery codes.
+ * Returns { codes, hashes } — codes are shown once, only hashes are stored.
+ */
+const generateRecoveryCodes = () => {
+    const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+        const raw = crypto.randomBytes(5).toString('hex');
+        return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+    });
+    return { codes, hashes: codes.map(hashRecoveryCode) };
+};
+
+/**
+ * Start (or restart) enrollment: park a new secret as pending.
+ * The admin must have been loaded with TWO_FACTOR_FIELDS.
+ * Returns { secret, otpauthUrl }.
+ */
+const beginEnrollment = async (admin) => {
+    const secret = generateSecret();
+    admin.twoFactor.pendingSecret = secret;
+    await admin.save();
+    return { secret, otpauthUrl: provisioningUri(admin.username, secret) };
+};
+
+/**
+ * Finish enrollment with the first code from the authenticator.
+ * Returns the new recovery codes, or null if the code is wrong or no
+ * enrollment is pending.
+ */
+const completeEnrollment = async (admin, code) => {
+    const pending = admin.twoFactor.pendingSecret;
+    const step = matchTotp(pending, code);
+    if (step === null) return null;
+
+    const { codes, hashes } = generateRecoveryCodes();
+    admin.twoFactor.enabled = true;
+    admin.twoFactor.secret = pending;
+    admin.twoFactor.pendingSecret = null;
+    admin.twoFactor.recoveryCodes = hashes;
+    admin.twoFactor.lastUsedStep = step;
+    admin.twoFactor.enabledAt = new Date();
+    await admin.save();
+    return codes;
+};
+
+/**
+ * Check a second factor for an enrolled admin: either a current TOTP code
+ * or an unused recovery code (which is consumed).
+ * Returns { ok, usedRecoveryCode, recoveryCodesLeft }.
+ */
+const verifySecondFactor = async (admin, code) => {
+    const tf = admin.twoFactor;
+    if (!tf.enabled || typeof code !== 'string') return { ok: false };
+
+    const trimmed = code.trim();
+    const step = matchTotp(tf.secret, trimmed, tf.lastUsedStep);
+    if (step !== null) {
+        tf.lastUsedStep = step;
+        await admin.save();
+        return { ok: true, usedRecoveryCode: false, recoveryCodesLeft: tf.recoveryCodes.length };
+    }
+
+    const index = tf.recoveryCodes.indexOf(hashRecoveryCode(trimmed));
+    if (index !== -1) {
+        tf.recoveryCodes.splice(index, 1);
+        await admin.save();
+        return { ok: true, usedRecoveryCode: true, recoveryCodesLeft: tf.recoveryCodes.length };
+    }
+
+    return { ok: false };
+};
+
+/**
+ * Turn 2FA off and forget the secret and recovery codes.
+ */
+const disableTwoFactor = (admin) => {
+    admin.twoFactor = { enabled: false };
+    return admin.save();
+};
+
+/**
+ * Replace the recovery codes of an enrolled admin. Returns the new codes.
+ */
+const regenerateRecoveryCodes = async (admin) => {
+    const { codes, hashes } = generateRecoveryCodes();
+    admin.twoFactor.recoveryCodes = hashes;
+    await admin.save();
+    return codes;
+};
+
+/**
+ * Signing key for "mfa pending" tokens, derived from JWT_SECRET so they can
+ * never be used as a session token (and vice versa).
+ */
+const mfaSigningKey = () =>
+    crypto.createHmac('sha256', process.env.JWT_SECRET).update('mfa-pending').digest();
+
+/**
+ * Short-lived token proving the password step succeeded.
+ * `enroll` marks an admin who must set up 2FA before getting a session.
+ */
+const issueMfaToken = (admin, enroll = false) =>
+    jwt.sign({ purpose: 'mfa', enroll }, mfaSigningKey(), {
+        subject: String(admin._id),
+        expiresIn: MFA_TOKEN_TTL,
+    });
+
+/**
+ * Verify an "mfa pending" token. Returns { adminId, enroll } or null.
+ */
+const verifyMfaToken = (token) => {
+    if (typeof token !== 'string') return null;
+    try {
+        const decoded = jwt.verify(token, mfaSigningKey());
+        if (decoded.purpose !== 'mfa') return null;
+        return { adminId: decoded.sub, enroll: Boolean(decoded.enroll) };
+    } catch (err) {
+        return null;
+    }
+};
+
+module.exports = {
+    TWO_FACTOR_FIELDS,
+    generateSecret,
+    provisioningUri,
+    matchTotp,
+    beginEnrollment,
+    completeEnrollment,
+    verifySecondFactor,
+    disableTwoFactor,
+    regenerateRecoveryCodes,
+    issueMfaToken,
+    verifyMfaToken,
+};
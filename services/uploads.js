@@ -0,0 +1,294 @@
+const path = require('path');
+const { Readable, Transform, pipeline } = require('stream');
+const { nanoid } = require('nanoid');
+
+const Upload = require('../models/Upload');
+const { getStorage } = require('./storage');
+const { createStagingKey, createStagingCipher } = require('./fileCrypto');
+const { storeInspectedFile } = require('./fileInspection');
+
+/**
+ * Resumable uploads (the protocol is in routes/uploads.js).
+ *
+ * Each PATCH is stored as its own object in the storage backend, encrypted
+ * under the upload's staging key, and recorded on the Upload document only
+ * once it is complete — an interrupted chunk is discarded and the client
+ * resumes from the last recorded offset. When the last chunk arrives the
+ * parts are decrypted in order and re-encrypted into a single attachment
+ * file exactly like a multipart upload, so downloads cannot tell the two
+ * apart.
+ *
+ * Uploads that are not finished and attached within UPLOAD_EXPIRY_HOURS of
+ * their last chunk are removed by sweepExpiredUploads().
+ */
+
+const DEFAULT_MAX_UPLOAD_MB = 2048; // 2 GB
+const DEFAULT_EXPIRY_HOURS = 24;
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+// Keeps the number of parts bounded; only the final chunk may be smaller
+const MIN_CHUNK_SIZE = 256 * 1024;
+
+/**
+ * Largest file a resumable upload accepts, from MAX_UPLOAD_SIZE_MB.
+ */
+const maxUploadSize = () =>
+    (parseInt(process.env.MAX_UPLOAD_SIZE_MB, 10) || DEFAULT_MAX_UPLOAD_MB) * 1024 * 1024;
+
+const expiryFromNow = () =>
+    new Date(Date.now() + (parseFloat(process.env.UPLOAD_EXPIRY_HOURS) || DEFAULT_EXPIRY_HOURS) * 60 * 60 * 1000);
+
+/**
+ * Start a resumable upload. The caller has validated name and size.
+ */
+const createUpload = ({ fileName, size, encrypted }) =>
+    Upload.create({
+        uploadId: nanoid(24),
+        fileName,
+        size,
+        encrypted,
+        staging: createStagingKey(),
+        expiresAt: expiryFromNow(),
+    });
+
+// Counts the bytes of a chunk and stops it at `limit`
+const chunkMeter = (limit) => {
+    const meter = new Transform({
+        transform(chunk, enc, cb) {
+            meter.bytes += chunk.length;
+            if (meter.bytes > limit) {
+                meter.tooLarge = true;
+                return cb(new Error('Chunk is too large'));
+            }
+            cb(null, chunk);
+        },
+        flush(cb) {
+            meter.ended = true;
+            cb();
+        },
+    });
+    meter.bytes = 0;
+    meter.tooLarge = false;
+    meter.ended = false;
+    return meter;
+};
+
+// Stream of the whole file, decrypting the staged parts one after another
+const readParts = (upload) => {
+    const storage = getStorage();
+    return Readable.from((async function* () {
+        for (const part of upload.parts) {
+            const decrypted = pipeline(
+                storage.getStream(part.key),
+                createStagingCipher(upload.staging, part.offset),
+                () => {}
+            );
+            yield* decrypted;
+        }
+    })());
+};
+
+const deleteParts = async (parts) => {
+    const storage = getStorage();
+    for (const part of parts) {
+        await storage.delete(part.key);
+    }
+};
+
+// Build the attachment file from the staged parts. Content checks run here
+// (services/fileInspection.js), so a refused file fails the last chunk.
+const assemble = async (upload) => {
+    const parts = [...upload.parts];
+    const key = `${nanoid(16)}${path.extname(upload.fileName).toLowerCase()}`;
+    const stored = await storeInspectedFile(key, readParts(upload), {
+        fileName: upload.fileName,
+        encrypted: upload.encrypted,
+    });
+
+    await Upload.updateOne(
+        { _id: upload._id },
+        {
+            $set: {
+                status: 'complete',
+                storageKey: key,
+                storedSize: stored.size,
+                fileEncryption: stored.encryption,
+                detectedMimeType: stored.detectedMimeType,
+                scan: stored.scan,
+                parts: [],
+                expiresAt: expiryFromNow(),
+            },
+        }
+    );
+    await deleteParts(parts);
+};
+
+/**
+ * Store one chunk of `stream` at `offset` (the client's Upload-Offset).
+ * The last chunk also assembles the file before this resolves.
+ *
+ * Returns { ok: true, offset, complete } or { ok: false, status, error }:
+ * 409 when `offset` is not where the upload stands (including when another
+ * request got there first), 413 for an oversized chunk, 400 when the client
+ * went away mid-chunk, or when the assembled file's content is refused
+ * (the upload is then discarded).
+ */
+const appendChunk = async (upload, offset, stream) => {
+    if (offset !== upload.offset) {
+        return { ok: false, status: 409, error: `Upload-Offset must be ${upload.offset}.` };
+    }
+
+    const remaining = upload.size - upload.offset;
+    const meter = chunkMeter(Math.min(remaining, MAX_CHUNK_SIZE));
+    const part = { key: `part-${upload.uploadId}-${offset}-${nanoid(8)}`, offset };
+
+    try {
+        await getStorage().put(part.key, pipeline(stream, meter, createStagingCipher(upload.staging, offset), () => {}));
+    } catch (err) {
+        await getStorage().delete(part.key).catch(() => {});
+        if (meter.tooLarge) {
+            return {
+                ok: false,
+                status: 413,
+                error: `Chunks are limited to ${MAX_CHUNK_SIZE / 1024 / 1024} MB and must not run past Upload-Length.`,
+            };
+        }
+        if (!meter.ended) {
+            return { ok: false, status: 400, error: 'Chunk was interrupted; resume from Upload-Offset.' };
+        }
+        throw err;
+    }
+
+    part.size = meter.bytes;
+    const nextOffset = offset + part.size;
+    const complete = nextOffset === upload.size;
+
+    if (part.size === 0 || (!complete && part.size < MIN_CHUNK_SIZE)) {
+        await getStorage().delete(part.key);
+        return part.size === 0
+            ? { ok: true, offset, complete: false }
+            : { ok: false, status: 400, error: `Chunks other than the last must be at least ${MIN_CHUNK_SIZE / 1024} KB.` };
+    }
+
+    // Only record the part if nobody else moved the offset meanwhile
+    const updated = await Upload.findOneAndUpdate(
+        { _id: upload._id, status: 'uploading', offset },
+        {
+            $set: { offset: nextOffset, status: complete ? 'assembling' : 'uploading', expiresAt: expiryFromNow() },
+            $push: { parts: part },
+        },
+        { new: true }
+    ).select('+staging');
+
+    if (!updated) {
+        await getStorage().delete(part.key);
+        return { ok: false, status: 409, error: 'Another request changed this upload; check its offset with HEAD.' };
+    }
+
+    if (complete) {
+        try {
+            await assemble(updated);
+        } catch (err) {
+            if (err.code === 'INVALID_FILE_CONTENT') {
+                await discardUpload(updated);
+                return { ok: false, status: 400, error: err.message };
+            }
+            // Take the last chunk back so the client can resend it and retry
+            await Upload.updateOne(
+                { _id: upload._id },
+                { $set: { offset, status: 'uploading' }, $pull: { parts: { key: part.key } } }
+            );
+            await getStorage().delete(part.key).catch(() => {});
+            throw err;
+        }
+    }
+
+    return { ok: true, offset: nextOffset, complete };
+};
+
+/**
+ * Remove an upload and everything it has stored.
+ * Attached uploads only lose their document; the file belongs to a link.
+ */
+const discardUpload = async (upload) => {
+    if (upload.status !== 'attached') {
+        await deleteParts(upload.parts);
+        if (upload.storageKey) {
+            await getStorage().delete(upload.storageKey);
+        }
+    }
+    await Upload.deleteOne({ _id: upload._id });
+};
+
+/**
+ * Claim finished uploads for one request. `encrypted` must match how they
+ * were uploaded (E2E links only take `.enc` uploads and vice versa).
+ * Returns { files } shaped like multer's req.files entries, or { error }
+ * after releasing anything already claimed.
+ */
+const claimUploads = async (uploadIds, encrypted) => {
+    const claimed = [];
+    for (const uploadId of uploadIds) {
+        const upload = await Upload.findOneAndUpdate(
+            { uploadId, status: 'complete', encrypted, expiresAt: { $gt: new Date() } },
+            { $set: { status: 'attached' } },
+            { new: true }
+        ).select('+fileEncryption');
+
+        if (!upload) {
+            await releaseUploads(claimed.map(u => u.uploadId));
+            return { error: `Upload ${uploadId} is not finished, has expired or is already attached.` };
+        }
+        claimed.push(upload);
+    }
+
+    return {
+        files: claimed.map(upload => ({
+            originalname: upload.fileName,
+            key: upload.storageKey,
+            size: upload.storedSize,
+            encryption: upload.fileEncryption,
+            detectedMimeType: upload.detectedMimeType,
+            scan: upload.scan,
+            uploadId: upload.uploadId,
+        })),
+    };
+};
+
+/**
+ * Hand claimed uploads back (the request that claimed them failed).
+ */
+const releaseUploads = (uploadIds) =>
+    Upload.updateMany({ uploadId: { $in: uploadIds }, status: 'attached' }, { $set: { status: 'complete' } });
+
+/**
+ * Forget claimed uploads once their files belong to a link.
+ */
+const finishUploads = (uploadIds) =>
+    Upload.deleteMany({ uploadId: { $in: uploadIds }, status: 'attached' });
+
+/**
+ * Remove every upload past its expiry together with its stored data.
+ * Returns the number of uploads removed.
+ */
+const sweepExpiredUploads = async () => {
+    const expired = await Upload.find({ expiresAt: { $lte: new Date() } })
+        .select('_id status parts storageKey');
+
+    for (const upload of expired) {
+        await discardUpload(upload);
+    }
+
+    return expired.length;
+};
+
+module.exports = {
+    MAX_CHUNK_SIZE,
+    maxUploadSize,
+    createUpload,
+    appendChunk,
+    discardUpload,
+    claimUploads,
+    releaseUploads,
+    finishUploads,
+    sweepExpiredUploads,
+};
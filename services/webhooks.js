@@ -0,0 +1,280 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+
+/**
+ * Outgoing webhooks.
+ *
+ * emitWebhook() queues one WebhookDelivery per interested subscription;
+ * the worker started by startWebhookWorker() sends them. The queue lives in
+ * MongoDB, so nothing is lost on restart, and failed deliveries are retried
+ * with exponential backoff until MAX_ATTEMPTS.
+ *
+ * Every request is a JSON POST with these headers:
+ *  - X-Webhook-Event:     event type, e.g. "link.unlocked"
+ *  - X-Webhook-Delivery:  delivery id (stable across retries, for dedup)
+ *  - X-Webhook-Timestamp: unix seconds of this attempt
+ *  - X-Webhook-Signature: "sha256=" + hex HMAC-SHA256 of
+ *                         "<timestamp>.<raw body>" keyed with the secret
+ * Receivers should recompute the signature and reject stale timestamps.
+ * scripts/webhookReceiver.js is a reference receiver.
+ */
+
+const MAX_ATTEMPTS = 8;
+const BASE_DELAY_MS = 30 * 1000; // 30 s, 1 min, 2 min … about 1 h in total
+const MAX_DELAY_MS = 30 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const LEASE_MS = 60 * 1000; // A crashed worker's deliveries are retried after this
+const BATCH_SIZE = 20;
+const DEFAULT_POLL_MS = 5 * 1000;
+
+/**
+ * New signing secret (shown to the admin once).
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+
+/**
+ * Signature header value for one attempt.
+ */
+const signPayload = (secret, timestamp, body) =>
+    `sha256=${crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex')}`;
+
+// Wait before attempt n + 1 after n failures, with ±20% jitter
+const retryDelay = (attempts) => {
+    const delay = Math.min(BASE_DELAY_MS * 2 ** (attempts - 1), MAX_DELAY_MS);
+    return Math.round(delay * (0.8 + Math.random() * 0.4));
+};
+
+// Link fields that are safe to send anywhere (never content or secrets)
+const linkSummary = (url) => ({
+    id: url._id,
+    shortId: url.shortId,
+    serial: url.serial || (url.serialNumber != null ? String(url.serialNumber) : null),
+    label: url.label,
+});
+
+let wakeWorker = () => {};
+
+const queueDeliveries = async (webhooks, event, data) => {
+    if (webhooks.length === 0) return;
+    const createdAt = new Date();
+    const deliveries = webhooks.map((webhook) => {
+        const _id = new mongoose.Types.ObjectId();
+        return {
+            _id,
+            webhook: webhook._id,
+            event,
+            payload: { id: String(_id), event, createdAt, data },
+        };
+    });
+    await WebhookDelivery.insertMany(deliveries);
+    wakeWorker();
+};
+
+// Who caused an event: a dashboard admin, an API key, or nobody (public)
+const actorOf = (req) => {
+    if (req.admin) return { username: req.admin.username };
+    if (req.apiKey) return { apiKey: req.apiKey.name };
+    return null;
+};
+
+/**
+ * Queue a webhook event for every active subscription that wants it.
+ * Fire-and-forget like recordEvent: failures are logged and never break
+ * the request. The returned promise never rejects; scripts await it before
+ * exiting.
+ *
+ * @param {object} req      Express request (source of the acting admin and IP)
+ * @param {string} event    One of Webhook.EVENT_TYPES
+ * @param {object} [opts]
+ * @param {object} [opts.url]      Url document the event is about
+ * @param {object} [opts.details]  Event-specific extras
+ */
+const emitWebhook = (req, event, { url = null, details } = {}) => {
+    const data = {
+        link: url ? linkSummary(url) : null,
+        actor: actorOf(req),
+        ip: req.ip || null,
+        ...(details && { details }),
+    };
+
+    return Webhook.find({ active: true, $or: [{ events: { $size: 0 } }, { events: event }] })
+        .select('_id')
+        .then(webhooks => queueDeliveries(webhooks, event, data))
+        .catch((err) => {
+            console.error(`Error queueing ${event} webhook:`, err);
+        });
+};
+
+/**
+ * Queue a "ping" to one webhook regardless of its event filter.
+ */
+const pingWebhook = (webhook, req) =>
+    queueDeliveries([webhook], 'ping', { actor: { username: req.admin.username } });
+
+// One HTTP attempt. Returns { ok, status, error }.
+const send = async (webhook, delivery) => {
+    const body = JSON.stringify(delivery.payload);
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    try {
+        const response = await fetch(webhook.url, {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': 'short-url-generator-webhooks/1.0',
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': String(delivery._id),
+                'X-Webhook-Timestamp': String(timestamp),
+                'X-Webhook-Signature': signPayload(webhook.secret, timestamp, body),
+            },
+            body,
+            redirect: 'manual',
+            signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+        });
+        // Only the status matters; drain the body so the socket is freed
+        await response.arrayBuffer().catch(() => {});
+
+        return response.ok
+            ? { ok: true, status: response.status }
+            : { ok: false, status: response.status, error: `HTTP ${response.status}` };
+    } catch (err) {
+        const error = err.name === 'TimeoutError' ? 'Timed out' : (err.cause && err.cause.code) || err.message;
+        return { ok: false, status: null, error: String(error).slice(0, 500) };
+    }
+};
+
+// Claim the next due delivery so no other worker sends it meanwhile
+const claimNext = (now) =>
+    WebhookDelivery.findOneAndUpdate(
+        {
+            status: 'pending',
+            nextAttemptAt: { $lte: now },
+            $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+        },
+        { $set: { lockedUntil: new Date(now.getTime() + LEASE_MS) } },
+        { sort: { nextAttemptAt: 1 }, new: true }
+    );
+
+const attempt = async (delivery) => {
+    const webhook = await Webhook.findById(delivery.webhook).select('+secret');
+    const now = new Date();
+
+    if (!webhook || !webhook.active) {
+        delivery.set({
+            status: 'failed',
+            lastError: webhook ? 'Webhook paused' : 'Webhook deleted',
+            lockedUntil: null,
+            completedAt: now,
+        });
+        return delivery.save();
+    }
+
+    const result = await send(webhook, delivery);
+    const attempts = delivery.attempts + 1;
+    const update = {
+        attempts,
+        responseStatus: result.status,
+        lastError: result.ok ? null : result.error,
+        lockedUntil: null,
+    };
+
+    if (result.ok) {
+        Object.assign(update, { status: 'succeeded', completedAt: new Date() });
+    } else if (attempts >= MAX_ATTEMPTS) {
+        Object.assign(update, { status: 'failed', completedAt: new Date() });
+    } else {
+        update.nextAttemptAt = new Date(Date.now() + retryDelay(attempts));
+    }
+
+    delivery.set(update);
+    return delivery.save();
+};
+
+/**
+ * Send every delivery that is due, BATCH_SIZE at a time.
+ * Returns the number of attempts made.
+ */
+const processWebhookQueue = async () => {
+    let processed = 0;
+    for (;;) {
+        const now = new Date();
+        const batch = [];
+        while (batch.length < BATCH_SIZE) {
+            const delivery = await claimNext(now);
+            if (!delivery) break;
+            batch.push(delivery);
+        }
+        if (batch.length === 0) return processed;
+
+        await Promise.all(batch.map(delivery => attempt(delivery).catch((err) => {
+            console.error('Webhook delivery error:', err);
+        })));
+        processed += batch.length;
+    }
+};
+
+/**
+ * Queue a finished delivery again (dashboard "Retry").
+ * Returns the delivery, or null if it is still pending.
+ */
+const retryDelivery = (id) =>
+    WebhookDelivery.findOneAndUpdate(
+        { _id: id, status: { $ne: 'pending' } },
+        {
+            $set: { status: 'pending', attempts: 0, nextAttemptAt: new Date(), completedAt: null, lockedUntil: null },
+        },
+        { new: true }
+    ).then((delivery) => {
+        if (delivery) wakeWorker();
+        return delivery;
+    });
+
+/**
+ * Poll the queue every WEBHOOK_POLL_MS (default 5 s); new events also wake
+ * the worker straight away.
+ * Returns the timer so callers can stop it.
+ */
+const startWebhookWorker = () => {
+    const intervalMs = parseInt(process.env.WEBHOOK_POLL_MS, 10) || DEFAULT_POLL_MS;
+    let running = false;
+    let again = false;
+
+    const run = async () => {
+        if (running) {
+            again = true;
+            return;
+        }
+        running = true;
+        try {
+            do {
+                again = false;
+                await processWebhookQueue();
+            } while (again);
+        } catch (err) {
+            console.error('Webhook worker error:', err);
+        } finally {
+            running = false;
+        }
+    };
+
+    wakeWorker = () => setImmediate(run);
+
+    const timer = setInterval(run, intervalMs);
+    timer.unref();
+    run();
+    return timer;
+};
+
+module.exports = {
+    MAX_ATTEMPTS,
+    generateSecret,
+    signPayload,
+    emitWebhook,
+    pingWebhook,
+    processWebhookQueue,
+    retryDelivery,
+    startWebhookWorker,
+};
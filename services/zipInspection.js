@@ -0,0 +1,180 @@
+/**
+ * Archive bomb checks for zip-based uploads (.zip, .docx, .xlsx).
+ *
+ * Only the central directory at the end of the archive is read, through
+ * the `readRange(start, end)` callback, so large archives are cheap to
+ * check. An archive is refused when
+ *  - it has more than ZIP_MAX_ENTRIES entries (default 10,000),
+ *  - its entries add up to more than ZIP_MAX_UNCOMPRESSED_MB (default 1024),
+ *  - an entry larger than 1 MB claims a compression ratio above
+ *    ZIP_MAX_RATIO (default 200), or
+ *  - entries overlap each other, the trick behind non-recursive bombs that
+ *    reuse one compressed stream for many files.
+ * ZIP64 archives are supported.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const EOCD_BYTES = 22;
+const MAX_COMMENT_BYTES = 0xFFFF;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP64_LOCATOR_BYTES = 20;
+const ZIP64_EOCD_SIGNATURE = 0x06064b50;
+const CENTRAL_ENTRY_SIGNATURE = 0x02014b50;
+const CENTRAL_ENTRY_BYTES = 46;
+const LOCAL_HEADER_BYTES = 30;
+const ZIP64_EXTRA_ID = 0x0001;
+
+const MAX_CENTRAL_DIRECTORY_BYTES = 64 * 1024 * 1024;
+const RATIO_CHECK_MIN_BYTES = 1024 * 1024;
+
+const limits = () => ({
+    maxEntries: parseInt(process.env.ZIP_MAX_ENTRIES, 10) || 10000,
+    maxUncompressed: (parseInt(process.env.ZIP_MAX_UNCOMPRESSED_MB, 10) || 1024) * 1024 * 1024,
+    maxRatio: parseInt(process.env.ZIP_MAX_RATIO, 10) || 200,
+});
+
+/**
+ * Why an archive was refused, e.g. "its entries overlap".
+ */
+class ZipRejection extends Error {}
+
+// Offset of the end-of-central-directory record inside `tail`, or -1
+function findEocd(tail) {
+    for (let i = tail.length - EOCD_BYTES; i >= 0; i--) {
+        if (tail.readUInt32LE(i) === EOCD_SIGNATURE) return i;
+    }
+    return -1;
+}
+
+// Entry count, size and offset of the central directory
+async function readDirectoryLocation(readRange, size) {
+    const tailStart = Math.max(0, size - EOCD_BYTES - MAX_COMMENT_BYTES);
+    const tail = await readRange(tailStart, size - 1);
+    const eocd = findEocd(tail);
+    if (eocd === -1) {
+        throw new ZipRejection('it has no central directory');
+    }
+
+    let entries = tail.readUInt16LE(eocd + 10);
+    let directorySize = tail.readUInt32LE(eocd + 12);
+    let directoryOffset = tail.readUInt32LE(eocd + 16);
+
+    const locator = eocd - ZIP64_LOCATOR_BYTES;
+    if (locator >= 0 && tail.readUInt32LE(locator) === ZIP64_LOCATOR_SIGNATURE) {
+        const recordOffset = Number(tail.readBigUInt64LE(locator + 8));
+        const record = recordOffset + 56 <= size ? await readRange(recordOffset, recordOffset + 55) : null;
+        if (!record || record.readUInt32LE(0) !== ZIP64_EOCD_SIGNATURE) {
+            throw new ZipRejection('its ZIP64 directory record is damaged');
+        }
+        entries = Number(record.readBigUInt64LE(32));
+        directorySize = Number(record.readBigUInt64LE(40));
+        directoryOffset = Number(record.readBigUInt64LE(48));
+    }
+
+    return { entries, directorySize, directoryOffset };
+}
+
+// Sizes and local offset of one central directory entry, resolving the
+// ZIP64 extra field for values that did not fit in 32 bits
+function readEntry(dir, pos) {
+    let compressed = dir.readUInt32LE(pos + 20);
+    let uncompressed = dir.readUInt32LE(pos + 24);
+    const nameLength = dir.readUInt16LE(pos + 28);
+    const extraLength = dir.readUInt16LE(pos + 30);
+    const commentLength = dir.readUInt16LE(pos + 32);
+    let offset = dir.readUInt32LE(pos + 42);
+    const name = dir.toString('utf8', pos + CENTRAL_ENTRY_BYTES, pos + CENTRAL_ENTRY_BYTES + nameLength);
+
+    let extra = pos + CENTRAL_ENTRY_BYTES + nameLength;
+    const extraEnd = extra + extraLength;
+    while (extra + 4 <= extraEnd) {
+        const id = dir.readUInt16LE(extra);
+        const length = dir.readUInt16LE(extra + 2);
+        if (id === ZIP64_EXTRA_ID) {
+            let field = extra + 4;
+            const next = () => {
+                const value = Number(dir.readBigUInt64LE(field));
+                field += 8;
+                return value;
+            };
+            if (uncompressed === 0xFFFFFFFF) uncompressed = next();
+            if (compressed === 0xFFFFFFFF) compressed = next();
+            if (offset === 0xFFFFFFFF) offset = next();
+        }
+        extra += 4 + length;
+    }
+
+    return {
+        name,
+        compressed,
+        uncompressed,
+        offset,
+        nameLength,
+        length: CENTRAL_ENTRY_BYTES + nameLength + extraLength + commentLength,
+    };
+}
+
+/**
+ * Check a zip archive of `size` bytes.
+ * Resolves with { entries, uncompressedSize, names } or rejects with a
+ * ZipRejection saying why the archive was refused.
+ */
+async function inspectZip(readRange, size) {
+    const { maxEntries, maxUncompressed, maxRatio } = limits();
+
+    try {
+        const location = await readDirectoryLocation(readRange, size);
+        if (location.entries > maxEntries) {
+            throw new ZipRejection(`it has more than ${maxEntries} entries`);
+        }
+        if (location.directorySize > MAX_CENTRAL_DIRECTORY_BYTES
+            || location.directoryOffset + location.directorySize > size) {
+            throw new ZipRejection('its central directory is damaged');
+        }
+
+        const dir = location.directorySize > 0
+            ? await readRange(location.directoryOffset, location.directoryOffset + location.directorySize - 1)
+            : Buffer.alloc(0);
+
+        const entries = [];
+        let uncompressedSize = 0;
+        for (let pos = 0; pos + CENTRAL_ENTRY_BYTES <= dir.length;) {
+            if (dir.readUInt32LE(pos) !== CENTRAL_ENTRY_SIGNATURE) {
+                throw new ZipRejection('its central directory is damaged');
+            }
+            const entry = readEntry(dir, pos);
+            pos += entry.length;
+
+            if (entries.length + 1 > maxEntries) {
+                throw new ZipRejection(`it has more than ${maxEntries} entries`);
+            }
+            uncompressedSize += entry.uncompressed;
+            if (uncompressedSize > maxUncompressed) {
+                throw new ZipRejection(`it expands to more than ${maxUncompressed / 1024 / 1024} MB`);
+            }
+            if (entry.uncompressed > RATIO_CHECK_MIN_BYTES && entry.uncompressed / Math.max(entry.compressed, 1) > maxRatio) {
+                throw new ZipRejection(`an entry is compressed more than ${maxRatio}:1`);
+            }
+            entries.push(entry);
+        }
+
+        // Each entry's local header and data must end before the next begins
+        const byOffset = [...entries].sort((a, b) => a.offset - b.offset);
+        for (let i = 1; i < byOffset.length; i++) {
+            const previous = byOffset[i - 1];
+            if (previous.offset + LOCAL_HEADER_BYTES + previous.nameLength + previous.compressed > byOffset[i].offset) {
+                throw new ZipRejection('its entries overlap');
+            }
+        }
+
+        return { entries: entries.length, uncompressedSize, names: entries.map(e => e.name) };
+    } catch (err) {
+        // Reads past the end of a buffer: lengths in the archive are wrong
+        if (err instanceof RangeError) {
+            throw new ZipRejection('it is damaged');
+        }
+        throw err;
+    }
+}
+
+module.exports = { inspectZip, ZipRejection };
@@ -0,0 +1,146 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+
+/**
+ * public/js/render.js against hostile link text. It runs in the browser, so
+ * it is loaded into a jsdom window; everything it draws must stay inert.
+ */
+
+const SOURCE = fs.readFileSync(path.join(__dirname, '../public/js/render.js'), 'utf8');
+
+function load() {
+    const dom = new JSDOM('<!DOCTYPE html><body></body>', { url: 'https://links.example.com/abc', runScripts: 'outside-only' });
+    dom.window.eval(SOURCE);
+    return dom.window;
+}
+
+const window = load();
+const { renderContent, renderMarkdown, renderCode } = window.ContentRender;
+
+const markdown = (text) => renderMarkdown(text);
+
+// No element that runs script or loads anything, no unsafe link target
+function assertInert(node) {
+    assert.strictEqual(node.querySelectorAll('script, img, iframe, object, embed, style, svg').length, 0);
+    for (const el of node.querySelectorAll('*')) {
+        for (const attr of el.attributes) {
+            assert.ok(!/^on/i.test(attr.name), `event handler attribute ${attr.name}`);
+        }
+    }
+    for (const a of node.querySelectorAll('a')) {
+        assert.match(new window.URL(a.href).protocol, /^(https?|mailto):$/);
+    }
+}
+
+test('fences named after Object.prototype keys render as plain text', () => {
+    for (const name of ['constructor', '__proto__', 'toString', 'hasOwnProperty', 'valueOf', 'prototype']) {
+        const out = markdown('```' + name + '\nconst x = "y";\n```');
+        const block = out.querySelector('.code-block');
+        assert.ok(block, name);
+        assert.strictEqual(block.querySelector('.code-language').textContent, 'Text', name);
+        assert.strictEqual(block.querySelector('code').textContent, 'const x = "y";', name);
+        assert.strictEqual(block.querySelectorAll('[class^="tok-"]').length, 0, name);
+    }
+});
+
+test('code content with a prototype-key language renders as plain text', () => {
+    for (const language of ['constructor', '__proto__', 'toString']) {
+        const target = window.document.createElement('div');
+        renderContent(target, 'if (a) {}', 'code', language);
+        assert.strictEqual(target.querySelector('.code-language').textContent, 'Text');
+        assert.strictEqual(target.querySelector('code').textContent, 'if (a) {}');
+    }
+    assert.strictEqual(renderCode('x', '__proto__').querySelector('code').textContent, 'x');
+});
+
+test('known languages are still highlighted', () => {
+    const out = markdown('```js\nconst x = 1;\n```');
+    assert.strictEqual(out.querySelector('.code-language').textContent, 'JavaScript');
+    assert.ok(out.querySelector('.tok-keyword'));
+});
+
+test('raw HTML shows up as text', () => {
+    const payload = '<script>alert(1)</script><img src=x onerror=alert(1)><iframe src="javascript:alert(1)"></iframe>';
+    const out = markdown(payload);
+    assertInert(out);
+    assert.ok(out.textContent.includes('<script>alert(1)</script>'));
+
+    const code = renderCode(payload, 'html');
+    assertInert(code);
+    assert.strictEqual(code.querySelector('code').textContent, payload);
+
+    const target = window.document.createElement('div');
+    renderContent(target, payload, 'plain');
+    assertInert(target);
+    assert.strictEqual(target.textContent, payload);
+});
+
+test('script URLs in links and images are not linked', () => {
+    const payloads = [
+        '[click](javascript:alert(1))',
+        '[click](JaVaScRiPt:alert(1))',
+        '[click]( javascript:alert(1) )',
+        '[click](<javascript:alert(1)>)',
+        '[click](java%0Ascript:alert(1))',
+        '[click](vbscript:msgbox(1))',
+        '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+        '![img](javascript:alert(1))',
+        '![img](data:image/svg+xml,<svg onload=alert(1)>)',
+        '<javascript:alert(1)>',
+        '[a](https://ok.example.com) [b](javascript:alert(1))',
+    ];
+    for (const payload of payloads) {
+        const out = markdown(payload);
+        assertInert(out);
+        for (const a of out.querySelectorAll('a')) {
+            assert.doesNotMatch(a.getAttribute('href'), /^\s*(javascript|vbscript|data):/i, payload);
+        }
+    }
+});
+
+test('safe links open in a new tab without a referrer, images become links', () => {
+    const out = markdown('[docs](https://docs.example.com/a) ![logo](https://cdn.example.com/logo.png)');
+    const links = out.querySelectorAll('a');
+    assert.strictEqual(links.length, 2);
+    assert.strictEqual(links[0].rel, 'noopener noreferrer nofollow');
+    assert.strictEqual(links[0].target, '_blank');
+    assert.strictEqual(links[1].href, 'https://cdn.example.com/logo.png');
+    assertInert(out);
+});
+
+test('deeply nested quotes, lists and emphasis stay bounded', () => {
+    const inputs = [
+        '>'.repeat(10000) + ' deep',
+        Array.from({ length: 2000 }, (_, i) => ' '.repeat(i * 2) + '- item').join('\n'),
+        '- '.repeat(5000) + 'x',
+        '*'.repeat(20000) + 'x' + '*'.repeat(20000),
+        '**_~~'.repeat(3000) + 'x' + '~~_**'.repeat(3000),
+        '['.repeat(20000) + 'x' + '](https://a.example)'.repeat(100),
+    ];
+    for (const input of inputs) {
+        const started = Date.now();
+        const out = markdown(input);
+        assert.ok(Date.now() - started < 5000, `slow on ${input.slice(0, 20)}`);
+        assertInert(out);
+        let depth = 0;
+        for (let node = out.querySelector('*:not(:has(*))'); node && node !== out; node = node.parentNode) depth++;
+        assert.ok(depth < 200, `depth ${depth}`);
+    }
+});
+
+test('huge input renders in reasonable time', () => {
+    const line = 'Some *text* with `code`, a [link](https://example.com) and <b>tags</b>. ';
+    const big = Array.from({ length: 5000 }, (_, i) => (i % 50 === 0 ? '\n```js\nlet a = "b";\n```\n' : line)).join('\n');
+    assert.ok(big.length > 300000);
+    const started = Date.now();
+    const out = markdown(big);
+    assert.ok(Date.now() - started < 10000);
+    assertInert(out);
+
+    const unclosed = '`'.repeat(3) + '\n' + 'x'.repeat(500000);
+    assert.strictEqual(markdown(unclosed).querySelector('code').textContent.length, 500000);
+    assert.ok(markdown('`'.repeat(100000)).textContent.length > 0);
+});
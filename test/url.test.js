@@ -0,0 +1,46 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const { Query } = require('mingo');
+
+const Url = require('../models/Url');
+
+/**
+ * Url.isSpent and Url.spentFilter must agree: the sweeper purges what the
+ * filter matches, while the routes refuse what isSpent reports.
+ */
+
+const NOW = new Date('2026-01-15T12:00:00Z');
+const FILE = { fileName: 'a.pdf', storageKey: 'abc.pdf', size: 10, mimeType: 'application/pdf' };
+
+const link = (fields) => new Url({ shortId: 'abcdefgh', passwordHash: 'x', textContent: 'x', ...fields });
+
+// Whether the sweeper's query matches the link
+const matchesFilter = (urlDoc) => new Query(Url.spentFilter(NOW)).test(urlDoc.toObject());
+
+const CASES = [
+    ['no limits', {}, false],
+    ['views left', { maxViews: 3, viewCount: 2, attachments: [FILE] }, false],
+    ['expired', { expiresAt: new Date('2026-01-01T00:00:00Z') }, true],
+    ['not yet expired', { expiresAt: new Date('2026-02-01T00:00:00Z') }, false],
+    ['views used up, no attachments', { maxViews: 1, viewCount: 1 }, true],
+    ['views used up, attachments without a download limit', { maxViews: 1, viewCount: 1, attachments: [FILE] }, true],
+    [
+        'views used up, downloads left',
+        { maxViews: 1, viewCount: 1, maxDownloads: 2, downloadCount: 1, attachments: [FILE] },
+        false,
+    ],
+    [
+        'views and downloads used up',
+        { maxViews: 1, viewCount: 1, maxDownloads: 2, downloadCount: 2, attachments: [FILE] },
+        true,
+    ],
+    ['downloads used up, views left', { maxViews: 5, viewCount: 1, maxDownloads: 1, downloadCount: 1, attachments: [FILE] }, false],
+];
+
+for (const [name, fields, spent] of CASES) {
+    test(`isSpent and spentFilter: ${name}`, () => {
+        const urlDoc = link(fields);
+        assert.strictEqual(urlDoc.isSpent(NOW), spent);
+        assert.strictEqual(matchesFilter(urlDoc), spent);
+    });
+}